@@ -1,434 +1,625 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import Papa from "papaparse";
+import ColumnMapper from "./components/ColumnMapper";
+import AnalyticsPanel from "./components/AnalyticsPanel";
+import ChartsPanel from "./components/ChartsPanel";
+import ComparePanel from "./components/ComparePanel";
+import DiagnosticsPanel from "./components/DiagnosticsPanel";
+import ExportPanel from "./components/ExportPanel";
+import PriceSourcePanel from "./components/PriceSourcePanel";
+import ScoreBreakdown from "./components/ScoreBreakdown";
+import SessionsPanel from "./components/SessionsPanel";
+import ShareCardPanel from "./components/ShareCardPanel";
+import StrategyPanel from "./components/StrategyPanel";
+import TradeDrawer from "./components/TradeDrawer";
+import TradeTable from "./components/TradeTable";
+import { detectImporter, IMPORTERS } from "./importers";
+import {
+  buildCustomImporter,
+  forgetMapping,
+  getSavedMapping,
+  saveMapping,
+} from "./importers/custom";
+import {
+  countTradesBySource,
+  makeUpload,
+  mergeUploads,
+  reviveUploads,
+} from "./session";
+import {
+  deleteSession,
+  listSessions,
+  loadSession,
+  renameSession,
+  saveSession,
+} from "./sessionStore";
+import { CROSS_MARGIN_MODES } from "./liquidation";
+import { EMPTY_FILTERS, filterTrades } from "./tradeFilters";
+import { ANALYSIS_IMPORTER, parseAnalysisJson } from "./exports";
+import { loadPriceSettings, savePriceSettings } from "./priceSources";
+import {
+  BEST_PRICE_BASIS,
+  EXIT_REASONS,
+  loadStrategySettings,
+  saveStrategySettings,
+} from "./strategies";
+import { parseCandleFile } from "./priceSources/localFile";
+import {
+  clearCandleCache,
+  getCandleCacheStats,
+  INTERVALS,
+  normalizeToBinanceSymbol,
+} from "./candles";
+import { pickAutoInterval } from "./hindsight";
+import { startHindsight } from "./hindsightRunner";
+import { loadScoreSettings, saveScoreSettings } from "./fumbleScore";
+import { hindsightTotals, summarizeClosedTrades } from "./summary";
+import { fmtMoney, fmtPrice, fmtTime } from "./utils";
 
 /**
- * fumble.com — Degen Edition + FREE Hindsight via Binance Candles (no API key)
- * Current supported trade CSV:
- * - BloFin Order History (reconstruct closed trades by pairing Open/Close)
+ * fumble.com — Degen Edition + FREE Hindsight via public candles (no API key)
+ * Trade CSVs are handled by the importer registry in ./importers
+ * (BloFin, Binance USDⓈ-M Futures, Bybit). The best-scoring importer wins.
  *
- * Price source:
- * - Binance public klines (spot) used as universal price source
- *   Primary: https://api.binance.com
- *   Fallback: https://data-api.binance.vision
+ * Price sources live in ./priceSources: Binance spot (default), USDⓈ-M
+ * futures, futures mark price, or candle files the user drops in —
+ * chosen per symbol, with an optional symbol rename.
  *
  * This is a vibes tool: estimates, not exchange-perfect.
  */
 
-// ---------------- utils ----------------
-function cleanHeader(h) {
-  return String(h || "")
-    .trim()
-    .toLowerCase()
-    .replaceAll("_", " ")
-    .replaceAll("-", " ")
-    .replace(/\s+/g, " ");
-}
-
-function parseNumWithUnits(v) {
-  if (v === null || v === undefined) return NaN;
-  const s = String(v).trim();
-  if (!s || s === "--") return NaN;
-  const token = s.split(" ")[0].replaceAll(",", "");
-  const n = Number(token);
-  return Number.isFinite(n) ? n : NaN;
-}
-
-function parseTimeBloFin(v) {
-  if (!v) return null;
-  const s = String(v).trim();
-  if (!s) return null;
-
-  let d = new Date(s);
-  if (!Number.isNaN(d.getTime())) return d;
-
-  // MM/DD/YYYY HH:mm:ss
-  const [datePart, timePart] = s.split(" ");
-  if (!datePart || !timePart) return null;
-  const [mm, dd, yyyy] = datePart.split("/").map((x) => Number(x));
-  const [HH, MM, SS] = timePart.split(":").map((x) => Number(x));
-  if ([mm, dd, yyyy, HH, MM, SS].some((x) => !Number.isFinite(x))) return null;
+const LOOKAHEAD_PRESETS = [
+  { hours: 1, label: "1 hour" },
+  { hours: 4, label: "4 hours" },
+  { hours: 24, label: "24 hours" },
+  { hours: 168, label: "7 days" },
+  { hours: 720, label: "30 days" },
+];
 
-  d = new Date(yyyy, mm - 1, dd, HH, MM, SS);
-  return Number.isNaN(d.getTime()) ? null : d;
-}
+// ± window around entry for "best entry"; 0 = entry analysis off
+const ENTRY_WINDOWS = [
+  { hours: 0, label: "Off" },
+  { hours: 0.25, label: "± 15 min" },
+  { hours: 1, label: "± 1 hour" },
+  { hours: 4, label: "± 4 hours" },
+  { hours: 24, label: "± 24 hours" },
+];
 
-function fmtMoney(n) {
-  if (!Number.isFinite(n)) return "—";
-  const sign = n < 0 ? "-" : "";
-  const abs = Math.abs(n);
-  return `${sign}$${abs.toLocaleString(undefined, {
-    maximumFractionDigits: 2,
-  })}`;
-}
-function fmtPct(n) {
-  if (!Number.isFinite(n)) return "—";
-  const sign = n > 0 ? "+" : "";
-  return `${sign}${n.toFixed(2)}%`;
-}
-function fmtPrice(n) {
-  if (!Number.isFinite(n)) return "—";
-  return n.toLocaleString(undefined, { maximumFractionDigits: 2 });
-}
-function minsBetween(a, b) {
-  if (!a || !b) return NaN;
-  const ms = b.getTime() - a.getTime();
-  if (!Number.isFinite(ms) || ms < 0) return NaN;
-  return ms / 60000;
-}
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
+// structured worker progress (see hindsight.js) -> status line
+function describeProgress(p) {
+  const of = `(${p.done}/${p.total} pairs done)`;
+  if (p.phase === "compute") return `Computing fumbles for ${p.name} ${of}…`;
+  if (p.phase === "refine") {
+    return `Refining ${p.name} with 1m candles… ${p.chunk}/${p.chunks} ${of}`;
+  }
+  if (p.cached) return `${p.name} candles from local cache ⚡ ${of}`;
+  if (p.chunk > 0) {
+    return `Fetching ${p.name} candles… chunk ${p.chunk}/${p.chunks} ${of}`;
+  }
+  return `Fetching ${p.name} candles from ${p.source} ${of}…`;
 }
 
-// ---------------- detect source ----------------
-function detectSource(headers) {
-  const H = headers.map(cleanHeader);
-  const has = (x) => H.includes(cleanHeader(x));
-
-  if (
-    has("Underlying Asset") &&
-    has("Margin Mode") &&
-    has("Order Time") &&
-    has("Avg Fill") &&
-    has("Filled") &&
-    has("PNL") &&
-    has("PNL%")
-  ) {
-    return "BLOFIN_ORDER_HISTORY";
+// "done" message -> final status line
+function describeDone({ noCandles, failed }) {
+  const notes = [];
+  if (failed.length > 0) {
+    notes.push(
+      `couldn’t fetch ${failed
+        .map((f) => `${f.symbol} (${f.message})`)
+        .join(", ")}`
+    );
+  }
+  if (noCandles.length > 0) {
+    notes.push(`no candles for ${noCandles.join(", ")}`);
   }
-  return "UNKNOWN";
+  return notes.length > 0
+    ? `Roast complete ✅ — ${notes.join(
+        "; "
+      )}. Try another price source for those.`
+    : "Roast complete ✅";
 }
 
-// ---------------- BloFin parsing ----------------
-function parseBloFinRows(rows) {
-  return rows
-    .filter((r) => r && String(r["Status"] || "").toLowerCase() === "filled")
-    .map((r) => {
-      const symbol = String(r["Underlying Asset"] || "").trim(); // usually BTCUSDT
-      const side = String(r["Side"] || "").trim(); // "Open Long", "Close Short", ...
-      const time = parseTimeBloFin(r["Order Time"]);
-      const avgFill = parseNumWithUnits(r["Avg Fill"]);
-      const qty = parseNumWithUnits(r["Filled"]);
-      const pnl = parseNumWithUnits(r["PNL"]); // close rows have number, open rows "--"
-      const pnlPct = parseNumWithUnits(r["PNL%"]); // close rows have number, open rows "--"
-      const fee = parseNumWithUnits(r["Fee"]);
-
-      let action = "UNKNOWN";
-      let direction = "UNKNOWN";
-      const s = side.toUpperCase();
-      if (s.includes("OPEN")) action = "OPEN";
-      if (s.includes("CLOSE")) action = "CLOSE";
-      if (s.includes("LONG")) direction = "LONG";
-      if (s.includes("SHORT")) direction = "SHORT";
-
-      return {
-        symbol,
-        side,
-        action,
-        direction,
-        time,
-        avgFill,
-        qty,
-        pnl: Number.isFinite(pnl) ? pnl : null,
-        pnlPct: Number.isFinite(pnlPct) ? pnlPct : null,
-        fee: Number.isFinite(fee) ? fee : null,
-      };
-    })
-    .filter(
-      (x) =>
-        x.symbol &&
-        x.action !== "UNKNOWN" &&
-        x.direction !== "UNKNOWN" &&
-        x.time
-    );
+function parseCsv(file) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      complete: (results) =>
+        resolve({
+          headers: results.meta.fields || [],
+          rows: results.data || [],
+        }),
+      error: reject,
+    });
+  });
 }
 
-function buildClosedTradesFromFills(fills) {
-  const stacks = new Map(); // key symbol|direction -> FIFO open lots
+// ---------------- App ----------------
+export default function App() {
+  const [uploads, setUploads] = useState([]); // see session.js
+  const [hiddenSources, setHiddenSources] = useState([]); // upload ids filtered out
+  const [parsing, setParsing] = useState(false);
+  const [pendingCsvs, setPendingCsvs] = useState([]); // { fileName, headers, rows, initial?, replaces? } waiting for a column mapping
+  const [error, setError] = useState("");
+  const [lotMethod, setLotMethod] = useState("FIFO"); // see LOT_METHODS
+  const [viewMode, setViewMode] = useState("fills"); // fills | positions
 
-  const getKey = (f) => `${f.symbol}|${f.direction}`;
-  const getStack = (key) => {
-    if (!stacks.has(key)) stacks.set(key, []);
-    return stacks.get(key);
-  };
+  // Hindsight
+  const [interval, setInterval] = useState("5m");
+  const [lookaheadHours, setLookaheadHours] = useState(4);
+  const [customLookahead, setCustomLookahead] = useState(false); // free hours input
+  const [realismPct, setRealismPct] = useState(80); // 80% of best move to be less fantasy
+  const [entryWindowHours, setEntryWindowHours] = useState(0); // see ENTRY_WINDOWS
+  const [liqCheck, setLiqCheck] = useState("off"); // off | CROSS_MARGIN_MODES key
+  const [hStatus, setHStatus] = useState(""); // status line
+  const [hLoading, setHLoading] = useState(false);
+  const [hData, setHData] = useState(null); // computed fumbles per trade (all sources)
+  const [cacheStats, setCacheStats] = useState(null); // null = no IndexedDB
+  const [priceSettings, setPriceSettings] = useState(loadPriceSettings); // see priceSources
+  const [candleFiles, setCandleFiles] = useState([]); // user-supplied candles
+  const [strategySettings, setStrategySettings] =
+    useState(loadStrategySettings); // see strategies.js
+  const [scoreSettings, setScoreSettings] = useState(loadScoreSettings); // see fumbleScore.js
+  const [hParams, setHParams] = useState(null); // settings of the last run (drawer, exports)
+  const [drawerTrade, setDrawerTrade] = useState(null); // row open in TradeDrawer
+  const [tableFilters, setTableFilters] = useState(EMPTY_FILTERS); // see tradeFilters.js
+  const [scopeKpis, setScopeKpis] = useState(false); // KPIs over filtered rows only
+  const [sessions, setSessions] = useState(null); // saved sessions; null = no IndexedDB
+  const [sessionId, setSessionId] = useState(null); // saved session currently open
+  const [sessionBusy, setSessionBusy] = useState(false);
+  const hRun = useRef(0); // id of the current hindsight run
+  const hCancel = useRef(null); // cancel() for the running job, if any
+
+  // Anything that changes the trade list makes hindsight rows stale
+  function resetHindsight() {
+    cancelHindsight();
+    setHData(null);
+    setHStatus("");
+    setDrawerTrade(null);
+  }
 
-  const sorted = fills
-    .slice()
-    .sort((a, b) => a.time.getTime() - b.time.getTime());
-  const closedTrades = [];
+  function changePriceSettings(next) {
+    setPriceSettings(next);
+    savePriceSettings(next);
+  }
 
-  for (const f of sorted) {
-    const key = getKey(f);
-    const stack = getStack(key);
+  function changeScoreSettings(next) {
+    setScoreSettings(next);
+    saveScoreSettings(next);
+  }
 
-    if (f.action === "OPEN") {
-      stack.push({ time: f.time, price: f.avgFill, qty: f.qty });
-      continue;
-    }
+  function changeStrategySettings(next) {
+    setStrategySettings(next);
+    saveStrategySettings(next);
+  }
 
-    if (f.action === "CLOSE") {
-      let remaining = f.qty;
+  async function handleCandleFiles(fileList) {
+    const files = Array.from(fileList || []);
+    const loaded = [];
+    const failed = [];
+    for (const file of files) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        loaded.push(parseCandleFile(file.name, await file.text()));
+      } catch (e) {
+        failed.push(`${file.name} (${e?.message || String(e)})`);
+      }
+    }
+    if (loaded.length > 0) setCandleFiles((prev) => prev.concat(loaded));
+    if (failed.length > 0) setError(`Couldn’t read: ${failed.join(", ")}`);
+  }
 
-      let entryQtyTotal = 0;
-      let entryNotional = 0;
-      let entryTime = null;
+  function refreshCacheStats() {
+    getCandleCacheStats()
+      .then(setCacheStats)
+      .catch(() => setCacheStats(null));
+  }
 
-      while (remaining > 0 && stack.length > 0) {
-        const lot = stack[0];
-        const take = Math.min(remaining, lot.qty);
+  useEffect(refreshCacheStats, []);
 
-        entryQtyTotal += take;
-        entryNotional += take * lot.price;
-        if (!entryTime || lot.time < entryTime) entryTime = lot.time;
+  function refreshSessions() {
+    listSessions()
+      .then(setSessions)
+      .catch(() => setSessions(null));
+  }
 
-        lot.qty -= take;
-        remaining -= take;
-        if (lot.qty <= 1e-12) stack.shift();
-      }
+  useEffect(refreshSessions, []);
+
+  // everything a saved session restores (sessionStore.js)
+  function sessionSnapshot() {
+    const { priceSettings: _ps, candleFiles: _cf, ...run } = hParams || {};
+    return {
+      uploads,
+      hiddenSources,
+      lotMethod,
+      viewMode,
+      settings: {
+        interval,
+        lookaheadHours,
+        realismPct,
+        entryWindowHours,
+        liquidation: liqCheck === "off" ? null : { cross: liqCheck },
+      },
+      hData,
+      lastRun: hParams ? run : null,
+    };
+  }
 
-      const entryPrice =
-        entryQtyTotal > 0 ? entryNotional / entryQtyTotal : NaN;
-      const exitPrice = f.avgFill;
-      const holdMins = entryTime ? minsBetween(entryTime, f.time) : NaN;
-
-      closedTrades.push({
-        exchange: "BloFin",
-        symbol: f.symbol,
-        direction: f.direction,
-        entryPrice: Number.isFinite(entryPrice) ? entryPrice : null,
-        exitPrice: Number.isFinite(exitPrice) ? exitPrice : null,
-        qty: Number.isFinite(f.qty) ? f.qty : null,
-        pnl: Number.isFinite(f.pnl) ? f.pnl : null,
-        pnlPct: Number.isFinite(f.pnlPct) ? f.pnlPct : null,
-        holdMins: Number.isFinite(holdMins) ? holdMins : null,
-        closeTime: f.time,
-        note:
-          entryQtyTotal > 0
-            ? null
-            : "No matching open found (CSV may be partial).",
+  async function handleSaveSession(name, { asNew }) {
+    setSessionBusy(true);
+    try {
+      const id = await saveSession({
+        id: asNew ? null : sessionId,
+        name,
+        snapshot: sessionSnapshot(),
+        summary: {
+          trades: allTrades.length,
+          priced: hData ? hData.filter((t) => "fumbled" in t).length : 0,
+        },
       });
+      setSessionId(id);
+    } catch (e) {
+      setError(`Couldn’t save the session: ${e?.message || String(e)}`);
     }
+    setSessionBusy(false);
+    refreshSessions();
   }
 
-  return closedTrades;
-}
-
-// ---------------- Summary (behavioral) ----------------
-function mean(arr) {
-  const a = arr.filter((x) => Number.isFinite(x));
-  if (a.length === 0) return NaN;
-  return a.reduce((s, x) => s + x, 0) / a.length;
-}
+  async function handleOpenSession(id) {
+    setSessionBusy(true);
+    try {
+      const saved = await loadSession(id);
+      const { uploads: restored, idMap } = reviveUploads(saved.uploads);
+      const reId = (t) => ({ ...t, sourceId: idMap.get(t.sourceId) });
+
+      cancelHindsight();
+      setUploads(restored);
+      setHiddenSources(
+        saved.hiddenSources.map((x) => idMap.get(x)).filter(Boolean)
+      );
+      setPendingCsvs([]);
+      setLotMethod(saved.lotMethod);
+      setViewMode(saved.viewMode);
+      applyRunSettings(saved.settings);
+      setHData(saved.hData ? saved.hData.map(reId) : null);
+      setHParams(
+        saved.lastRun ? { ...saved.lastRun, priceSettings, candleFiles } : null
+      );
+      setHStatus(
+        saved.hData
+          ? `Opened “${saved.session.name}” — saved hindsight, no candles fetched`
+          : ""
+      );
+      setDrawerTrade(null);
+      setError("");
+      setSessionId(id);
+    } catch (e) {
+      setError(`Couldn’t open the session: ${e?.message || String(e)}`);
+    }
+    setSessionBusy(false);
+  }
 
-function summarizeClosedTrades(trades) {
-  const n = trades.length;
-  const wins = trades.filter((t) => Number.isFinite(t.pnl) && t.pnl > 0);
-  const losses = trades.filter((t) => Number.isFinite(t.pnl) && t.pnl < 0);
-
-  const winRate = n > 0 ? wins.length / n : NaN;
-  const totalPnl = trades
-    .map((t) => t.pnl)
-    .filter((x) => Number.isFinite(x))
-    .reduce((a, b) => a + b, 0);
-
-  const avgWinHold = mean(wins.map((t) => t.holdMins));
-  const avgLossHold = mean(losses.map((t) => t.holdMins));
-  const paperhands =
-    Number.isFinite(avgWinHold) &&
-    Number.isFinite(avgLossHold) &&
-    avgLossHold > 0
-      ? avgWinHold / avgLossHold
-      : NaN;
-
-  let fumbleScore = NaN;
-  if (Number.isFinite(paperhands)) {
-    const raw = 60 - 20 * Math.log2(paperhands);
-    fumbleScore = clamp(raw, 0, 100);
+  async function handleRenameSession(id, name) {
+    try {
+      await renameSession(id, name);
+    } catch (e) {
+      setError(`Couldn’t rename the session: ${e?.message || String(e)}`);
+    }
+    refreshSessions();
   }
 
-  return { n, winRate, totalPnl, paperhands, fumbleScore };
-}
+  async function handleDeleteSession(id) {
+    try {
+      await deleteSession(id);
+      if (id === sessionId) setSessionId(null);
+    } catch (e) {
+      setError(`Couldn’t delete the session: ${e?.message || String(e)}`);
+    }
+    refreshSessions();
+  }
 
-// ---------------- Binance candles (FREE, no key) ----------------
-const BINANCE_BASES = [
-  "https://api.binance.com",
-  "https://data-api.binance.vision",
-];
+  // a saved session's trade set for comparison, without opening it
+  async function loadSessionTrades(id) {
+    const saved = await loadSession(id);
+    const merged = mergeUploads(saved.uploads, { method: saved.lotMethod });
+    return {
+      trades: saved.viewMode === "positions" ? merged.positions : merged.trades,
+      hRows: saved.hData || null,
+    };
+  }
 
-const INTERVALS = [
-  { label: "1m", ms: 60_000 },
-  { label: "5m", ms: 300_000 },
-  { label: "15m", ms: 900_000 },
-];
+  async function handleClearCache() {
+    try {
+      await clearCandleCache();
+    } catch (e) {
+      setError(`Couldn’t clear the candle cache: ${e?.message || String(e)}`);
+    }
+    refreshCacheStats();
+  }
 
-function normalizeToBinanceSymbol(sym) {
-  // BloFin might be BTCUSDT already; others might be BTC-USDT, BTC/USDT, etc.
-  return String(sym || "")
-    .toUpperCase()
-    .replaceAll("-", "")
-    .replaceAll("/", "")
-    .trim();
-}
+  // Every upload change re-pairs fills, so earlier hindsight rows are stale
+  function changeUploads(update) {
+    setUploads(update);
+    resetHindsight();
+  }
 
-async function fetchKlinesAnyBase({ symbol, interval, startTime, endTime }) {
-  let lastErr = null;
+  // restores the hindsight controls from a run's (exported) settings
+  function applyRunSettings(run) {
+    if (run.lookaheadHours > 0) {
+      setLookaheadHours(run.lookaheadHours);
+      setCustomLookahead(
+        !LOOKAHEAD_PRESETS.some((p) => p.hours === run.lookaheadHours)
+      );
+    }
+    if (Number.isFinite(run.realismPct)) setRealismPct(run.realismPct);
+    if (
+      run.interval === "auto" ||
+      INTERVALS.some((x) => x.label === run.interval)
+    ) {
+      setInterval(run.interval);
+    }
+    if (Number.isFinite(run.entryWindowHours)) {
+      setEntryWindowHours(run.entryWindowHours);
+    }
+    setLiqCheck(run.liquidation?.cross || "off");
+  }
 
-  for (const base of BINANCE_BASES) {
+  // A JSON export (exports.js) replaces the session, hindsight rows included
+  async function openAnalysis(file) {
     try {
-      const url = new URL(`${base}/api/v3/klines`);
-      url.searchParams.set("symbol", symbol);
-      url.searchParams.set("interval", interval);
-      url.searchParams.set("startTime", String(startTime));
-      url.searchParams.set("endTime", String(endTime));
-      url.searchParams.set("limit", "1000");
-
-      const res = await fetch(url.toString());
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-      return data;
+      const { trades, settings } = parseAnalysisJson(await file.text());
+      if (trades.length === 0) throw new Error("no trades in the export");
+
+      // one upload per account, so account labels and toggles survive
+      const byAccount = new Map();
+      for (const t of trades) {
+        const account = t.account || t.exchange || "Imported";
+        if (!byAccount.has(account)) byAccount.set(account, []);
+        byAccount.get(account).push(t);
+      }
+      const restored = Array.from(byAccount, ([account, records]) => ({
+        ...makeUpload({
+          fileName: file.name,
+          importer: ANALYSIS_IMPORTER,
+          score: null,
+          records,
+        }),
+        account,
+      }));
+
+      const mode = settings.viewMode === "positions" ? "positions" : "fills";
+      changeUploads(restored);
+      setSessionId(null);
+      setHiddenSources([]);
+      setPendingCsvs([]);
+      setViewMode(mode);
+
+      if (trades.some((t) => "fumbled" in t)) {
+        const merged = mergeUploads(restored, { method: lotMethod });
+        const { viewMode: _mode, ...run } = settings;
+        applyRunSettings(run);
+        setHData(mode === "positions" ? merged.positions : merged.trades);
+        setHParams({ ...run, priceSettings, candleFiles });
+        setHStatus(
+          `Opened ${file.name} — hindsight from the export, no candles fetched`
+        );
+      }
     } catch (e) {
-      lastErr = e;
+      setError(`Couldn’t open ${file.name}: ${e?.message || String(e)}`);
     }
   }
 
-  throw lastErr || new Error("Failed to fetch klines");
-}
+  async function handleFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    setError("");
 
-async function fetchAllKlines({
-  symbol,
-  interval,
-  startTime,
-  endTime,
-  onProgress,
-}) {
-  // Binance limit: 1000 candles per request
-  const intervalMs = INTERVALS.find((x) => x.label === interval)?.ms ?? 300_000;
-  const maxSpan = intervalMs * 1000; // 1000 candles
-
-  let t = startTime;
-  const out = [];
-
-  let chunk = 0;
-  while (t < endTime) {
-    const chunkEnd = Math.min(endTime, t + maxSpan);
-    onProgress?.({ chunk: chunk + 1, start: t, end: chunkEnd });
-
-    // eslint-disable-next-line no-await-in-loop
-    const kl = await fetchKlinesAnyBase({
-      symbol,
-      interval,
-      startTime: t,
-      endTime: chunkEnd,
-    });
+    const json = files.find((f) => /\.json$/i.test(f.name));
+    if (json) {
+      if (files.length > 1) {
+        setError("Open an analysis JSON on its own, not together with CSVs.");
+      } else {
+        await openAnalysis(json);
+      }
+      return;
+    }
+    setParsing(true);
 
-    for (const k of kl) out.push(k);
+    const added = [];
+    const needMapping = [];
+    const failed = [];
 
-    // move forward: last candle open time + interval
-    if (kl.length > 0) {
-      const lastOpen = kl[kl.length - 1][0];
-      t = lastOpen + intervalMs;
-    } else {
-      // if empty, just jump
-      t = chunkEnd;
+    for (const file of files) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const { headers, rows } = await parseCsv(file);
+        const match = detectImporter(headers);
+
+        if (match) {
+          added.push(
+            makeUpload({
+              fileName: file.name,
+              importer: match.importer,
+              score: match.score,
+              records: match.importer.parse(rows),
+            })
+          );
+          continue;
+        }
+
+        // Unknown layout: reuse a mapping saved for these headers, else ask
+        const saved = getSavedMapping(headers);
+        if (saved) {
+          added.push(mappedUpload(file.name, headers, rows, saved));
+          continue;
+        }
+
+        if (headers.length === 0) {
+          failed.push(`${file.name} (no header row)`);
+          continue;
+        }
+        needMapping.push({ fileName: file.name, headers, rows });
+      } catch (e) {
+        failed.push(`${file.name} (${e?.message || String(e)})`);
+      }
     }
 
-    chunk += 1;
+    if (added.length > 0) changeUploads((prev) => prev.concat(added));
+    if (needMapping.length > 0) {
+      setPendingCsvs((prev) => prev.concat(needMapping));
+    }
+    if (failed.length > 0) setError(`Couldn’t read: ${failed.join(", ")}`);
+    setParsing(false);
+  }
 
-    // tiny pause to be nice with limits
-    // eslint-disable-next-line no-await-in-loop
-    await new Promise((r) => setTimeout(r, 120));
+  // upload parsed with a column mapping; keeps the CSV so it can be re-mapped
+  function mappedUpload(fileName, headers, rows, mapping) {
+    const importer = buildCustomImporter(mapping);
+    return {
+      ...makeUpload({
+        fileName,
+        importer,
+        score: null,
+        records: importer.parse(rows),
+      }),
+      mapping,
+      csv: { headers, rows },
+    };
   }
 
-  // Deduplicate by open time
-  const seen = new Set();
-  const dedup = [];
-  for (const k of out) {
-    const ot = k[0];
-    if (seen.has(ot)) continue;
-    seen.add(ot);
-    dedup.push(k);
+  function applyMapping(mapping) {
+    const [csv, ...rest] = pendingCsvs;
+    if (!csv) return;
+    saveMapping(csv.headers, mapping);
+    const upload = mappedUpload(csv.fileName, csv.headers, csv.rows, mapping);
+    setPendingCsvs(rest);
+    if (csv.replaces) {
+      // same id: source filters and the account label stay as they were
+      changeUploads((prev) =>
+        prev.map((u) =>
+          u.id === csv.replaces
+            ? { ...upload, id: u.id, account: u.account }
+            : u
+        )
+      );
+    } else {
+      changeUploads((prev) => prev.concat(upload));
+    }
   }
-  dedup.sort((a, b) => a[0] - b[0]);
 
-  return dedup;
-}
+  // a wrong saved mapping: forget it and map this upload's columns again
+  function remapUpload(u) {
+    forgetMapping(u.csv.headers);
+    setPendingCsvs((prev) => [
+      { fileName: u.fileName, ...u.csv, initial: u.mapping, replaces: u.id },
+      ...prev.filter((x) => x.replaces !== u.id),
+    ]);
+  }
 
-function indexKlines(klines) {
-  // Convert to array of {t, high, low}
-  return klines.map((k) => ({
-    t: k[0], // open time ms
-    high: Number(k[2]),
-    low: Number(k[3]),
-  }));
-}
+  function cancelMapping() {
+    const [csv, ...rest] = pendingCsvs;
+    if (!csv) return;
+    setPendingCsvs(rest);
+    if (csv.replaces) {
+      setError(
+        `Kept ${csv.fileName} as it was. Its mapping is forgotten, so adding this export again asks for the columns.`
+      );
+      return;
+    }
+    setError(
+      `Skipped ${csv.fileName}: unsupported CSV. Supported: ${IMPORTERS.map(
+        (x) => x.label
+      ).join(", ")} — or map the columns yourself.`
+    );
+  }
 
-function bestPriceInWindow({ series, startMs, endMs, direction }) {
-  // Long: best = max high, Short: best = min low
-  let best = direction === "SHORT" ? Infinity : -Infinity;
-  let found = false;
-
-  for (const c of series) {
-    if (c.t < startMs) continue;
-    if (c.t > endMs) break;
-    found = true;
-    if (direction === "SHORT") best = Math.min(best, c.low);
-    else best = Math.max(best, c.high);
+  function removeUpload(id) {
+    changeUploads((prev) => prev.filter((u) => u.id !== id));
+    setHiddenSources((prev) => prev.filter((x) => x !== id));
   }
 
-  if (!found) return null;
-  return best;
-}
+  function renameAccount(id, account) {
+    changeUploads((prev) =>
+      prev.map((u) => (u.id === id ? { ...u, account } : u))
+    );
+  }
 
-// ---------------- App ----------------
-export default function App() {
-  const [fileName, setFileName] = useState("");
-  const [source, setSource] = useState("UNKNOWN");
-  const [error, setError] = useState("");
-  const [closedTrades, setClosedTrades] = useState([]);
+  function changeLotMethod(method) {
+    setLotMethod(method);
+    resetHindsight();
+  }
 
-  // Hindsight (Binance)
-  const [interval, setInterval] = useState("5m");
-  const [lookaheadHours, setLookaheadHours] = useState(4);
-  const [realismPct, setRealismPct] = useState(80); // 80% of best move to be less fantasy
-  const [hStatus, setHStatus] = useState(""); // status line
-  const [hLoading, setHLoading] = useState(false);
-  const [hData, setHData] = useState(null); // computed fumbles per trade
+  function changeViewMode(mode) {
+    setViewMode(mode);
+    resetHindsight();
+  }
 
-  function handleFile(file) {
-    if (!file) return;
-    setFileName(file.name);
+  function toggleSource(id) {
+    setHiddenSources((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : prev.concat(id)
+    );
+  }
+
+  function clearSession() {
+    changeUploads([]);
+    setSessionId(null);
+    setHiddenSources([]);
+    setPendingCsvs([]);
     setError("");
-    setClosedTrades([]);
-    setHData(null);
-    setSource("PARSING");
+  }
 
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        const headers = results.meta.fields || [];
-        const rows = results.data || [];
-        const detected = detectSource(headers);
-        setSource(detected);
-
-        if (detected === "BLOFIN_ORDER_HISTORY") {
-          const fills = parseBloFinRows(rows);
-          const closed = buildClosedTradesFromFills(fills).filter(
-            (t) => t.closeTime
-          );
-          setClosedTrades(closed);
-          return;
-        }
+  const recon = useMemo(
+    () => mergeUploads(uploads, { method: lotMethod }),
+    [uploads, lotMethod]
+  );
+  const allTrades = viewMode === "positions" ? recon.positions : recon.trades;
+  const tradeCounts = useMemo(
+    () => countTradesBySource(allTrades),
+    [allTrades]
+  );
 
-        setError(
-          "Unsupported CSV for now. (BloFin Order History supported). Next we’ll hardcode Binance + Bybit exports too."
-        );
-      },
-    });
-  }
+  // Everything below the upload card works on the source-filtered set
+  const closedTrades = useMemo(
+    () => allTrades.filter((t) => !hiddenSources.includes(t.sourceId)),
+    [allTrades, hiddenSources]
+  );
+  const hRows = useMemo(
+    () =>
+      hData ? hData.filter((t) => !hiddenSources.includes(t.sourceId)) : null,
+    [hData, hiddenSources]
+  );
 
+  // table filters (tradeFilters.js); the KPIs follow them when scoped
+  const filteredTrades = useMemo(
+    () => filterTrades(closedTrades, tableFilters),
+    [closedTrades, tableFilters]
+  );
+  const filteredHRows = useMemo(
+    () => (hRows ? filterTrades(hRows, tableFilters) : null),
+    [hRows, tableFilters]
+  );
+  const kpiTrades = scopeKpis ? filteredTrades : closedTrades;
+  // optional table columns the last run filled in
+  const tableGroups = useMemo(() => {
+    if (!hRows) return [];
+    return [
+      hRows.some((x) => Number.isFinite(x.entrySlippage)) && "entry",
+      hRows.some((x) => x.pathChecked) && "path",
+    ].filter(Boolean);
+  }, [hRows]);
+  const kpiHRows = scopeKpis ? filteredHRows : hRows;
+
+  // Fumble Score inputs besides the trades (fumbleScore.js)
+  const scoreModel = useMemo(
+    () => ({
+      weights: scoreSettings.weights,
+      revengeMins: scoreSettings.revengeMins,
+    }),
+    [scoreSettings.weights, scoreSettings.revengeMins]
+  );
   const summary = useMemo(
-    () => summarizeClosedTrades(closedTrades),
-    [closedTrades]
+    () => summarizeClosedTrades(kpiTrades, { hRows: kpiHRows, ...scoreModel }),
+    [kpiTrades, kpiHRows, scoreModel]
   );
 
   const big = useMemo(() => {
@@ -444,6 +635,20 @@ export default function App() {
     return "#22c55e";
   }, [summary]);
 
+  // how much data one trade's lookahead window costs at this interval
+  const windowHint = useMemo(() => {
+    const lookaheadMs = lookaheadHours * 3600_000;
+    if (interval === "auto") {
+      return `${pickAutoInterval(
+        lookaheadMs
+      )} candles find the window, 1m pins the extreme`;
+    }
+    const ms = INTERVALS.find((x) => x.label === interval)?.ms ?? 300_000;
+    return `${Math.ceil(
+      lookaheadMs / ms
+    ).toLocaleString()} candles per trade window`;
+  }, [interval, lookaheadHours]);
+
   const uniqueSymbols = useMemo(() => {
     const set = new Set();
     for (const t of closedTrades) set.add(normalizeToBinanceSymbol(t.symbol));
@@ -451,180 +656,139 @@ export default function App() {
   }, [closedTrades]);
 
   const hindsightSummary = useMemo(() => {
-    if (!hData) return null;
-    const totalFumbled = hData.reduce(
-      (s, x) => s + (Number.isFinite(x.fumbled) ? x.fumbled : 0),
-      0
-    );
-    const totalPotential = hData.reduce(
-      (s, x) => s + (Number.isFinite(x.potentialPnl) ? x.potentialPnl : 0),
-      0
-    );
-    const totalRealized = hData.reduce(
-      (s, x) => s + (Number.isFinite(x.realizedPnl) ? x.realizedPnl : 0),
-      0
-    );
+    if (!kpiHRows) return null;
+    const totals = hindsightTotals(kpiHRows);
 
-    const worst = hData
+    const worst = kpiHRows
       .filter((x) => Number.isFinite(x.fumbled))
       .slice()
       .sort((a, b) => b.fumbled - a.fumbled)[0];
 
-    return { totalFumbled, totalPotential, totalRealized, worst };
-  }, [hData]);
+    // entry side (only when the run had an entry window)
+    const entryRows = kpiHRows.filter((x) => Number.isFinite(x.entrySlippage));
+    const totalEntrySlippage = entryRows.reduce(
+      (s, x) => s + x.entrySlippage,
+      0
+    );
+    const worstEntries = entryRows
+      .slice()
+      .sort((a, b) => b.entrySlippage - a.entrySlippage)
+      .slice(0, 5);
 
-  async function runHindsight() {
-    if (closedTrades.length === 0) return;
+    // each replayed strategy vs what actually happened, on the same trades
+    const strategyIds = new Set(
+      kpiHRows.flatMap((x) => Object.keys(x.strategies || {}))
+    );
+    const strategies = strategySettings.strategies
+      .filter((s) => strategyIds.has(s.id))
+      .map((s) => {
+        const rows = kpiHRows.filter((x) =>
+          Number.isFinite(x.strategies?.[s.id]?.pnl)
+        );
+        const reasons = {};
+        let pnl = 0;
+        let actual = 0;
+        let beat = 0;
+        for (const x of rows) {
+          const r = x.strategies[s.id];
+          pnl += r.pnl;
+          actual += Number.isFinite(x.realizedPnl) ? x.realizedPnl : 0;
+          if (r.pnl > x.realizedPnl) beat += 1;
+          reasons[r.reason] = (reasons[r.reason] || 0) + 1;
+        }
+        return { ...s, trades: rows.length, pnl, actual, beat, reasons };
+      });
 
+    return {
+      ...totals,
+      worst,
+      strategies,
+      hasEntryStats: entryRows.length > 0,
+      hasPathRisk: kpiHRows.some((x) => x.pathChecked),
+      liquidated: kpiHRows.filter((x) => x.liquidatedAt != null).length,
+      withLiqPrice: kpiHRows.filter((x) => Number.isFinite(x.liqPrice)).length,
+      totalEntrySlippage,
+      worstEntries,
+    };
+  }, [kpiHRows, strategySettings.strategies]);
+
+  function runHindsight() {
+    if (allTrades.length === 0) return;
+    const trades = allTrades;
+    const runId = ++hRun.current; // older runs' messages are ignored
+
+    hCancel.current?.();
     setHLoading(true);
     setHStatus("Warming up the roast…");
     setError("");
     setHData(null);
 
-    try {
-      const intervalMs =
-        INTERVALS.find((x) => x.label === interval)?.ms ?? 300_000;
-      const lookaheadMs = Number(lookaheadHours) * 3600_000;
-
-      // Group trades by symbol to fetch candles once per symbol
-      const bySymbol = new Map();
-      for (const t of closedTrades) {
-        const sym = normalizeToBinanceSymbol(t.symbol);
-        if (!sym) continue;
-        if (!bySymbol.has(sym)) bySymbol.set(sym, []);
-        bySymbol.get(sym).push(t);
-      }
-
-      const symbolSeries = new Map();
-
-      let symIdx = 0;
-      for (const [sym, trades] of bySymbol.entries()) {
-        symIdx += 1;
-
-        // Determine needed range
-        const minClose = Math.min(...trades.map((t) => t.closeTime.getTime()));
-        const maxClose = Math.max(...trades.map((t) => t.closeTime.getTime()));
-        const startTime = minClose - intervalMs * 2;
-        const endTime = maxClose + lookaheadMs + intervalMs * 2;
-
-        setHStatus(`Fetching ${sym} candles (${symIdx}/${bySymbol.size})…`);
-
-        // eslint-disable-next-line no-await-in-loop
-        const klines = await fetchAllKlines({
-          symbol: sym,
-          interval,
-          startTime,
-          endTime,
-          onProgress: ({ chunk }) => {
-            setHStatus(`Fetching ${sym} candles… chunk ${chunk}`);
-          },
-        });
-
-        symbolSeries.set(sym, indexKlines(klines));
-      }
-
-      setHStatus("Computing fumbles…");
-
-      const realism = clamp(Number(realismPct) / 100, 0, 1);
-
-      const computed = closedTrades.map((t) => {
-        const sym = normalizeToBinanceSymbol(t.symbol);
-        const series = symbolSeries.get(sym);
-        if (!series) {
-          return {
-            ...t,
-            bestExit: null,
-            potentialPnl: null,
-            fumbled: null,
-            realizedPnl: t.pnl,
-          };
-        }
-
-        // Window starts at exit time; ends at exit + lookahead
-        const startMs = t.closeTime.getTime();
-        const endMs = startMs + lookaheadMs;
-
-        const bestExitRaw = bestPriceInWindow({
-          series,
-          startMs,
-          endMs,
-          direction: t.direction,
-        });
-
-        if (!Number.isFinite(bestExitRaw)) {
-          return {
-            ...t,
-            bestExit: null,
-            potentialPnl: null,
-            fumbled: null,
-            realizedPnl: t.pnl,
-          };
-        }
-
-        // realism adjustment: pull bestExit toward actual exit
-        const exit = t.exitPrice;
-        const bestExit =
-          Number.isFinite(exit) && Number.isFinite(bestExitRaw)
-            ? exit + (bestExitRaw - exit) * realism
-            : bestExitRaw;
-
-        // Potential PnL estimate using qty and entry/bestExit
-        // Long: (bestExit - entry) * qty
-        // Short: (entry - bestExit) * qty
-        const entry = t.entryPrice;
-        const qty = t.qty;
-
-        let potentialPnl = null;
-        if (
-          Number.isFinite(entry) &&
-          Number.isFinite(bestExit) &&
-          Number.isFinite(qty)
-        ) {
-          potentialPnl =
-            t.direction === "SHORT"
-              ? (entry - bestExit) * qty
-              : (bestExit - entry) * qty;
-        }
-
-        const realized = Number.isFinite(t.pnl) ? t.pnl : null;
-
-        // Fumbled = potential - realized (only if positive)
-        let fumbled = null;
-        if (Number.isFinite(potentialPnl) && Number.isFinite(realized)) {
-          fumbled = Math.max(0, potentialPnl - realized);
-        }
-
-        // Also compute potential pct vs entry
-        let potentialPct = null;
-        if (Number.isFinite(entry) && Number.isFinite(bestExit)) {
-          const raw = ((bestExit - entry) / entry) * 100;
-          potentialPct = t.direction === "SHORT" ? -raw : raw;
+    // what the rows depend on; kept for the drawer and the JSON export
+    const run = {
+      interval,
+      lookaheadHours,
+      realismPct,
+      entryWindowHours,
+      fumbleBasis: strategySettings.enabled
+        ? strategySettings.basis
+        : BEST_PRICE_BASIS,
+      liquidation: liqCheck === "off" ? null : { cross: liqCheck },
+    };
+    setHParams({ ...run, priceSettings, candleFiles });
+
+    const finish = () => {
+      hCancel.current = null;
+      setHLoading(false);
+    };
+
+    hCancel.current = startHindsight(
+      {
+        trades,
+        ...run,
+        strategies: strategySettings.enabled ? strategySettings.strategies : [],
+        priceSettings,
+        candleFiles,
+      },
+      (msg) => {
+        if (hRun.current !== runId) return;
+        if (msg.type === "progress") {
+          setHStatus(describeProgress(msg));
+        } else if (msg.type === "symbol") {
+          // partial results: priced rows replace their trades as symbols finish
+          setHData((prev) => {
+            const next = (prev || trades).slice();
+            for (const { i, row } of msg.rows) next[i] = row;
+            return next;
+          });
+        } else if (msg.type === "done") {
+          finish();
+          setHStatus(describeDone(msg));
+          refreshCacheStats();
+        } else if (msg.type === "error") {
+          finish();
+          setError(`Hindsight failed: ${msg.message}`);
+          setHStatus("");
         }
+      }
+    );
+  }
 
-        return {
-          ...t,
-          bestExit,
-          potentialPnl,
-          potentialPct,
-          realizedPnl: realized,
-          fumbled,
-        };
-      });
+  function cancelHindsight() {
+    hRun.current += 1;
+    hCancel.current?.();
+    hCancel.current = null;
+    setHLoading(false);
+  }
 
-      setHData(computed);
-      setHStatus("Roast complete ✅");
-    } catch (e) {
-      setError(`Hindsight failed: ${e?.message || String(e)}`);
-      setHStatus("");
-    } finally {
-      setHLoading(false);
-    }
+  function stopHindsight() {
+    cancelHindsight();
+    setHStatus("Cancelled — pairs that finished are still shown");
+    refreshCacheStats();
   }
 
-  const previewRows = useMemo(
-    () => (hData ? hData : closedTrades),
-    [hData, closedTrades]
-  );
+  // how the exported rows were priced (JSON export header)
+  const { priceSettings: _ps, candleFiles: _cf, ...lastRun } = hParams || {};
+  const exportSettings = { viewMode, ...lastRun };
 
   return (
     <div style={styles.bg}>
@@ -642,57 +806,185 @@ export default function App() {
         <div style={styles.uploadCard}>
           <div style={styles.uploadTop}>
             <div>
-              <div style={styles.uploadTitle}>Drop your CSV</div>
+              <div style={styles.uploadTitle}>Drop your CSVs</div>
               <div style={styles.uploadHint}>
-                Using <b>Binance spot candles</b> for hindsight (free, no key).
+                Hindsight uses <b>Binance candles</b> (free, no key) or your own
+                candle files.
               </div>
             </div>
 
             <label style={styles.fileBtn}>
               <input
                 type="file"
-                accept=".csv"
+                accept=".csv,.json"
+                multiple
                 style={{ display: "none" }}
-                onChange={(e) => handleFile(e.target.files?.[0])}
+                onChange={(e) => {
+                  handleFiles(e.target.files);
+                  e.target.value = ""; // same file again = re-pick allowed
+                }}
               />
-              Upload CSV 🚀
+              {uploads.length > 0 ? "Add CSVs ➕" : "Upload CSVs 🚀"}
             </label>
           </div>
 
-          {fileName && (
-            <div style={styles.loadedRow}>
-              <span style={styles.badge}>Loaded</span>
-              <span style={{ fontWeight: 800 }}>{fileName}</span>
+          {parsing && <div style={styles.loadedRow}>Parsing…</div>}
+
+          {uploads.map((u) => (
+            <div key={u.id} style={styles.loadedRow}>
+              <label style={styles.sourceToggle}>
+                <input
+                  type="checkbox"
+                  checked={!hiddenSources.includes(u.id)}
+                  onChange={() => toggleSource(u.id)}
+                />
+                <span style={styles.badge}>Loaded</span>
+              </label>
+              <span style={{ fontWeight: 800 }}>{u.fileName}</span>
               <span style={styles.dim}>·</span>
               <span style={styles.dim}>
-                {source === "BLOFIN_ORDER_HISTORY"
-                  ? "BloFin detected ✅"
-                  : source === "PARSING"
-                  ? "Parsing…"
-                  : "Unknown"}
+                {`${u.label} detected ✅ ${
+                  Number.isFinite(u.score)
+                    ? `(${Math.round(u.score * 100)}% match)`
+                    : u.label === ANALYSIS_IMPORTER.label
+                    ? "(saved analysis)"
+                    : "(saved mapping)"
+                }`}
               </span>
+              <span style={styles.dim}>·</span>
+              <span style={styles.dim}>
+                {u.kind === "funding"
+                  ? `${u.records.length.toLocaleString()} funding payments`
+                  : `${(tradeCounts.get(u.id) || 0).toLocaleString()} trades`}
+              </span>
+              <input
+                style={styles.accountInput}
+                value={u.account}
+                title="Account label — uploads with the same label are merged"
+                onChange={(e) => renameAccount(u.id, e.target.value)}
+              />
+              {u.csv && (
+                <button
+                  type="button"
+                  style={styles.linkBtn}
+                  onClick={() => remapUpload(u)}
+                >
+                  Re-map columns
+                </button>
+              )}
+              <button
+                type="button"
+                style={styles.linkBtn}
+                onClick={() => removeUpload(u.id)}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+
+          {uploads.length > 1 && (
+            <div style={styles.loadedRow}>
+              <span style={styles.dim}>
+                {allTrades.length.toLocaleString()} trades merged from{" "}
+                {uploads.length} files (duplicate fills dropped)
+              </span>
+              <button
+                type="button"
+                style={styles.linkBtn}
+                onClick={clearSession}
+              >
+                Clear session
+              </button>
             </div>
           )}
 
           {error && <div style={styles.errorBox}>⚠️ {error}</div>}
+
+          {pendingCsvs.length > 0 && (
+            <ColumnMapper
+              key={pendingCsvs[0].replaces || pendingCsvs[0].fileName}
+              fileName={pendingCsvs[0].fileName}
+              headers={pendingCsvs[0].headers}
+              rows={pendingCsvs[0].rows}
+              initial={pendingCsvs[0].initial}
+              onApply={applyMapping}
+              onCancel={cancelMapping}
+            />
+          )}
         </div>
 
-        {closedTrades.length > 0 && (
+        {sessions && (
+          <SessionsPanel
+            sessions={sessions}
+            currentId={sessionId}
+            canSave={uploads.length > 0}
+            busy={sessionBusy}
+            onSave={handleSaveSession}
+            onOpen={handleOpenSession}
+            onRename={handleRenameSession}
+            onDelete={handleDeleteSession}
+          />
+        )}
+
+        {uploads.length > 0 && (
+          <DiagnosticsPanel
+            diagnostics={recon.diagnostics}
+            unmatched={recon.unmatched}
+            openPositions={recon.openPositions}
+            lotMethod={lotMethod}
+            onLotMethodChange={changeLotMethod}
+          />
+        )}
+
+        {allTrades.length > 0 && (
           <>
+            <div style={styles.viewRow}>
+              <span style={styles.dim}>Count trades as</span>
+              <button
+                type="button"
+                style={
+                  viewMode === "fills" ? styles.segBtnActive : styles.segBtn
+                }
+                onClick={() => changeViewMode("fills")}
+              >
+                Each close fill
+              </button>
+              <button
+                type="button"
+                style={
+                  viewMode === "positions" ? styles.segBtnActive : styles.segBtn
+                }
+                onClick={() => changeViewMode("positions")}
+              >
+                Whole positions (flat → flat)
+              </button>
+            </div>
+
             <div style={styles.hero}>
               <div style={styles.heroLeft}>
                 <div style={styles.heroLabel}>Fumble Score</div>
                 <div style={{ ...styles.heroNumber, color: bigColor }}>
                   {big}
                 </div>
+                <ScoreBreakdown
+                  parts={summary.scoreParts}
+                  settings={scoreSettings}
+                  onSettingsChange={changeScoreSettings}
+                />
                 <div style={styles.heroSub}>
-                  V1 behavioral score. Hindsight mode below computes the real
-                  “could’ve made”.
+                  {hRows
+                    ? "Hover a component to see how it’s scored."
+                    : "Run Hindsight Mode below to add the fumbled-share and entry components."}
                 </div>
               </div>
 
               <div style={styles.heroRight}>
-                <Stat label="Trades" value={summary.n.toLocaleString()} />
+                <Stat
+                  label={`${viewMode === "positions" ? "Positions" : "Trades"}${
+                    scopeKpis ? " (filtered)" : ""
+                  }`}
+                  value={summary.n.toLocaleString()}
+                />
                 <Stat
                   label="Win rate"
                   value={
@@ -701,7 +993,10 @@ export default function App() {
                       : "—"
                   }
                 />
-                <Stat label="Total PnL" value={fmtMoney(summary.totalPnl)} />
+                <Stat label="Gross PnL" value={fmtMoney(summary.totalPnl)} />
+                <Stat label="Fees" value={fmtMoney(-summary.totalFees)} />
+                <Stat label="Funding" value={fmtMoney(summary.totalFunding)} />
+                <Stat label="Net PnL" value={fmtMoney(summary.netPnl)} />
                 <Stat
                   label="Pairs"
                   value={
@@ -713,27 +1008,62 @@ export default function App() {
               </div>
             </div>
 
+            {kpiTrades.length > 0 && (
+              <AnalyticsPanel
+                trades={kpiTrades}
+                revengeMins={scoreSettings.revengeMins}
+                onRevengeMinsChange={(revengeMins) =>
+                  changeScoreSettings({ ...scoreSettings, revengeMins })
+                }
+              />
+            )}
+
+            {kpiTrades.length > 0 && (
+              <ChartsPanel trades={kpiTrades} hRows={kpiHRows} />
+            )}
+
+            <ComparePanel
+              trades={allTrades}
+              hRows={hData}
+              uploads={uploads}
+              sessions={sessions}
+              scoreModel={scoreModel}
+              onLoadSession={loadSessionTrades}
+            />
+
             {/* Hindsight controls */}
             <div style={styles.hCard}>
               <div style={styles.hTop}>
                 <div>
                   <div style={styles.hTitle}>Hindsight Mode (FREE)</div>
                   <div style={styles.hHint}>
-                    We fetch Binance candles once per pair, then compute “best
-                    exit within X hours”.
+                    We fetch candles once per pair, then compute “best exit
+                    within X hours”.
                   </div>
                 </div>
 
-                <button
-                  type="button"
-                  style={{ ...styles.primaryBtn, opacity: hLoading ? 0.7 : 1 }}
-                  disabled={hLoading}
-                  onClick={runHindsight}
-                >
-                  {hLoading
-                    ? "Roasting…"
-                    : "Fetch Binance candles & roast me 🔥"}
-                </button>
+                <div style={styles.hActions}>
+                  {hLoading && (
+                    <button
+                      type="button"
+                      style={styles.ghostBtn}
+                      onClick={stopHindsight}
+                    >
+                      Cancel
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    style={{
+                      ...styles.primaryBtn,
+                      opacity: hLoading ? 0.7 : 1,
+                    }}
+                    disabled={hLoading}
+                    onClick={runHindsight}
+                  >
+                    {hLoading ? "Roasting…" : "Fetch candles & roast me 🔥"}
+                  </button>
+                </div>
               </div>
 
               <div style={styles.hGrid}>
@@ -744,25 +1074,97 @@ export default function App() {
                     value={interval}
                     onChange={(e) => setInterval(e.target.value)}
                   >
+                    <option value="auto">Auto (coarse → 1m)</option>
                     {INTERVALS.map((x) => (
                       <option key={x.label} value={x.label}>
                         {x.label}
                       </option>
                     ))}
                   </select>
+                  <div style={styles.hSub}>{windowHint}</div>
                 </div>
 
                 <div>
                   <div style={styles.hLabel}>Lookahead window</div>
                   <select
                     style={styles.hSelect}
-                    value={lookaheadHours}
-                    onChange={(e) => setLookaheadHours(Number(e.target.value))}
+                    value={customLookahead ? "custom" : lookaheadHours}
+                    onChange={(e) => {
+                      if (e.target.value === "custom") {
+                        setCustomLookahead(true);
+                        return;
+                      }
+                      setCustomLookahead(false);
+                      setLookaheadHours(Number(e.target.value));
+                    }}
+                  >
+                    {LOOKAHEAD_PRESETS.map((x) => (
+                      <option key={x.hours} value={x.hours}>
+                        {x.label}
+                      </option>
+                    ))}
+                    <option value="custom">Custom…</option>
+                  </select>
+                  {customLookahead && (
+                    <div style={styles.customRow}>
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        style={styles.hSelect}
+                        value={lookaheadHours}
+                        onChange={(e) =>
+                          setLookaheadHours(
+                            Math.max(1, Number(e.target.value) || 1)
+                          )
+                        }
+                      />
+                      <span style={styles.dim}>hours</span>
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <div style={styles.hLabel}>Entry analysis</div>
+                  <select
+                    style={styles.hSelect}
+                    value={entryWindowHours}
+                    onChange={(e) =>
+                      setEntryWindowHours(Number(e.target.value))
+                    }
+                  >
+                    {ENTRY_WINDOWS.map((x) => (
+                      <option key={x.hours} value={x.hours}>
+                        {x.label}
+                      </option>
+                    ))}
+                  </select>
+                  <div style={styles.hSub}>
+                    {entryWindowHours > 0
+                      ? "Best entry around your fill, plus MAE / MFE"
+                      : "Exits only"}
+                  </div>
+                </div>
+
+                <div>
+                  <div style={styles.hLabel}>Liquidation check</div>
+                  <select
+                    style={styles.hSelect}
+                    value={liqCheck}
+                    onChange={(e) => setLiqCheck(e.target.value)}
                   >
-                    <option value={1}>1 hour</option>
-                    <option value={4}>4 hours</option>
-                    <option value={24}>24 hours</option>
+                    <option value="off">Off</option>
+                    {Object.entries(CROSS_MARGIN_MODES).map(([id, label]) => (
+                      <option key={id} value={id}>
+                        On — cross: {label.toLowerCase()}
+                      </option>
+                    ))}
                   </select>
+                  <div style={styles.hSub}>
+                    {liqCheck === "off"
+                      ? "Best exit counts even if a wick would’ve liquidated you"
+                      : "Leverage from the export, or inferred from PnL%"}
+                  </div>
                 </div>
 
                 <div>
@@ -778,11 +1180,55 @@ export default function App() {
                     />
                     <div style={styles.sliderVal}>{realismPct}%</div>
                   </div>
+                  {strategySettings.enabled &&
+                    strategySettings.basis !== BEST_PRICE_BASIS && (
+                      <div style={styles.hSub}>
+                        Not used: fumbles are measured against a strategy
+                      </div>
+                    )}
                 </div>
               </div>
 
+              <StrategyPanel
+                settings={strategySettings}
+                onChange={changeStrategySettings}
+                disabled={hLoading}
+              />
+
+              <PriceSourcePanel
+                symbols={uniqueSymbols}
+                settings={priceSettings}
+                onChange={changePriceSettings}
+                candleFiles={candleFiles}
+                onCandleFiles={handleCandleFiles}
+                onRemoveCandleFile={(id) =>
+                  setCandleFiles((prev) => prev.filter((f) => f.id !== id))
+                }
+                disabled={hLoading}
+              />
+
               {hStatus && <div style={styles.hStatus}>{hStatus}</div>}
 
+              {cacheStats && (
+                <div style={styles.cacheRow}>
+                  <span>
+                    💾 Candle cache: {cacheStats.candles.toLocaleString()}{" "}
+                    candles in {cacheStats.series.length} series (~
+                    {(cacheStats.approxBytes / 1024 / 1024).toFixed(1)} MB)
+                  </span>
+                  {cacheStats.candles > 0 && (
+                    <button
+                      type="button"
+                      style={styles.linkBtn}
+                      disabled={hLoading}
+                      onClick={handleClearCache}
+                    >
+                      Clear cache
+                    </button>
+                  )}
+                </div>
+              )}
+
               {hindsightSummary && (
                 <div style={styles.hKPIs}>
                   <Kpi
@@ -797,86 +1243,156 @@ export default function App() {
                     label="Fumbled"
                     value={fmtMoney(hindsightSummary.totalFumbled)}
                   />
+                  {hindsightSummary.hasEntryStats && (
+                    <Kpi
+                      label="Lost at entry"
+                      value={fmtMoney(hindsightSummary.totalEntrySlippage)}
+                    />
+                  )}
+                  {hindsightSummary.hasPathRisk && (
+                    <Kpi
+                      label="Liquidated before best exit"
+                      value={`${hindsightSummary.liquidated} / ${hindsightSummary.withLiqPrice}`}
+                    />
+                  )}
+                </div>
+              )}
+
+              {hindsightSummary && hindsightSummary.strategies.length > 0 && (
+                <div style={styles.tableWrap}>
+                  <table style={styles.table}>
+                    <thead>
+                      <tr>
+                        <th style={styles.th}>Strategy</th>
+                        <th style={styles.th}>Trades</th>
+                        <th style={styles.th}>Strategy PnL</th>
+                        <th style={styles.th}>Actual PnL</th>
+                        <th style={styles.th}>Difference</th>
+                        <th style={styles.th}>Beat you</th>
+                        <th style={styles.th}>Exits</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {hindsightSummary.strategies.map((s) => (
+                        <tr key={s.id}>
+                          <td style={styles.td}>{s.name}</td>
+                          <td style={styles.td}>{s.trades}</td>
+                          <td style={styles.td}>{fmtMoney(s.pnl)}</td>
+                          <td style={styles.td}>{fmtMoney(s.actual)}</td>
+                          <td style={styles.td}>
+                            {fmtMoney(s.pnl - s.actual)}
+                          </td>
+                          <td style={styles.td}>
+                            {s.beat}/{s.trades}
+                          </td>
+                          <td style={styles.td}>
+                            {Object.entries(s.reasons)
+                              .sort((a, b) => b[1] - a[1])
+                              .map(([r, n]) => `${EXIT_REASONS[r] || r} ${n}`)
+                              .join(" · ")}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                 </div>
               )}
+
+              {hindsightSummary &&
+                (hindsightSummary.worst ||
+                  hindsightSummary.worstEntries.length > 0) && (
+                  <div style={styles.boards}>
+                    {hindsightSummary.worst && (
+                      <div style={styles.board}>
+                        <div style={styles.boardTitle}>Biggest fumble</div>
+                        <div style={styles.boardRow}>
+                          <span>
+                            {normalizeToBinanceSymbol(
+                              hindsightSummary.worst.symbol
+                            )}{" "}
+                            {hindsightSummary.worst.direction} · exit{" "}
+                            {fmtPrice(hindsightSummary.worst.exitPrice)} vs{" "}
+                            {fmtPrice(hindsightSummary.worst.bestExit)}
+                          </span>
+                          <b>{fmtMoney(hindsightSummary.worst.fumbled)}</b>
+                        </div>
+                      </div>
+                    )}
+                    {hindsightSummary.worstEntries.length > 0 && (
+                      <div style={styles.board}>
+                        <div style={styles.boardTitle}>
+                          Worst entries (bought the top)
+                        </div>
+                        {hindsightSummary.worstEntries.map((t, i) => (
+                          <div key={i} style={styles.boardRow}>
+                            <span>
+                              {i + 1}. {normalizeToBinanceSymbol(t.symbol)}{" "}
+                              {t.direction} · in at {fmtPrice(t.entryPrice)} vs{" "}
+                              {fmtPrice(t.bestEntry)} (
+                              {fmtTime(t.bestEntryTime)})
+                            </span>
+                            <b>
+                              {fmtMoney(t.entrySlippage)} ·{" "}
+                              {t.entrySlippagePct.toFixed(2)}%
+                            </b>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
             </div>
 
-            {/* Trade preview */}
+            <ShareCardPanel
+              score={summary.fumbleScore}
+              scoreColor={bigColor}
+              winRate={summary.winRate}
+              tradeCount={summary.n}
+              hindsight={hindsightSummary}
+              hRows={kpiHRows}
+            />
+
+            <ExportPanel
+              trades={kpiTrades}
+              hRows={kpiHRows}
+              summary={summary}
+              hindsight={hindsightSummary}
+              settings={exportSettings}
+            />
+
+            {/* Trades */}
             <div style={styles.tableCard}>
-              <div style={styles.tableTitle}>Trade preview</div>
+              <div style={styles.tableTitle}>Trades</div>
               <div style={styles.tableHint}>
                 If Hindsight Mode ran, you’ll see <b>Best Exit</b> +{" "}
-                <b>Could’ve PnL</b> + <b>Fumbled</b>.
+                <b>Could’ve PnL</b> + <b>Fumbled</b>. Click a row for its
+                candles and fills.
               </div>
 
-              <div style={styles.tableWrap}>
-                <table style={styles.table}>
-                  <thead>
-                    <tr>
-                      <th style={styles.th}>Exchange</th>
-                      <th style={styles.th}>Symbol</th>
-                      <th style={styles.th}>Side</th>
-                      <th style={styles.th}>Entry</th>
-                      <th style={styles.th}>Exit</th>
-                      <th style={styles.th}>Best Exit</th>
-                      <th style={styles.th}>PnL</th>
-                      <th style={styles.th}>Could’ve PnL</th>
-                      <th style={styles.th}>Fumbled</th>
-                      <th style={styles.th}>Hold (min)</th>
-                      <th style={styles.th}>Close time</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {previewRows.slice(0, 80).map((t, i) => (
-                      <tr key={i}>
-                        <td style={styles.td}>{t.exchange}</td>
-                        <td style={styles.td}>
-                          {normalizeToBinanceSymbol(t.symbol)}
-                        </td>
-                        <td style={styles.td}>{t.direction}</td>
-                        <td style={styles.td}>
-                          {t.entryPrice ? fmtPrice(t.entryPrice) : "—"}
-                        </td>
-                        <td style={styles.td}>
-                          {t.exitPrice ? fmtPrice(t.exitPrice) : "—"}
-                        </td>
-                        <td style={styles.td}>
-                          {"bestExit" in t && Number.isFinite(t.bestExit)
-                            ? fmtPrice(t.bestExit)
-                            : "—"}
-                        </td>
-                        <td style={styles.td}>
-                          {Number.isFinite(t.pnl) ? fmtMoney(t.pnl) : "—"}
-                        </td>
-                        <td style={styles.td}>
-                          {"potentialPnl" in t &&
-                          Number.isFinite(t.potentialPnl)
-                            ? fmtMoney(t.potentialPnl)
-                            : "—"}
-                        </td>
-                        <td style={styles.td}>
-                          {"fumbled" in t && Number.isFinite(t.fumbled)
-                            ? fmtMoney(t.fumbled)
-                            : "—"}
-                        </td>
-                        <td style={styles.td}>
-                          {t.holdMins !== null
-                            ? t.holdMins?.toFixed?.(0) ?? "—"
-                            : "—"}
-                        </td>
-                        <td style={styles.td}>
-                          t.closeTime ? t.closeTime.toISOString().slice(0,
-                          19).replace("T", " ") : "—"
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
+              <TradeTable
+                rows={hRows || closedTrades}
+                filteredRows={filteredHRows || filteredTrades}
+                filters={tableFilters}
+                onFiltersChange={setTableFilters}
+                scoped={scopeKpis}
+                onScopedChange={setScopeKpis}
+                groups={tableGroups}
+                onRowClick={setDrawerTrade}
+              />
+
+              {drawerTrade && (
+                <TradeDrawer
+                  trade={drawerTrade}
+                  params={
+                    hParams || { lookaheadHours, priceSettings, candleFiles }
+                  }
+                  onClose={() => setDrawerTrade(null)}
+                />
+              )}
 
               <div style={styles.footerRow}>
                 <span style={styles.footerPill}>🔒 Runs locally</span>
-                <span style={styles.footerPill}>🧨 Binance candles (free)</span>
+                <span style={styles.footerPill}>🧨 Free public candles</span>
                 <span style={styles.footerPill}>🤝 No API key</span>
               </div>
             </div>
@@ -978,6 +1494,30 @@ const styles = {
     border: "1px solid rgba(34,197,94,0.35)",
   },
   dim: { opacity: 0.7 },
+  sourceToggle: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    cursor: "pointer",
+  },
+  accountInput: {
+    padding: "4px 8px",
+    borderRadius: 10,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+    width: 140,
+  },
+  linkBtn: {
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: "rgba(229,231,235,0.75)",
+    textDecoration: "underline",
+    cursor: "pointer",
+    fontSize: 13,
+  },
 
   errorBox: {
     marginTop: 12,
@@ -989,8 +1529,37 @@ const styles = {
     fontWeight: 800,
   },
 
-  hero: {
+  viewRow: {
     marginTop: 16,
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    flexWrap: "wrap",
+    fontSize: 13,
+  },
+  segBtn: {
+    padding: "6px 12px",
+    borderRadius: 999,
+    fontWeight: 900,
+    fontSize: 12,
+    color: "#e5e7eb",
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    cursor: "pointer",
+  },
+  segBtnActive: {
+    padding: "6px 12px",
+    borderRadius: 999,
+    fontWeight: 1000,
+    fontSize: 12,
+    color: "#0b1220",
+    background: "linear-gradient(90deg, rgba(34,197,94,1), rgba(0,209,255,1))",
+    border: "1px solid transparent",
+    cursor: "pointer",
+  },
+
+  hero: {
+    marginTop: 12,
     display: "grid",
     gridTemplateColumns: "1.2fr 0.8fr",
     gap: 14,
@@ -1049,7 +1618,17 @@ const styles = {
   },
   hTitle: { fontWeight: 1100, fontSize: 16 },
   hHint: { marginTop: 4, fontSize: 13, color: "rgba(229,231,235,0.75)" },
+  hActions: { display: "flex", gap: 10, alignItems: "center" },
 
+  ghostBtn: {
+    padding: "10px 14px",
+    borderRadius: 14,
+    fontWeight: 1000,
+    color: "#e5e7eb",
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    cursor: "pointer",
+  },
   primaryBtn: {
     padding: "10px 14px",
     borderRadius: 14,
@@ -1063,10 +1642,12 @@ const styles = {
   hGrid: {
     marginTop: 14,
     display: "grid",
-    gridTemplateColumns: "1fr 1fr 1fr",
+    gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))",
     gap: 12,
   },
   hLabel: { fontSize: 12, fontWeight: 900, opacity: 0.85, marginBottom: 6 },
+  hSub: { marginTop: 6, fontSize: 12, opacity: 0.65 },
+  customRow: { marginTop: 8, display: "flex", gap: 8, alignItems: "center" },
   hSelect: {
     width: "100%",
     padding: "10px 12px",
@@ -1086,12 +1667,42 @@ const styles = {
     fontWeight: 800,
   },
 
+  cacheRow: {
+    marginTop: 10,
+    display: "flex",
+    gap: 10,
+    alignItems: "center",
+    flexWrap: "wrap",
+    fontSize: 12,
+    color: "rgba(229,231,235,0.75)",
+  },
+
   hKPIs: {
     marginTop: 12,
     display: "grid",
-    gridTemplateColumns: "repeat(3, minmax(0, 1fr))",
+    gridTemplateColumns: "repeat(auto-fit, minmax(140px, 1fr))",
+    gap: 12,
+  },
+  boards: {
+    marginTop: 12,
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))",
     gap: 12,
   },
+  board: {
+    borderRadius: 16,
+    padding: 12,
+    background: "rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,255,255,0.10)",
+  },
+  boardTitle: { fontSize: 12, opacity: 0.75, marginBottom: 8, fontWeight: 900 },
+  boardRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    gap: 10,
+    fontSize: 13,
+    padding: "4px 0",
+  },
   kpi: {
     borderRadius: 16,
     padding: 12,
@@ -0,0 +1,276 @@
+import { marketKey, netPnl } from "./trades";
+import { DAY_MS, mean } from "./utils";
+
+/**
+ * Behavioral analytics over closed trades (or positions). Pure functions:
+ * trades in, numbers out, nothing mutated. Every PnL figure is net of fees
+ * and funding (netPnl); trades without a PnL are ignored.
+ *
+ * Exports carry no stop-loss, so "R" uses the average losing trade as 1R.
+ * Daily figures bucket by close time in UTC; Sharpe / Sortino are annualized
+ * over 365 days (crypto never closes) and computed on daily $ PnL, so they
+ * describe consistency, not return on capital.
+ */
+
+const sum = (arr) => arr.reduce((s, x) => s + x, 0);
+
+// trades with a usable net PnL, oldest close first
+function closedInOrder(trades) {
+  return trades
+    .filter((t) => Number.isFinite(netPnl(t)) && t.closeTime)
+    .slice()
+    .sort((a, b) => a.closeTime.getTime() - b.closeTime.getTime());
+}
+
+// revenge window (minutes) unless the user picks another one
+export const DEFAULT_REVENGE_MINS = 30;
+
+export const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// ---------------- per-trade metrics ----------------
+// gross profit / gross loss; Infinity with no losers, NaN with no trades
+export function profitFactor(trades) {
+  const pnls = trades.map(netPnl).filter(Number.isFinite);
+  const won = sum(pnls.filter((x) => x > 0));
+  const lost = -sum(pnls.filter((x) => x < 0));
+  if (pnls.length === 0) return NaN;
+  return lost > 0 ? won / lost : won > 0 ? Infinity : NaN;
+}
+
+// average net PnL per trade
+export function expectancy(trades) {
+  return mean(trades.map(netPnl).filter(Number.isFinite));
+}
+
+// expectancy in R, 1R = the average losing trade
+export function averageR(trades) {
+  const pnls = trades.map(netPnl).filter(Number.isFinite);
+  const avgLoss = -mean(pnls.filter((x) => x < 0));
+  return avgLoss > 0 ? mean(pnls) / avgLoss : NaN;
+}
+
+// -> { largestWin, largestLoss } (trades, or null)
+export function largestTrades(trades) {
+  let largestWin = null;
+  let largestLoss = null;
+  for (const t of trades) {
+    const p = netPnl(t);
+    if (!Number.isFinite(p)) continue;
+    if (p > 0 && (!largestWin || p > netPnl(largestWin))) largestWin = t;
+    if (p < 0 && (!largestLoss || p < netPnl(largestLoss))) largestLoss = t;
+  }
+  return { largestWin, largestLoss };
+}
+
+// longest runs of wins / losses in close order; break-even trades end both
+export function streaks(trades) {
+  let maxWin = 0;
+  let maxLoss = 0;
+  let win = 0;
+  let loss = 0;
+  for (const t of closedInOrder(trades)) {
+    const p = netPnl(t);
+    win = p > 0 ? win + 1 : 0;
+    loss = p < 0 ? loss + 1 : 0;
+    maxWin = Math.max(maxWin, win);
+    maxLoss = Math.max(maxLoss, loss);
+  }
+  return { maxWin, maxLoss };
+}
+
+// ---------------- equity & daily ----------------
+// cumulative net PnL after each close: [{ t, pnl, equity }]
+export function equityCurve(trades) {
+  let equity = 0;
+  return closedInOrder(trades).map((t) => {
+    const pnl = netPnl(t);
+    equity += pnl;
+    return { t: t.closeTime.getTime(), pnl, equity };
+  });
+}
+
+/**
+ * Deepest peak-to-trough fall of the equity curve (starting from 0).
+ * -> { amount (≥ 0), peak, trough, peakT, troughT } or null with no trades
+ */
+export function maxDrawdown(curve) {
+  if (curve.length === 0) return null;
+  let peak = 0;
+  let peakT = curve[0].t;
+  let worst = { amount: 0, peak: 0, trough: 0, peakT, troughT: peakT };
+  for (const p of curve) {
+    if (p.equity > peak) {
+      peak = p.equity;
+      peakT = p.t;
+    }
+    const dd = peak - p.equity;
+    if (dd > worst.amount) {
+      worst = { amount: dd, peak, trough: p.equity, peakT, troughT: p.t };
+    }
+  }
+  return worst;
+}
+
+/**
+ * Net PnL per UTC day, first to last close, quiet days included as 0
+ * (they are part of the track record). -> [{ day, pnl, trades }]
+ */
+export function dailyPnl(trades) {
+  const byDay = new Map();
+  for (const t of closedInOrder(trades)) {
+    const key = dayKey(t.closeTime.getTime());
+    const d = byDay.get(key) || { day: key, pnl: 0, trades: 0 };
+    d.pnl += netPnl(t);
+    d.trades += 1;
+    byDay.set(key, d);
+  }
+  if (byDay.size === 0) return [];
+
+  const keys = Array.from(byDay.keys());
+  const first = Date.parse(keys[0]);
+  const last = Date.parse(keys[keys.length - 1]);
+  const out = [];
+  for (let ms = first; ms <= last; ms += DAY_MS) {
+    const key = dayKey(ms);
+    out.push(byDay.get(key) || { day: key, pnl: 0, trades: 0 });
+  }
+  return out;
+}
+
+// sample standard deviation
+function stdDev(values) {
+  if (values.length < 2) return NaN;
+  const m = mean(values);
+  return Math.sqrt(sum(values.map((x) => (x - m) ** 2)) / (values.length - 1));
+}
+
+// annualized mean / std of daily PnL; NaN with < 2 days or no variance
+export function sharpeRatio(daily) {
+  const pnls = daily.map((d) => d.pnl);
+  const sd = stdDev(pnls);
+  return sd > 0 ? (mean(pnls) / sd) * Math.sqrt(365) : NaN;
+}
+
+// like Sharpe, but only losing days count as risk (downside deviation)
+export function sortinoRatio(daily) {
+  const pnls = daily.map((d) => d.pnl);
+  if (pnls.length < 2) return NaN;
+  const downside = Math.sqrt(
+    sum(pnls.map((x) => Math.min(0, x) ** 2)) / pnls.length
+  );
+  return downside > 0 ? (mean(pnls) / downside) * Math.sqrt(365) : NaN;
+}
+
+// ---------------- breakdowns ----------------
+/**
+ * Groups trades by keyOf(trade) -> [{ key, n, wins, winRate, net,
+ * profitFactor, expectancy }], biggest net PnL first.
+ */
+export function breakdownBy(trades, keyOf) {
+  const groups = new Map();
+  for (const t of trades) {
+    if (!Number.isFinite(netPnl(t))) continue;
+    const key = keyOf(t);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+  return Array.from(groups, ([key, list]) => {
+    const wins = list.filter((t) => netPnl(t) > 0).length;
+    return {
+      key,
+      n: list.length,
+      wins,
+      winRate: wins / list.length,
+      net: sum(list.map(netPnl)),
+      profitFactor: profitFactor(list),
+      expectancy: expectancy(list),
+    };
+  }).sort((a, b) => b.net - a.net);
+}
+
+// ---------------- behavior ----------------
+const notional = (t) =>
+  Number.isFinite(t.entryPrice) && Number.isFinite(t.qty)
+    ? Math.abs(t.entryPrice * t.qty)
+    : NaN;
+
+/**
+ * Revenge trades: opened within withinMins after a losing close, with a bigger
+ * notional size than that loser. Only trades of the same account count.
+ * -> [{ trade, after, gapMins, sizeRatio }]
+ */
+export function revengeTrades(
+  trades,
+  { withinMins = DEFAULT_REVENGE_MINS } = {}
+) {
+  const closes = closedInOrder(trades);
+  const out = [];
+  for (const t of trades) {
+    const entry = t.firstEntryTime || t.entryTime;
+    if (!entry) continue;
+    const entryMs = entry.getTime();
+
+    // most recent close of the same account before this entry
+    let lo = 0;
+    let hi = closes.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (closes[mid].closeTime.getTime() < entryMs) lo = mid + 1;
+      else hi = mid;
+    }
+    let prev = null;
+    for (let k = lo - 1; k >= 0 && !prev; k -= 1) {
+      const c = closes[k];
+      if (c !== t && (c.account ?? null) === (t.account ?? null)) prev = c;
+    }
+    if (!prev || !(netPnl(prev) < 0)) continue;
+
+    const gapMins = (entryMs - prev.closeTime.getTime()) / 60_000;
+    const sizeRatio = notional(t) / notional(prev);
+    if (gapMins <= withinMins && sizeRatio > 1) {
+      out.push({ trade: t, after: prev, gapMins, sizeRatio });
+    }
+  }
+  return out;
+}
+
+/**
+ * Overtrading days: at least minTrades closes and more than factor × the
+ * median trades-per-active-day. -> [{ day, trades, pnl }], busiest first
+ */
+export function overtradingDays(daily, { factor = 2, minTrades = 5 } = {}) {
+  const active = daily.filter((d) => d.trades > 0);
+  if (active.length === 0) return [];
+  const counts = active.map((d) => d.trades).sort((a, b) => a - b);
+  const mid = counts.length >> 1;
+  const median =
+    counts.length % 2 ? counts[mid] : (counts[mid - 1] + counts[mid]) / 2;
+  return active
+    .filter((d) => d.trades >= minTrades && d.trades > median * factor)
+    .sort((a, b) => b.trades - a.trades);
+}
+
+// ---------------- everything at once ----------------
+export function analyzeTrades(
+  trades,
+  { revengeMins = DEFAULT_REVENGE_MINS } = {}
+) {
+  const curve = equityCurve(trades);
+  const daily = dailyPnl(trades);
+  return {
+    profitFactor: profitFactor(trades),
+    expectancy: expectancy(trades),
+    averageR: averageR(trades),
+    ...largestTrades(trades),
+    streaks: streaks(trades),
+    curve,
+    maxDrawdown: maxDrawdown(curve),
+    daily,
+    sharpe: sharpeRatio(daily),
+    sortino: sortinoRatio(daily),
+    byDirection: breakdownBy(trades, (t) => t.direction),
+    bySymbol: breakdownBy(trades, (t) => marketKey(t.symbol)),
+    revenge: revengeTrades(trades, { withinMins: revengeMins }),
+    overtrading: overtradingDays(daily),
+  };
+}
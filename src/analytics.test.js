@@ -0,0 +1,386 @@
+import {
+  averageR,
+  breakdownBy,
+  dailyPnl,
+  equityCurve,
+  expectancy,
+  largestTrades,
+  maxDrawdown,
+  overtradingDays,
+  profitFactor,
+  revengeTrades,
+  sharpeRatio,
+  sortinoRatio,
+  streaks,
+} from "./analytics";
+import { marketKey } from "./trades";
+
+// closed trade with net PnL = pnl, closed at `close` (ISO, UTC)
+const trade = (pnl, close, extra = {}) => ({
+  pnl,
+  fees: 0,
+  funding: 0,
+  closeTime: new Date(close),
+  ...extra,
+});
+
+const day = (d, pnl, trades = 1) => ({ day: d, pnl, trades });
+
+describe("profitFactor", () => {
+  test("gross profit / gross loss", () => {
+    const trades = [
+      trade(30, "2024-01-01T00:00Z"),
+      trade(-10, "2024-01-02T00:00Z"),
+      trade(-5, "2024-01-03T00:00Z"),
+    ];
+    expect(profitFactor(trades)).toBe(2);
+  });
+
+  test("no losers -> Infinity, no trades -> NaN", () => {
+    expect(profitFactor([trade(5, "2024-01-01T00:00Z")])).toBe(Infinity);
+    expect(profitFactor([])).toBeNaN();
+  });
+
+  test("uses net PnL", () => {
+    const trades = [
+      trade(10, "2024-01-01T00:00Z", { fees: 2 }),
+      trade(-4, "2024-01-02T00:00Z"),
+    ];
+    expect(profitFactor(trades)).toBe(2);
+  });
+});
+
+describe("expectancy", () => {
+  test("average net PnL per trade", () => {
+    const trades = [
+      trade(30, "2024-01-01T00:00Z", { fees: 2 }),
+      trade(-10, "2024-01-02T00:00Z"),
+      trade(null, "2024-01-03T00:00Z"),
+    ];
+    expect(expectancy(trades)).toBe(9);
+  });
+
+  test("NaN without trades, the average win with only winners", () => {
+    expect(expectancy([])).toBeNaN();
+    expect(
+      expectancy([trade(4, "2024-01-01T00:00Z"), trade(8, "2024-01-02T00:00Z")])
+    ).toBe(6);
+  });
+});
+
+describe("largestTrades", () => {
+  test("biggest net win and loss", () => {
+    const win = trade(20, "2024-01-02T00:00Z");
+    const loss = trade(-15, "2024-01-03T00:00Z");
+    const trades = [
+      trade(5, "2024-01-01T00:00Z"),
+      win,
+      loss,
+      trade(-3, "2024-01-04T00:00Z"),
+    ];
+    expect(largestTrades(trades)).toEqual({
+      largestWin: win,
+      largestLoss: loss,
+    });
+  });
+
+  test("ties keep the first trade", () => {
+    const firstWin = trade(10, "2024-01-01T00:00Z");
+    const firstLoss = trade(-10, "2024-01-02T00:00Z");
+    const { largestWin, largestLoss } = largestTrades([
+      firstWin,
+      firstLoss,
+      trade(10, "2024-01-03T00:00Z"),
+      trade(-10, "2024-01-04T00:00Z"),
+    ]);
+    expect(largestWin).toBe(firstWin);
+    expect(largestLoss).toBe(firstLoss);
+  });
+
+  test("null without winners / losers", () => {
+    expect(largestTrades([trade(0, "2024-01-01T00:00Z")])).toEqual({
+      largestWin: null,
+      largestLoss: null,
+    });
+  });
+});
+
+describe("averageR", () => {
+  test("expectancy in units of the average loss", () => {
+    const trades = [
+      trade(40, "2024-01-01T00:00Z"),
+      trade(-10, "2024-01-02T00:00Z"),
+      trade(-30, "2024-01-03T00:00Z"),
+      trade(20, "2024-01-04T00:00Z"),
+    ];
+    // mean 5, 1R = 20
+    expect(averageR(trades)).toBe(0.25);
+  });
+
+  test("NaN without losers", () => {
+    expect(averageR([trade(10, "2024-01-01T00:00Z")])).toBeNaN();
+  });
+});
+
+describe("streaks", () => {
+  test("longest runs in close order", () => {
+    const trades = [
+      trade(1, "2024-01-03T00:00Z"),
+      trade(1, "2024-01-01T00:00Z"),
+      trade(1, "2024-01-02T00:00Z"),
+      trade(-1, "2024-01-04T00:00Z"),
+      trade(-1, "2024-01-05T00:00Z"),
+    ];
+    expect(streaks(trades)).toEqual({ maxWin: 3, maxLoss: 2 });
+  });
+
+  test("break-even resets both", () => {
+    const trades = [
+      trade(1, "2024-01-01T00:00Z"),
+      trade(0, "2024-01-02T00:00Z"),
+      trade(1, "2024-01-03T00:00Z"),
+      trade(-1, "2024-01-04T00:00Z"),
+      trade(0, "2024-01-05T00:00Z"),
+      trade(-1, "2024-01-06T00:00Z"),
+    ];
+    expect(streaks(trades)).toEqual({ maxWin: 1, maxLoss: 1 });
+  });
+});
+
+describe("equityCurve", () => {
+  test("cumulative net PnL in close order", () => {
+    const trades = [
+      trade(5, "2024-01-02T00:00Z"),
+      trade(-2, "2024-01-01T00:00Z"),
+      trade(null, "2024-01-03T00:00Z"),
+    ];
+    expect(equityCurve(trades)).toEqual([
+      { t: Date.parse("2024-01-01T00:00Z"), pnl: -2, equity: -2 },
+      { t: Date.parse("2024-01-02T00:00Z"), pnl: 5, equity: 3 },
+    ]);
+  });
+
+  test("equal close times keep their input order", () => {
+    const trades = [
+      trade(1, "2024-01-01T00:00Z"),
+      trade(2, "2024-01-01T00:00Z"),
+      trade(3, "2024-01-01T00:00Z"),
+    ];
+    expect(equityCurve(trades).map((p) => p.pnl)).toEqual([1, 2, 3]);
+    expect(equityCurve(trades.slice().reverse()).map((p) => p.pnl)).toEqual([
+      3, 2, 1,
+    ]);
+  });
+});
+
+describe("maxDrawdown", () => {
+  test("deepest peak-to-trough fall", () => {
+    const curve = [
+      { t: 1, equity: 10 },
+      { t: 2, equity: 4 },
+      { t: 3, equity: 20 },
+      { t: 4, equity: 8 },
+      { t: 5, equity: 15 },
+    ];
+    expect(maxDrawdown(curve)).toEqual({
+      amount: 12,
+      peak: 20,
+      trough: 8,
+      peakT: 3,
+      troughT: 4,
+    });
+  });
+
+  test("measured from 0 when the first trade loses", () => {
+    const dd = maxDrawdown([
+      { t: 1, equity: -5 },
+      { t: 2, equity: 3 },
+    ]);
+    expect(dd.amount).toBe(5);
+    expect(dd.peak).toBe(0);
+  });
+
+  test("null without trades", () => {
+    expect(maxDrawdown([])).toBeNull();
+  });
+});
+
+describe("dailyPnl", () => {
+  test("buckets by UTC close day and fills gap days with 0", () => {
+    const trades = [
+      trade(5, "2024-01-01T23:59Z"),
+      trade(-2, "2024-01-01T01:00Z"),
+      trade(7, "2024-01-04T00:00Z"),
+    ];
+    expect(dailyPnl(trades)).toEqual([
+      day("2024-01-01", 3, 2),
+      day("2024-01-02", 0, 0),
+      day("2024-01-03", 0, 0),
+      day("2024-01-04", 7, 1),
+    ]);
+  });
+
+  test("skips trades without a PnL", () => {
+    expect(dailyPnl([trade(null, "2024-01-01T00:00Z")])).toEqual([]);
+  });
+});
+
+describe("sharpeRatio / sortinoRatio", () => {
+  test("NaN with fewer than 2 days", () => {
+    expect(sharpeRatio([day("2024-01-01", 5)])).toBeNaN();
+    expect(sortinoRatio([day("2024-01-01", 5)])).toBeNaN();
+    expect(sharpeRatio([])).toBeNaN();
+  });
+
+  test("annualized over 365 days", () => {
+    const daily = [day("2024-01-01", 3), day("2024-01-02", -1)];
+    // mean 1, sample sd 2√2, downside deviation √(1/2)
+    expect(sharpeRatio(daily)).toBeCloseTo(
+      (1 / (2 * Math.SQRT2)) * Math.sqrt(365)
+    );
+    expect(sortinoRatio(daily)).toBeCloseTo(Math.SQRT2 * Math.sqrt(365));
+  });
+
+  test("NaN without variance / without losing days", () => {
+    expect(sharpeRatio([day("2024-01-01", 2), day("2024-01-02", 2)])).toBeNaN();
+    expect(
+      sortinoRatio([day("2024-01-01", 2), day("2024-01-02", 3)])
+    ).toBeNaN();
+  });
+});
+
+describe("breakdownBy", () => {
+  const trades = [
+    trade(10, "2024-01-01T00:00Z", { direction: "LONG", symbol: "BTC-USDT" }),
+    trade(-4, "2024-01-02T00:00Z", { direction: "LONG", symbol: "BTCUSDT" }),
+    trade(-6, "2024-01-03T00:00Z", { direction: "SHORT", symbol: "ETH-USDT" }),
+    trade(null, "2024-01-04T00:00Z", { direction: "SHORT", symbol: "SOL" }),
+  ];
+
+  test("long / short", () => {
+    expect(breakdownBy(trades, (t) => t.direction)).toEqual([
+      {
+        key: "LONG",
+        n: 2,
+        wins: 1,
+        winRate: 0.5,
+        net: 6,
+        profitFactor: 2.5,
+        expectancy: 3,
+      },
+      {
+        key: "SHORT",
+        n: 1,
+        wins: 0,
+        winRate: 0,
+        net: -6,
+        profitFactor: 0,
+        expectancy: -6,
+      },
+    ]);
+  });
+
+  test("per symbol, biggest net first; trades without PnL left out", () => {
+    const rows = breakdownBy(trades, (t) => marketKey(t.symbol));
+    expect(rows.map((r) => [r.key, r.n, r.net])).toEqual([
+      ["BTCUSDT", 2, 6],
+      ["ETHUSDT", 1, -6],
+    ]);
+  });
+});
+
+describe("revengeTrades", () => {
+  // a loser closed at 10:00 UTC, notional 100
+  const loser = trade(-10, "2024-01-01T10:00Z", {
+    account: "a",
+    entryTime: new Date("2024-01-01T09:00Z"),
+    entryPrice: 10,
+    qty: 10,
+  });
+  const next = (entry, qty, account = "a") =>
+    trade(1, "2024-01-01T12:00Z", {
+      account,
+      entryTime: new Date(entry),
+      entryPrice: 10,
+      qty,
+    });
+
+  test("bigger re-entry within the window after a loss", () => {
+    const t = next("2024-01-01T10:20Z", 20);
+    const out = revengeTrades([loser, t]);
+    expect(out).toHaveLength(1);
+    expect(out[0]).toMatchObject({
+      trade: t,
+      after: loser,
+      gapMins: 20,
+      sizeRatio: 2,
+    });
+  });
+
+  test("same size or smaller is not revenge", () => {
+    expect(revengeTrades([loser, next("2024-01-01T10:20Z", 10)])).toEqual([]);
+  });
+
+  test("time gap threshold", () => {
+    const t = next("2024-01-01T10:45Z", 20);
+    expect(revengeTrades([loser, t])).toEqual([]);
+    expect(revengeTrades([loser, t], { withinMins: 45 })).toHaveLength(1);
+  });
+
+  test("only losses of the same account count", () => {
+    expect(revengeTrades([loser, next("2024-01-01T10:20Z", 20, "b")])).toEqual(
+      []
+    );
+  });
+
+  test("the most recent close decides, not an older loss", () => {
+    const winner = trade(5, "2024-01-01T10:10Z", {
+      account: "a",
+      entryTime: new Date("2024-01-01T10:05Z"),
+      entryPrice: 10,
+      qty: 1,
+    });
+    expect(
+      revengeTrades([loser, winner, next("2024-01-01T10:20Z", 20)])
+    ).toEqual([]);
+  });
+});
+
+describe("overtradingDays", () => {
+  test("days above factor × the median with at least minTrades", () => {
+    const daily = [
+      day("2024-01-01", 1, 2),
+      day("2024-01-02", 0, 0),
+      day("2024-01-03", 1, 2),
+      day("2024-01-04", -5, 9),
+      day("2024-01-05", 1, 3),
+      day("2024-01-06", -1, 6),
+    ];
+    // active-day median (2, 2, 3, 6, 9) = 3 -> more than 6 trades
+    expect(overtradingDays(daily)).toEqual([day("2024-01-04", -5, 9)]);
+    // more than 4.5, busiest first
+    expect(overtradingDays(daily, { factor: 1.5 })).toEqual([
+      day("2024-01-04", -5, 9),
+      day("2024-01-06", -1, 6),
+    ]);
+    expect(overtradingDays(daily, { factor: 1.5, minTrades: 7 })).toEqual([
+      day("2024-01-04", -5, 9),
+    ]);
+  });
+
+  test("minTrades floor", () => {
+    const daily = [
+      day("2024-01-01", 0, 1),
+      day("2024-01-02", 0, 1),
+      day("2024-01-03", 0, 4),
+    ];
+    expect(overtradingDays(daily)).toEqual([]);
+    expect(overtradingDays(daily, { minTrades: 4 })).toEqual([
+      day("2024-01-03", 0, 4),
+    ]);
+  });
+
+  test("empty without active days", () => {
+    expect(overtradingDays([day("2024-01-01", 0, 0)])).toEqual([]);
+  });
+});
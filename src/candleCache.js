@@ -0,0 +1,116 @@
+import { dbOpener, done, request } from "./idb";
+
+/**
+ * Persistent candle store (IndexedDB), so hindsight re-runs don't re-download.
+ *
+ * - "candles": one record per candle, key [series, openTime] where
+ *   series = "binance-spot:BTCUSDT|5m"; value keeps the first 7 kline fields.
+ * - "coverage": per series, the sorted [from, to] ranges already fetched
+ *   (including stretches where the exchange had no candles at all).
+ *
+ * Every function resolves to null / no-ops when IndexedDB isn't available
+ * (old browsers, some private modes, tests): callers just fetch directly.
+ */
+
+const DB_NAME = "fumble-candles";
+const DB_VERSION = 1;
+const APPROX_BYTES_PER_CANDLE = 120; // 7 short strings/numbers + key overhead
+
+// a broken/blocked DB shouldn't break hindsight: openDb() then gives null
+const openDb = dbOpener(DB_NAME, DB_VERSION, {
+  candles: { keyPath: ["s", "t"] },
+  coverage: { keyPath: "s" },
+});
+
+const seriesKey = (source, symbol, interval) =>
+  `${source}:${symbol}|${interval}`;
+
+// sorted, overlapping/touching ranges merged
+export function mergeRanges(ranges) {
+  const sorted = ranges
+    .filter(([a, b]) => b > a)
+    .slice()
+    .sort((x, y) => x[0] - y[0]);
+  const out = [];
+  for (const [a, b] of sorted) {
+    const last = out[out.length - 1];
+    if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+    else out.push([a, b]);
+  }
+  return out;
+}
+
+// -> { ranges } for the series, or null when there is no cache at all
+export async function cacheCoverage(source, symbol, interval) {
+  const db = await openDb();
+  if (!db) return null;
+  const tx = db.transaction("coverage", "readonly");
+  const row = await request(
+    tx.objectStore("coverage").get(seriesKey(source, symbol, interval))
+  );
+  return { ranges: row?.ranges || [] };
+}
+
+export async function writeCandles(source, symbol, interval, klines, range) {
+  const db = await openDb();
+  if (!db) return;
+  const s = seriesKey(source, symbol, interval);
+
+  const tx = db.transaction(["candles", "coverage"], "readwrite");
+  const candles = tx.objectStore("candles");
+  for (const k of klines) {
+    candles.put({ s, t: k[0], k: k.slice(0, 7) });
+  }
+
+  const coverage = tx.objectStore("coverage");
+  const row = await request(coverage.get(s));
+  const ranges = mergeRanges((row?.ranges || []).concat([range]));
+  coverage.put({ s, ranges });
+
+  await done(tx);
+}
+
+export async function readCandles(source, symbol, interval, from, to) {
+  const db = await openDb();
+  if (!db) return [];
+  const s = seriesKey(source, symbol, interval);
+  const tx = db.transaction("candles", "readonly");
+  const rows = await request(
+    tx.objectStore("candles").getAll(IDBKeyRange.bound([s, from], [s, to]))
+  );
+  return rows.map((r) => r.k);
+}
+
+// -> { candles, approxBytes, series: [{ key, count }] } or null without IndexedDB
+export async function getCandleCacheStats() {
+  const db = await openDb();
+  if (!db) return null;
+
+  const tx = db.transaction("coverage", "readonly");
+  const rows = await request(tx.objectStore("coverage").getAll());
+
+  const series = [];
+  let candles = 0;
+  for (const row of rows) {
+    const tx2 = db.transaction("candles", "readonly");
+    // eslint-disable-next-line no-await-in-loop
+    const count = await request(
+      tx2
+        .objectStore("candles")
+        .count(IDBKeyRange.bound([row.s, -Infinity], [row.s, Infinity]))
+    );
+    series.push({ key: row.s, count });
+    candles += count;
+  }
+
+  return { candles, approxBytes: candles * APPROX_BYTES_PER_CANDLE, series };
+}
+
+export async function clearCandleCache() {
+  const db = await openDb();
+  if (!db) return;
+  const tx = db.transaction(["candles", "coverage"], "readwrite");
+  tx.objectStore("candles").clear();
+  tx.objectStore("coverage").clear();
+  await done(tx);
+}
@@ -0,0 +1,249 @@
+import { cacheCoverage, readCandles, writeCandles } from "./candleCache";
+
+/**
+ * Candles from a price source (see ./priceSources) + the local cache in front of them.
+ * Klines are Binance's raw arrays: [openTime, open, high, low, close, volume, closeTime, ...]
+ * whichever source they came from.
+ */
+
+export const INTERVALS = [
+  { label: "1m", ms: 60_000 },
+  { label: "5m", ms: 300_000 },
+  { label: "15m", ms: 900_000 },
+  { label: "1h", ms: 3_600_000 },
+  { label: "4h", ms: 14_400_000 },
+  { label: "1d", ms: 86_400_000 },
+];
+
+export function normalizeToBinanceSymbol(sym) {
+  // BloFin might be BTCUSDT already; others might be BTC-USDT, BTC/USDT, etc.
+  return String(sym || "")
+    .toUpperCase()
+    .replaceAll("-", "")
+    .replaceAll("/", "")
+    .trim();
+}
+
+// Closed candles only: the one still forming would poison the cache
+function closedOnly(klines, intervalMs, now) {
+  return klines.filter((k) => k[0] + intervalMs <= now);
+}
+
+/**
+ * Cache-first kline fetch: reads what IndexedDB already has for
+ * source + symbol + interval, downloads only the missing ranges, stores them,
+ * then returns the whole requested range from the cache. Candles the cache
+ * won't take (quota, a broken DB) are still returned, just not kept.
+ * Falls back to plain fetching when IndexedDB isn't available or the source
+ * isn't cacheable (local files). Missing ranges are fetched concurrently
+ * through `scheduler` (see priceSources/scheduler.js).
+ */
+export async function fetchAllKlines({
+  source,
+  symbol,
+  interval,
+  startTime,
+  endTime,
+  onProgress,
+  scheduler,
+}) {
+  const intervalMs = INTERVALS.find((x) => x.label === interval)?.ms ?? 300_000;
+  const from = Math.floor(startTime / intervalMs) * intervalMs;
+
+  const coverage = source.cacheable
+    ? await cacheCoverage(source.id, symbol, interval)
+    : null;
+  if (!coverage) {
+    return source.fetchCandles({
+      symbol,
+      interval,
+      startTime,
+      endTime,
+      onProgress,
+      scheduler,
+    });
+  }
+
+  // never claim coverage for candles that haven't closed yet
+  const now = Date.now();
+  const coverEnd = Math.min(endTime, Math.floor(now / intervalMs) * intervalMs);
+  const missing = subtractRanges([from, endTime], coverage.ranges);
+
+  const chunks = missing.reduce(
+    (n, [a, b]) => n + Math.ceil((b - a) / (intervalMs * 1000)),
+    0
+  );
+  let finished = 0;
+  const forming = []; // not cached, but still part of this answer
+  const unsaved = []; // closed, but the write failed: [klines] per range
+  await Promise.all(
+    missing.map(async ([a, b]) => {
+      const kl = await source.fetchCandles({
+        symbol,
+        interval,
+        startTime: a,
+        endTime: b,
+        scheduler,
+        onProgress: () => {
+          finished += 1;
+          onProgress?.({ chunk: finished, chunks, cached: false });
+        },
+      });
+
+      const closed = closedOnly(kl, intervalMs, now);
+      for (const k of kl) if (k[0] + intervalMs > now) forming.push(k);
+
+      try {
+        await writeCandles(source.id, symbol, interval, closed, [
+          a,
+          Math.min(b, coverEnd),
+        ]);
+      } catch {
+        // the range isn't marked covered, so the next run fetches it again
+        unsaved.push(closed);
+      }
+    })
+  );
+
+  if (missing.length === 0) onProgress?.({ chunk: 0, cached: true });
+  const cached = await readCandles(source.id, symbol, interval, from, endTime);
+  if (unsaved.length > 0) {
+    // missing ranges share their end points with cached ones
+    const byOpen = new Map(cached.map((k) => [k[0], k]));
+    for (const k of unsaved.flat().concat(forming)) byOpen.set(k[0], k);
+    return Array.from(byOpen.values()).sort((x, y) => x[0] - y[0]);
+  }
+  return forming.length > 0 ? cached.concat(forming) : cached;
+}
+
+// [a, b] minus a sorted list of covered [x, y] ranges
+export function subtractRanges([a, b], covered) {
+  const out = [];
+  let cur = a;
+  for (const [x, y] of covered) {
+    if (y < cur) continue;
+    if (x > b) break;
+    if (x > cur) out.push([cur, Math.min(x, b)]);
+    cur = Math.max(cur, y);
+    if (cur >= b) break;
+  }
+  if (cur < b) out.push([cur, b]);
+  return out;
+}
+
+export { clearCandleCache, getCandleCacheStats } from "./candleCache";
+
+// Candles per summary block in the window index below
+const BLOCK = 64;
+
+/**
+ * Column arrays + per-block high/low, so a window query is a binary search
+ * plus O(window / BLOCK) work instead of a scan from the first candle.
+ */
+export function indexKlines(klines) {
+  const n = klines.length;
+  const t = new Float64Array(n); // open time ms
+  const open = new Float64Array(n);
+  const high = new Float64Array(n);
+  const low = new Float64Array(n);
+  const close = new Float64Array(n);
+  for (let i = 0; i < n; i += 1) {
+    t[i] = klines[i][0];
+    open[i] = Number(klines[i][1]);
+    high[i] = Number(klines[i][2]);
+    low[i] = Number(klines[i][3]);
+    close[i] = Number(klines[i][4]);
+  }
+
+  const blocks = Math.ceil(n / BLOCK);
+  const blockHigh = new Float64Array(blocks).fill(-Infinity);
+  const blockLow = new Float64Array(blocks).fill(Infinity);
+  for (let i = 0; i < n; i += 1) {
+    const b = Math.floor(i / BLOCK);
+    // comparisons (not Math.max) so one bad NaN candle can't blank a block
+    if (high[i] > blockHigh[b]) blockHigh[b] = high[i];
+    if (low[i] < blockLow[b]) blockLow[b] = low[i];
+  }
+
+  return { length: n, t, open, high, low, close, blockHigh, blockLow };
+}
+
+// first index with arr[i] >= x (or > x when `after`)
+function searchTime(arr, x, after) {
+  let lo = 0;
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (arr[mid] < x || (after && arr[mid] === x)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// index of the first candle opening at or after ms (series.length if none)
+export function candleIndexAt(series, ms) {
+  return searchTime(series.t, ms, false);
+}
+
+// -> { price, t } of the best candle opening inside the window, or null
+export function bestCandleInWindow({ series, startMs, endMs, direction }) {
+  // Long: best = max high, Short: best = min low
+  const from = searchTime(series.t, startMs, false);
+  const to = searchTime(series.t, endMs, true); // exclusive
+  if (from >= to) return null;
+
+  const short = direction === "SHORT";
+  const values = short ? series.low : series.high;
+  const blocks = short ? series.blockLow : series.blockHigh;
+  const better = short ? (a, b) => a < b : (a, b) => a > b;
+
+  let best = short ? Infinity : -Infinity;
+  let bestAt = -1; // candle index, or -(block + 2) when a whole block won
+  let i = from;
+  while (i < to) {
+    if (i % BLOCK === 0 && i + BLOCK <= to) {
+      if (better(blocks[i / BLOCK], best)) {
+        best = blocks[i / BLOCK];
+        bestAt = -(i / BLOCK + 2);
+      }
+      i += BLOCK;
+    } else {
+      if (better(values[i], best)) {
+        best = values[i];
+        bestAt = i;
+      }
+      i += 1;
+    }
+  }
+  if (bestAt === -1) return null;
+
+  // only the winning block needs a scan to know *when*
+  if (bestAt < 0) {
+    const start = (-bestAt - 2) * BLOCK;
+    bestAt = start;
+    while (values[bestAt] !== best) bestAt += 1;
+  }
+  return { price: best, t: series.t[bestAt] };
+}
+
+// -> open time of the first candle in the window trading through price
+// (low <= price when below, else high >= price), or null
+export function firstCandleThrough({ series, startMs, endMs, price, below }) {
+  const from = searchTime(series.t, startMs, false);
+  const to = searchTime(series.t, endMs, true); // exclusive
+  const values = below ? series.low : series.high;
+  const blocks = below ? series.blockLow : series.blockHigh;
+  const through = below ? (v) => v <= price : (v) => v >= price;
+
+  let i = from;
+  while (i < to) {
+    // whole blocks that never reach the price are skipped
+    if (i % BLOCK === 0 && i + BLOCK <= to && !through(blocks[i / BLOCK])) {
+      i += BLOCK;
+      continue;
+    }
+    if (through(values[i])) return series.t[i];
+    i += 1;
+  }
+  return null;
+}
@@ -0,0 +1,219 @@
+import { equityCurve, expectancy, profitFactor } from "./analytics";
+import { hindsightTotals, summarizeClosedTrades } from "./summary";
+import { marketKey } from "./trades";
+
+/**
+ * Period-over-period comparison: two trade sets (two uploads, two date
+ * ranges, or saved sessions), the same summary + hindsight totals on each,
+ * side by side with deltas. Pure functions; the panel picks the sets.
+ */
+
+/**
+ * -> { summary, hindsight (null without priced rows), profitFactor,
+ *      expectancy, curve }
+ * hRows: the hindsight rows of these trades, or null; scoreModel: the Fumble
+ * Score's { weights, revengeMins } (fumbleScore.js)
+ */
+export function summarizePeriod(trades, hRows, scoreModel) {
+  const hindsight = hRows ? hindsightTotals(hRows) : null;
+  return {
+    summary: summarizeClosedTrades(trades, { hRows, ...scoreModel }),
+    hindsight: hindsight && hindsight.priced > 0 ? hindsight : null,
+    profitFactor: profitFactor(trades),
+    expectancy: expectancy(trades),
+    curve: equityCurve(trades),
+  };
+}
+
+// { id, label, value(period), kind: money | pct | ratio | count | score,
+//   better: higher | lower }
+export const COMPARE_METRICS = [
+  {
+    id: "fumbleScore",
+    label: "Fumble Score",
+    value: (p) => p.summary.fumbleScore,
+    kind: "score",
+    better: "lower",
+  },
+  {
+    id: "n",
+    label: "Trades",
+    value: (p) => p.summary.n,
+    kind: "count",
+    better: null,
+  },
+  {
+    id: "winRate",
+    label: "Win rate",
+    value: (p) => p.summary.winRate * 100,
+    kind: "pct",
+    better: "higher",
+  },
+  {
+    id: "paperhands",
+    label: "Win hold ÷ loss hold",
+    value: (p) => p.summary.paperhands,
+    kind: "ratio",
+    better: "higher",
+  },
+  {
+    id: "netPnl",
+    label: "Net PnL",
+    value: (p) => p.summary.netPnl,
+    kind: "money",
+    better: "higher",
+  },
+  {
+    id: "fees",
+    label: "Fees",
+    value: (p) => p.summary.totalFees,
+    kind: "money",
+    better: "lower",
+  },
+  {
+    id: "profitFactor",
+    label: "Profit factor",
+    value: (p) => p.profitFactor,
+    kind: "ratio",
+    better: "higher",
+  },
+  {
+    id: "expectancy",
+    label: "Expectancy / trade",
+    value: (p) => p.expectancy,
+    kind: "money",
+    better: "higher",
+  },
+  {
+    id: "potential",
+    label: "Could’ve made",
+    value: (p) => p.hindsight?.totalPotential,
+    kind: "money",
+    better: null,
+  },
+  {
+    id: "fumbled",
+    label: "Fumbled",
+    value: (p) => p.hindsight?.totalFumbled,
+    kind: "money",
+    better: "lower",
+  },
+  {
+    id: "fumbledPerTrade",
+    label: "Fumbled / priced trade",
+    value: (p) =>
+      p.hindsight ? p.hindsight.totalFumbled / p.hindsight.priced : NaN,
+    kind: "money",
+    better: "lower",
+  },
+  {
+    id: "kept",
+    label: "Kept of could’ve",
+    value: (p) =>
+      p.hindsight?.totalPotential > 0
+        ? (p.hindsight.totalRealized / p.hindsight.totalPotential) * 100
+        : NaN,
+    kind: "pct",
+    better: "higher",
+  },
+];
+
+// "better" | "worse" for a change b − a, or null without a preferred
+// direction or without a change
+export function verdictOf(delta, better) {
+  if (!better || !Number.isFinite(delta) || delta === 0) return null;
+  const up = delta > 0;
+  return up === (better === "higher") ? "better" : "worse";
+}
+
+/**
+ * -> [{ metric, a, b, delta (b − a), verdict }], verdict "better" | "worse" |
+ * null (no preferred direction, no change, or a side missing)
+ */
+export function compareMetrics(a, b) {
+  return COMPARE_METRICS.map((m) => {
+    const va = m.value(a);
+    const vb = m.value(b);
+    const delta = Number.isFinite(va) && Number.isFinite(vb) ? vb - va : NaN;
+    return {
+      metric: m,
+      a: va,
+      b: vb,
+      delta,
+      verdict: verdictOf(delta, m.better),
+    };
+  });
+}
+
+function averageHold(trades) {
+  const holds = trades.map((t) => t.holdMins).filter(Number.isFinite);
+  return holds.length > 0
+    ? holds.reduce((s, x) => s + x, 0) / holds.length
+    : NaN;
+}
+
+// per-market stats of one side
+function bySymbol(trades, hRows, scoreModel) {
+  const groups = new Map();
+  for (const t of trades) {
+    const key = marketKey(t.symbol);
+    if (!groups.has(key)) groups.set(key, { trades: [], rows: [] });
+    groups.get(key).trades.push(t);
+  }
+  for (const x of hRows || []) {
+    groups.get(marketKey(x.symbol))?.rows.push(x);
+  }
+  const out = new Map();
+  for (const [key, g] of groups) {
+    const s = summarizeClosedTrades(g.trades, {
+      hRows: g.rows,
+      ...scoreModel,
+    });
+    const h = hindsightTotals(g.rows);
+    out.set(key, {
+      n: s.n,
+      winRate: s.winRate,
+      fumbleScore: s.fumbleScore,
+      expectancy: expectancy(g.trades),
+      avgHold: averageHold(g.trades),
+      fumbledPerTrade: h.priced > 0 ? h.totalFumbled / h.priced : NaN,
+    });
+  }
+  return out;
+}
+
+/**
+ * Markets traded in both periods (at least minTrades each), most changed
+ * first: by the Fumble Score swing where both sides have one (see
+ * MIN_COVERAGE in fumbleScore.js), then by the swing in expectancy per trade.
+ * -> [{ key, a, b, scoreDelta, expectancyDelta }]
+ */
+export function symbolShifts(
+  a,
+  b,
+  { minTrades = 2, limit = 8, scoreModel } = {}
+) {
+  const sa = bySymbol(a.trades, a.hRows, scoreModel);
+  const sb = bySymbol(b.trades, b.hRows, scoreModel);
+  const rows = [];
+  for (const [key, x] of sa) {
+    const y = sb.get(key);
+    if (!y || x.n < minTrades || y.n < minTrades) continue;
+    rows.push({
+      key,
+      a: x,
+      b: y,
+      scoreDelta: y.fumbleScore - x.fumbleScore,
+      expectancyDelta: y.expectancy - x.expectancy,
+    });
+  }
+  return rows
+    .sort((r1, r2) => {
+      const s1 = Number.isFinite(r1.scoreDelta);
+      const s2 = Number.isFinite(r2.scoreDelta);
+      if (s1 !== s2) return s1 ? -1 : 1;
+      if (s1) return Math.abs(r2.scoreDelta) - Math.abs(r1.scoreDelta);
+      return Math.abs(r2.expectancyDelta) - Math.abs(r1.expectancyDelta);
+    })
+    .slice(0, limit);
+}
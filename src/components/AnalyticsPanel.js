@@ -0,0 +1,285 @@
+import React, { useMemo } from "react";
+import { analyzeTrades } from "../analytics";
+import { marketKey, netPnl } from "../trades";
+import { fmtMoney } from "../utils";
+
+const REVENGE_WINDOWS = [5, 15, 30, 60, 240]; // minutes
+
+const fmtRatio = (x) =>
+  x === Infinity ? "∞" : Number.isFinite(x) ? x.toFixed(2) : "—";
+
+const fmtDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const fmtDateTime = (d) => d.toISOString().slice(0, 16).replace("T", " ");
+
+/**
+ * Behavioral analytics (analytics.js) for the closed trades in view:
+ * headline metrics, long vs short and per-symbol breakdowns, revenge trades
+ * and overtrading days. The revenge window is shared with the Fumble Score,
+ * so App owns it.
+ */
+export default function AnalyticsPanel({
+  trades,
+  revengeMins,
+  onRevengeMinsChange,
+}) {
+  const a = useMemo(
+    () => analyzeTrades(trades, { revengeMins }),
+    [trades, revengeMins]
+  );
+  const dd = a.maxDrawdown;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.title}>Analytics</div>
+      <div style={styles.hint}>
+        All net of fees and funding. 1R = your average losing trade; Sharpe /
+        Sortino use daily PnL (UTC days), annualized.
+      </div>
+
+      <div style={styles.grid}>
+        <Tile label="Profit factor" value={fmtRatio(a.profitFactor)} />
+        <Tile label="Expectancy / trade" value={fmtMoney(a.expectancy)} />
+        <Tile
+          label="Avg R"
+          value={
+            Number.isFinite(a.averageR) ? `${a.averageR.toFixed(2)}R` : "—"
+          }
+        />
+        <Tile
+          label="Largest win"
+          value={a.largestWin ? fmtMoney(netPnl(a.largestWin)) : "—"}
+        />
+        <Tile
+          label="Largest loss"
+          value={a.largestLoss ? fmtMoney(netPnl(a.largestLoss)) : "—"}
+          warn={Boolean(a.largestLoss)}
+        />
+        <Tile label="Max win streak" value={a.streaks.maxWin} />
+        <Tile
+          label="Max loss streak"
+          value={a.streaks.maxLoss}
+          warn={a.streaks.maxLoss >= 5}
+        />
+        <Tile
+          label="Max drawdown"
+          value={dd ? fmtMoney(-dd.amount) : "—"}
+          sub={
+            dd && dd.amount > 0
+              ? `${fmtDate(dd.peakT)} → ${fmtDate(dd.troughT)}`
+              : null
+          }
+        />
+        <Tile label="Sharpe (daily)" value={fmtRatio(a.sharpe)} />
+        <Tile label="Sortino (daily)" value={fmtRatio(a.sortino)} />
+        <Tile
+          label="Revenge trades"
+          value={a.revenge.length}
+          warn={a.revenge.length > 0}
+        />
+        <Tile
+          label="Overtrading days"
+          value={a.overtrading.length}
+          warn={a.overtrading.length > 0}
+        />
+      </div>
+
+      <div style={styles.split}>
+        <Breakdown title="Long vs short" rows={a.byDirection} />
+        <Breakdown title="Per symbol" rows={a.bySymbol.slice(0, 12)} />
+      </div>
+
+      <details style={styles.details}>
+        <summary style={styles.summary}>
+          Revenge trades ({a.revenge.length}) — bigger size within {revengeMins}{" "}
+          min of a loss
+        </summary>
+        <div style={styles.inline}>
+          <span style={styles.label}>Window</span>
+          <select
+            style={styles.select}
+            value={revengeMins}
+            onChange={(e) => onRevengeMinsChange(Number(e.target.value))}
+          >
+            {REVENGE_WINDOWS.map((m) => (
+              <option key={m} value={m}>
+                {m < 60 ? `${m} min` : `${m / 60} h`}
+              </option>
+            ))}
+          </select>
+        </div>
+        {a.revenge.length > 0 && (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Opened</th>
+                <th style={styles.th}>Symbol</th>
+                <th style={styles.th}>After losing</th>
+                <th style={styles.th}>Gap</th>
+                <th style={styles.th}>Size vs loser</th>
+                <th style={styles.th}>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {a.revenge.slice(0, 50).map((r, i) => (
+                <tr key={i}>
+                  <td style={styles.td}>
+                    {fmtDateTime(r.trade.firstEntryTime || r.trade.entryTime)}
+                  </td>
+                  <td style={styles.td}>
+                    {marketKey(r.trade.symbol)} {r.trade.direction}
+                  </td>
+                  <td style={styles.td}>
+                    {fmtMoney(netPnl(r.after))} on {marketKey(r.after.symbol)}
+                  </td>
+                  <td style={styles.td}>{Math.round(r.gapMins)} min</td>
+                  <td style={styles.td}>{r.sizeRatio.toFixed(1)}×</td>
+                  <td style={styles.td}>{fmtMoney(netPnl(r.trade))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </details>
+
+      {a.overtrading.length > 0 && (
+        <details style={styles.details}>
+          <summary style={styles.summary}>
+            Overtrading days ({a.overtrading.length}) — way above your usual
+            pace
+          </summary>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Day (UTC)</th>
+                <th style={styles.th}>Trades</th>
+                <th style={styles.th}>Net PnL</th>
+              </tr>
+            </thead>
+            <tbody>
+              {a.overtrading.map((d) => (
+                <tr key={d.day}>
+                  <td style={styles.td}>{d.day}</td>
+                  <td style={styles.td}>{d.trades}</td>
+                  <td style={styles.td}>{fmtMoney(d.pnl)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+    </div>
+  );
+}
+
+function Breakdown({ title, rows }) {
+  return (
+    <div>
+      <div style={styles.subTitle}>{title}</div>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th} />
+            <th style={styles.th}>Trades</th>
+            <th style={styles.th}>Win rate</th>
+            <th style={styles.th}>Net PnL</th>
+            <th style={styles.th}>PF</th>
+            <th style={styles.th}>Expectancy</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.key}>
+              <td style={styles.td}>{r.key}</td>
+              <td style={styles.td}>{r.n}</td>
+              <td style={styles.td}>{Math.round(r.winRate * 100)}%</td>
+              <td style={styles.td}>{fmtMoney(r.net)}</td>
+              <td style={styles.td}>{fmtRatio(r.profitFactor)}</td>
+              <td style={styles.td}>{fmtMoney(r.expectancy)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function Tile({ label, value, sub, warn }) {
+  return (
+    <div style={{ ...styles.tile, ...(warn ? styles.tileWarn : null) }}>
+      <div style={styles.tileLabel}>{label}</div>
+      <div style={styles.tileValue}>{value}</div>
+      {sub && <div style={styles.tileSub}>{sub}</div>}
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    marginTop: 14,
+    borderRadius: 18,
+    padding: 16,
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.12)",
+  },
+  title: { fontWeight: 1100, fontSize: 16 },
+  hint: { marginTop: 4, fontSize: 13, color: "rgba(229,231,235,0.75)" },
+  subTitle: { marginTop: 14, fontWeight: 1000, fontSize: 13 },
+  label: { fontSize: 12, fontWeight: 900, opacity: 0.85 },
+  select: {
+    padding: "6px 10px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+  inline: { marginTop: 8, display: "flex", alignItems: "center", gap: 8 },
+
+  grid: {
+    marginTop: 12,
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(140px, 1fr))",
+    gap: 12,
+  },
+  tile: {
+    borderRadius: 16,
+    padding: 12,
+    background: "rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,255,255,0.10)",
+  },
+  tileWarn: {
+    background: "rgba(255,176,32,0.10)",
+    border: "1px solid rgba(255,176,32,0.30)",
+  },
+  tileLabel: { fontSize: 12, opacity: 0.75, marginBottom: 6, fontWeight: 900 },
+  tileValue: { fontSize: 16, fontWeight: 1100 },
+  tileSub: { marginTop: 4, fontSize: 11, opacity: 0.7 },
+
+  split: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(320px, 1fr))",
+    gap: 16,
+  },
+
+  details: { marginTop: 12 },
+  summary: { cursor: "pointer", fontWeight: 900, fontSize: 13 },
+  table: {
+    marginTop: 8,
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 12,
+  },
+  th: {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.10)",
+    fontWeight: 1000,
+    whiteSpace: "nowrap",
+  },
+  td: {
+    padding: "8px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+    whiteSpace: "nowrap",
+  },
+};
@@ -0,0 +1,378 @@
+import React, { useMemo } from "react";
+import { dailyPnl, dayKey } from "../analytics";
+import { netPnl } from "../trades";
+import { DAY_MS, extent, fmtMoney } from "../utils";
+
+/**
+ * Plain SVG charts (no chart library):
+ * - cumulative realized vs "could've made" equity (could've needs hindsight rows)
+ * - daily net PnL calendar heatmap (UTC days, weeks as columns)
+ * - hold minutes (log scale) vs net PnL, wins green / losses red
+ */
+
+const GREEN = "#22c55e";
+const RED = "#ef4444";
+const CYAN = "#00d1ff";
+const GRID = "rgba(255,255,255,0.08)";
+const AXIS_TEXT = "rgba(229,231,235,0.6)";
+
+const W = 640;
+const H = 240;
+const PAD = { l: 64, r: 12, t: 12, b: 28 };
+
+// value -> pixel, domain [d0, d1] onto [r0, r1]
+const scale = (d0, d1, r0, r1) => (v) =>
+  d1 === d0 ? (r0 + r1) / 2 : r0 + ((v - d0) / (d1 - d0)) * (r1 - r0);
+
+// ~count round tick values covering [lo, hi]
+function niceTicks(lo, hi, count = 4) {
+  if (!(hi > lo)) return [lo];
+  const raw = (hi - lo) / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map((m) => m * mag).find((s) => s >= raw);
+  const ticks = [];
+  for (let v = Math.ceil(lo / step) * step; v <= hi + 1e-9; v += step) {
+    ticks.push(v);
+  }
+  return ticks;
+}
+
+function fmtAxisMoney(v) {
+  const sign = v < 0 ? "-" : "";
+  const abs = Math.abs(v);
+  return abs >= 1000
+    ? `${sign}$${(abs / 1000).toFixed(1)}k`
+    : `${sign}$${Math.round(abs)}`;
+}
+
+export default function ChartsPanel({ trades, hRows }) {
+  return (
+    <div style={styles.card}>
+      <div style={styles.title}>Charts</div>
+      <div style={styles.grid}>
+        <div style={styles.box}>
+          <div style={styles.chartTitle}>
+            Equity: realized{hRows ? " vs could’ve made" : ""}
+          </div>
+          <EquityChart trades={hRows || trades} withPotential={!!hRows} />
+        </div>
+        <div style={styles.box}>
+          <div style={styles.chartTitle}>Daily PnL (UTC)</div>
+          <PnlCalendar trades={trades} />
+        </div>
+        <div style={styles.box}>
+          <div style={styles.chartTitle}>
+            Hold time vs PnL — winners cut short, losers held?
+          </div>
+          <HoldScatter trades={trades} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------------- equity curve ----------------
+function EquityChart({ trades, withPotential }) {
+  const points = useMemo(() => {
+    let realized = 0;
+    let potential = 0;
+    return trades
+      .filter((t) => Number.isFinite(netPnl(t)) && t.closeTime)
+      .slice()
+      .sort((a, b) => a.closeTime.getTime() - b.closeTime.getTime())
+      .map((t) => {
+        realized += netPnl(t);
+        // unpriced rows count as what actually happened
+        potential += Number.isFinite(t.potentialPnl)
+          ? t.potentialPnl
+          : netPnl(t);
+        return { t: t.closeTime.getTime(), realized, potential };
+      });
+  }, [trades]);
+
+  if (points.length < 2) return <Empty />;
+
+  const values = points.flatMap((p) =>
+    withPotential ? [p.realized, p.potential] : [p.realized]
+  );
+  const [vLo, vHi] = extent(values);
+  const lo = Math.min(0, vLo);
+  const hi = Math.max(0, vHi);
+  const x = scale(points[0].t, points[points.length - 1].t, PAD.l, W - PAD.r);
+  const y = scale(lo, hi, H - PAD.b, PAD.t);
+  const line = (key) =>
+    points
+      .map(
+        (p, i) => `${i ? "L" : "M"}${x(p.t).toFixed(1)},${y(p[key]).toFixed(1)}`
+      )
+      .join("");
+  const last = points[points.length - 1];
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={styles.svg} role="img">
+      <YAxis ticks={niceTicks(lo, hi)} y={y} format={fmtAxisMoney} />
+      <line
+        x1={PAD.l}
+        x2={W - PAD.r}
+        y1={y(0)}
+        y2={y(0)}
+        stroke="rgba(255,255,255,0.25)"
+      />
+      {withPotential && (
+        <path
+          d={line("potential")}
+          fill="none"
+          stroke={CYAN}
+          strokeWidth="2"
+          strokeDasharray="5 4"
+        />
+      )}
+      <path d={line("realized")} fill="none" stroke={GREEN} strokeWidth="2" />
+      <text x={PAD.l} y={H - 8} fill={AXIS_TEXT} fontSize="11">
+        {dayKey(points[0].t)}
+      </text>
+      <text
+        x={W - PAD.r}
+        y={H - 8}
+        fill={AXIS_TEXT}
+        fontSize="11"
+        textAnchor="end"
+      >
+        {dayKey(last.t)}
+      </text>
+      <Legend
+        items={[
+          [GREEN, `Realized ${fmtMoney(last.realized)}`],
+          ...(withPotential
+            ? [[CYAN, `Could’ve made ${fmtMoney(last.potential)}`]]
+            : []),
+        ]}
+      />
+    </svg>
+  );
+}
+
+// ---------------- calendar heatmap ----------------
+const CELL = 13;
+const GAP = 3;
+
+function PnlCalendar({ trades }) {
+  const days = useMemo(() => dailyPnl(trades), [trades]);
+  if (days.length === 0) return <Empty />;
+
+  // pad to whole weeks, Monday first
+  const first = Date.parse(days[0].day);
+  const offset = (new Date(first).getUTCDay() + 6) % 7;
+  const cells = days.map((d, i) => ({ ...d, i: i + offset }));
+  const weeks = Math.ceil((offset + days.length) / 7);
+  const maxAbs = Math.max(extent(days.map((d) => Math.abs(d.pnl)))[1], 1e-9);
+
+  const left = 28;
+  const top = 16;
+  const width = left + weeks * (CELL + GAP);
+  const height = top + 7 * (CELL + GAP);
+
+  const color = (pnl) => {
+    if (!pnl) return "rgba(255,255,255,0.06)";
+    const a = 0.2 + 0.8 * Math.sqrt(Math.abs(pnl) / maxAbs);
+    return pnl > 0 ? `rgba(34,197,94,${a})` : `rgba(239,68,68,${a})`;
+  };
+
+  return (
+    <div style={styles.scrollX}>
+      <svg
+        width={width}
+        height={height}
+        viewBox={`0 0 ${width} ${height}`}
+        role="img"
+      >
+        {["Mon", "Wed", "Fri"].map((label, k) => (
+          <text
+            key={label}
+            x={0}
+            y={top + k * 2 * (CELL + GAP) + CELL - 2}
+            fill={AXIS_TEXT}
+            fontSize="10"
+          >
+            {label}
+          </text>
+        ))}
+        {cells.map((d) => {
+          const week = Math.floor(d.i / 7);
+          const weekday = d.i % 7;
+          const ms = first + (d.i - offset) * DAY_MS;
+          return (
+            <g key={d.day}>
+              {new Date(ms).getUTCDate() === 1 && (
+                <text
+                  x={left + week * (CELL + GAP)}
+                  y={10}
+                  fill={AXIS_TEXT}
+                  fontSize="10"
+                >
+                  {d.day.slice(0, 7)}
+                </text>
+              )}
+              <rect
+                x={left + week * (CELL + GAP)}
+                y={top + weekday * (CELL + GAP)}
+                width={CELL}
+                height={CELL}
+                rx="3"
+                fill={color(d.pnl)}
+              >
+                <title>
+                  {`${d.day}: ${fmtMoney(d.pnl)} (${d.trades} trade${
+                    d.trades === 1 ? "" : "s"
+                  })`}
+                </title>
+              </rect>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+// ---------------- hold time scatter ----------------
+function HoldScatter({ trades }) {
+  const points = useMemo(
+    () =>
+      trades
+        .map((t) => ({ hold: t.holdMins, pnl: netPnl(t) }))
+        .filter((p) => Number.isFinite(p.hold) && Number.isFinite(p.pnl)),
+    [trades]
+  );
+  if (points.length === 0) return <Empty />;
+
+  // log scale: scalps and multi-day holds on one axis
+  const lx = (m) => Math.log10(Math.max(m, 0.5));
+  const [hLo, hHi] = extent(points.map((p) => lx(p.hold)));
+  const x0 = Math.floor(hLo);
+  const x1 = Math.max(Math.ceil(hHi), x0 + 1);
+  const [pLo, pHi] = extent(points.map((p) => p.pnl));
+  const lo = Math.min(0, pLo);
+  const hi = Math.max(0, pHi);
+  const x = scale(x0, x1, PAD.l, W - PAD.r);
+  const y = scale(lo, hi, H - PAD.b, PAD.t);
+
+  const holdLabel = (m) =>
+    m < 60 ? `${m}m` : m < 1440 ? `${m / 60}h` : `${m / 1440}d`;
+  const xTicks = [1, 5, 15, 60, 240, 1440, 10080].filter(
+    (m) => lx(m) >= x0 && lx(m) <= x1
+  );
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={styles.svg} role="img">
+      <YAxis ticks={niceTicks(lo, hi)} y={y} format={fmtAxisMoney} />
+      {xTicks.map((m) => (
+        <g key={m}>
+          <line
+            x1={x(lx(m))}
+            x2={x(lx(m))}
+            y1={PAD.t}
+            y2={H - PAD.b}
+            stroke={GRID}
+          />
+          <text
+            x={x(lx(m))}
+            y={H - 8}
+            fill={AXIS_TEXT}
+            fontSize="11"
+            textAnchor="middle"
+          >
+            {holdLabel(m)}
+          </text>
+        </g>
+      ))}
+      <line
+        x1={PAD.l}
+        x2={W - PAD.r}
+        y1={y(0)}
+        y2={y(0)}
+        stroke="rgba(255,255,255,0.25)"
+      />
+      {points.map((p, i) => (
+        <circle
+          key={i}
+          cx={x(lx(p.hold))}
+          cy={y(p.pnl)}
+          r="3.5"
+          fill={p.pnl >= 0 ? GREEN : RED}
+          fillOpacity="0.7"
+        />
+      ))}
+      <Legend
+        items={[
+          [GREEN, "Win"],
+          [RED, "Loss"],
+        ]}
+      />
+    </svg>
+  );
+}
+
+// ---------------- bits ----------------
+function YAxis({ ticks, y, format }) {
+  return ticks.map((v) => (
+    <g key={v}>
+      <line x1={PAD.l} x2={W - PAD.r} y1={y(v)} y2={y(v)} stroke={GRID} />
+      <text
+        x={PAD.l - 6}
+        y={y(v) + 4}
+        fill={AXIS_TEXT}
+        fontSize="11"
+        textAnchor="end"
+      >
+        {format(v)}
+      </text>
+    </g>
+  ));
+}
+
+function Legend({ items }) {
+  return items.map(([color, label], i) => (
+    <g
+      key={label}
+      transform={`translate(${PAD.l + 8 + i * 190}, ${PAD.t + 4})`}
+    >
+      <rect width="10" height="10" rx="2" fill={color} />
+      <text x="16" y="9" fill="#e5e7eb" fontSize="11">
+        {label}
+      </text>
+    </g>
+  ));
+}
+
+function Empty() {
+  return <div style={styles.empty}>Not enough trades to chart yet.</div>;
+}
+
+const styles = {
+  card: {
+    marginTop: 14,
+    borderRadius: 18,
+    padding: 16,
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.12)",
+  },
+  title: { fontWeight: 1100, fontSize: 16 },
+  grid: {
+    marginTop: 12,
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(min(420px, 100%), 1fr))",
+    gap: 16,
+  },
+  box: {
+    borderRadius: 16,
+    padding: 12,
+    background: "rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,255,255,0.10)",
+    minWidth: 0,
+  },
+  chartTitle: { fontSize: 12, fontWeight: 900, opacity: 0.85, marginBottom: 8 },
+  svg: { width: "100%", height: "auto", display: "block" },
+  scrollX: { overflowX: "auto" },
+  empty: { fontSize: 13, opacity: 0.7, padding: "24px 0" },
+};
@@ -0,0 +1,254 @@
+import React, { useMemo, useState } from "react";
+import {
+  buildCustomImporter,
+  DATE_FORMATS,
+  guessMapping,
+  isMappingComplete,
+  MAPPABLE_FIELDS,
+  SIDE_VOCABS,
+} from "../importers/custom";
+
+/**
+ * Manual column mapping for CSVs no importer recognized.
+ * Shows the headers + a few sample rows, lets the user point each trade field
+ * at a column, then hands the mapping back via onApply (App saves it).
+ * initial: a previous mapping to correct instead of starting from guesses.
+ */
+export default function ColumnMapper({
+  fileName,
+  headers,
+  rows,
+  initial,
+  onApply,
+  onCancel,
+}) {
+  const [draft, setDraft] = useState(() => initial || guessMapping(headers));
+
+  const sample = rows.slice(0, 5);
+  const complete = isMappingComplete(draft);
+
+  // live "would this work?" check against the first few hundred rows
+  const previewFills = useMemo(() => {
+    if (!complete) return 0;
+    return buildCustomImporter(draft).parse(rows.slice(0, 500)).length;
+  }, [draft, rows, complete]);
+
+  const setColumn = (key, header) =>
+    setDraft((d) => ({ ...d, columns: { ...d.columns, [key]: header } }));
+
+  const fields =
+    draft.sideVocab === "buy-sell-reduce"
+      ? [
+          ...MAPPABLE_FIELDS,
+          { key: "reduceOnly", label: "Reduce-only flag", required: true },
+        ]
+      : MAPPABLE_FIELDS;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.title}>
+        Map your columns{fileName ? ` — ${fileName}` : ""}
+      </div>
+      <div style={styles.hint}>
+        {initial
+          ? "Fix the saved mapping for this export — the file is parsed again with the new one."
+          : "We don’t recognize this export. Tell us which column is which and we’ll remember it for next time (saved in this browser only)."}
+      </div>
+
+      <div style={styles.sampleWrap}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              {headers.map((h) => (
+                <th key={h} style={styles.th}>
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sample.map((r, i) => (
+              <tr key={i}>
+                {headers.map((h) => (
+                  <td key={h} style={styles.td}>
+                    {String(r[h] ?? "")}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={styles.grid}>
+        {fields.map((f) => (
+          <div key={f.key}>
+            <div style={styles.label}>
+              {f.label}
+              {f.required ? " *" : ""}
+            </div>
+            <select
+              style={styles.select}
+              value={draft.columns[f.key] || ""}
+              onChange={(e) => setColumn(f.key, e.target.value || undefined)}
+            >
+              <option value="">—</option>
+              {headers.map((h) => (
+                <option key={h} value={h}>
+                  {h}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+
+        <div>
+          <div style={styles.label}>Date format</div>
+          <select
+            style={styles.select}
+            value={draft.dateFormat}
+            onChange={(e) =>
+              setDraft((d) => ({ ...d, dateFormat: e.target.value }))
+            }
+          >
+            {DATE_FORMATS.map((x) => (
+              <option key={x.id} value={x.id}>
+                {x.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <div style={styles.label}>Side values</div>
+          <select
+            style={styles.select}
+            value={draft.sideVocab}
+            onChange={(e) =>
+              setDraft((d) => ({ ...d, sideVocab: e.target.value }))
+            }
+          >
+            {SIDE_VOCABS.map((x) => (
+              <option key={x.id} value={x.id}>
+                {x.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <div style={styles.label}>Exchange / account name</div>
+          <input
+            style={styles.select}
+            value={draft.label}
+            onChange={(e) => setDraft((d) => ({ ...d, label: e.target.value }))}
+          />
+        </div>
+      </div>
+
+      <div style={styles.footer}>
+        <span style={styles.dim}>
+          {complete
+            ? `${previewFills} fills recognized in the first ${Math.min(
+                rows.length,
+                500
+              )} rows`
+            : "Map all * fields to continue"}
+        </span>
+        <div style={{ display: "flex", gap: 10 }}>
+          <button type="button" style={styles.ghostBtn} onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            style={{ ...styles.primaryBtn, opacity: complete ? 1 : 0.5 }}
+            disabled={!complete}
+            onClick={() => onApply(draft)}
+          >
+            Save mapping & import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    marginTop: 12,
+    borderRadius: 14,
+    padding: 14,
+    background: "rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,255,255,0.10)",
+  },
+  title: { fontWeight: 1100, fontSize: 15 },
+  hint: { marginTop: 4, fontSize: 13, color: "rgba(229,231,235,0.75)" },
+
+  sampleWrap: {
+    marginTop: 12,
+    overflow: "auto",
+    maxHeight: 200,
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.10)",
+  },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 12 },
+  th: {
+    textAlign: "left",
+    padding: "8px 10px",
+    background: "rgba(6,9,20,0.95)",
+    borderBottom: "1px solid rgba(255,255,255,0.10)",
+    fontWeight: 1000,
+    whiteSpace: "nowrap",
+  },
+  td: {
+    padding: "8px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+    whiteSpace: "nowrap",
+  },
+
+  grid: {
+    marginTop: 12,
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))",
+    gap: 12,
+  },
+  label: { fontSize: 12, fontWeight: 900, opacity: 0.85, marginBottom: 6 },
+  select: {
+    width: "100%",
+    boxSizing: "border-box",
+    padding: "10px 12px",
+    borderRadius: 14,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+
+  footer: {
+    marginTop: 14,
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+    flexWrap: "wrap",
+  },
+  dim: { fontSize: 13, opacity: 0.7 },
+  primaryBtn: {
+    padding: "10px 14px",
+    borderRadius: 14,
+    fontWeight: 1100,
+    color: "#0b1220",
+    background: "linear-gradient(90deg, rgba(34,197,94,1), rgba(0,209,255,1))",
+    border: "none",
+    cursor: "pointer",
+  },
+  ghostBtn: {
+    padding: "10px 14px",
+    borderRadius: 14,
+    fontWeight: 1000,
+    color: "#e5e7eb",
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    cursor: "pointer",
+  },
+};
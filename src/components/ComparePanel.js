@@ -0,0 +1,468 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { dayKey } from "../analytics";
+import {
+  compareMetrics,
+  summarizePeriod,
+  symbolShifts,
+  verdictOf,
+} from "../compare";
+import { EMPTY_FILTERS, filterTrades } from "../tradeFilters";
+import { DAY_MS, extent, fmtMoney } from "../utils";
+
+/**
+ * Period-over-period comparison (compare.js). Each side is a trade set: all
+ * current trades, one upload, or a saved session, optionally narrowed to a
+ * UTC date range — so "two uploads", "two date ranges of the same upload" and
+ * "this session vs a saved one" are all the same picker.
+ *
+ * Fumble Scores use the current score model on both sides. Saved sessions
+ * are read through onLoadSession(id) -> { trades, hRows } without replacing
+ * what is open.
+ */
+
+const SESSION = "session:";
+
+const COLOR_A = "#a78bfa";
+const COLOR_B = "#00d1ff";
+const GREEN = "#22c55e";
+const RED = "#ef4444";
+const GRID = "rgba(255,255,255,0.08)";
+const AXIS_TEXT = "rgba(229,231,235,0.6)";
+
+const W = 640;
+const H = 220;
+const PAD = { l: 64, r: 12, t: 12, b: 28 };
+
+// last 30 days up to the latest close vs the 30 days before
+function defaultSides(trades) {
+  const [, last] = extent(
+    trades.map((t) => t.closeTime?.getTime()).filter(Number.isFinite)
+  );
+  if (!Number.isFinite(last)) {
+    return [
+      { source: "all", from: "", to: "" },
+      { source: "all", from: "", to: "" },
+    ];
+  }
+  const day = (n) => dayKey(last - n * DAY_MS);
+  return [
+    { source: "all", from: day(59), to: day(30) },
+    { source: "all", from: day(29), to: day(0) },
+  ];
+}
+
+// side -> { trades, hRows } or null while its session is loading / failed
+function pickSet(side, current, sessions) {
+  let base = current;
+  let inSource = (t) => side.source === "all" || t.sourceId === side.source;
+  if (side.source.startsWith(SESSION)) {
+    base = sessions[side.source.slice(SESSION.length)];
+    if (!base || base.error) return null;
+    inSource = () => true;
+  }
+  const range = { ...EMPTY_FILTERS, from: side.from, to: side.to };
+  return {
+    trades: filterTrades(base.trades.filter(inSource), range),
+    hRows: base.hRows ? filterTrades(base.hRows.filter(inSource), range) : null,
+  };
+}
+
+function fmtValue(v, kind) {
+  if (v === Infinity) return "∞";
+  if (!Number.isFinite(v)) return "—";
+  if (kind === "money") return fmtMoney(v);
+  if (kind === "pct") return `${v.toFixed(1)}%`;
+  if (kind === "ratio") return v.toFixed(2);
+  return Math.round(v).toLocaleString();
+}
+
+function fmtDelta(d, kind) {
+  if (!Number.isFinite(d)) return "—";
+  const sign = d > 0 ? "+" : "";
+  if (kind === "pct") return `${sign}${d.toFixed(1)} pts`;
+  return `${sign}${fmtValue(d, kind)}`;
+}
+
+const VERDICT_COLOR = { better: GREEN, worse: RED };
+
+export default function ComparePanel({
+  trades,
+  hRows,
+  uploads,
+  sessions,
+  scoreModel,
+  onLoadSession,
+}) {
+  const [sides, setSides] = useState(() => defaultSides(trades));
+  const [loaded, setLoaded] = useState({}); // session id -> set | { error }
+  // nothing is loaded or summarized while the panel is collapsed
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    const wanted = sides
+      .map((s) => s.source)
+      .filter((s) => s.startsWith(SESSION))
+      .map((s) => s.slice(SESSION.length))
+      .filter((id) => !(id in loaded));
+    for (const id of new Set(wanted)) {
+      setLoaded((m) => ({ ...m, [id]: null }));
+      onLoadSession(id)
+        .then((set) => setLoaded((m) => ({ ...m, [id]: set })))
+        .catch((e) =>
+          setLoaded((m) => ({ ...m, [id]: { error: e?.message || String(e) } }))
+        );
+    }
+  }, [open, sides, loaded, onLoadSession]);
+
+  const sets = useMemo(
+    () =>
+      open
+        ? sides.map((s) => pickSet(s, { trades, hRows }, loaded))
+        : [null, null],
+    [open, sides, trades, hRows, loaded]
+  );
+  const periods = useMemo(
+    () =>
+      sets.map((s) =>
+        s ? summarizePeriod(s.trades, s.hRows, scoreModel) : null
+      ),
+    [sets, scoreModel]
+  );
+  const ready = periods.every((p) => p && p.summary.n > 0);
+  const rows = useMemo(
+    () => (ready ? compareMetrics(periods[0], periods[1]) : []),
+    [ready, periods]
+  );
+  const shifts = useMemo(
+    () => (ready ? symbolShifts(sets[0], sets[1], { scoreModel }) : []),
+    [ready, sets, scoreModel]
+  );
+
+  const tradeUploads = uploads.filter((u) => u.kind !== "funding");
+
+  function update(i, patch) {
+    setSides((prev) => prev.map((s, j) => (j === i ? { ...s, ...patch } : s)));
+  }
+
+  function statusOf(i) {
+    const src = sides[i].source;
+    if (src.startsWith(SESSION)) {
+      const got = loaded[src.slice(SESSION.length)];
+      if (!got) return "Loading saved session…";
+      if (got.error) return `Couldn’t load: ${got.error}`;
+    }
+    const n = sets[i]?.trades.length ?? 0;
+    return n > 0
+      ? `${n.toLocaleString()} trades`
+      : "No trades in this set — widen the range?";
+  }
+
+  return (
+    <details
+      style={styles.details}
+      onToggle={(e) => setOpen(e.currentTarget.open)}
+    >
+      <summary style={styles.summary}>Compare periods</summary>
+      <div style={styles.hint}>
+        Two trade sets side by side: two uploads, two date ranges (UTC, by close
+        time) of the same trades, or a saved session. B is compared against A.
+      </div>
+
+      <div style={styles.sides}>
+        {sides.map((side, i) => (
+          <div key={i} style={styles.side}>
+            <span
+              style={{
+                ...styles.sideTag,
+                background: i === 0 ? COLOR_A : COLOR_B,
+              }}
+            >
+              {i === 0 ? "A" : "B"}
+            </span>
+            <select
+              style={styles.input}
+              value={side.source}
+              onChange={(e) => update(i, { source: e.target.value })}
+            >
+              <option value="all">All current trades</option>
+              {tradeUploads.map((u) => (
+                <option key={u.id} value={u.id}>
+                  {u.fileName}
+                </option>
+              ))}
+              {(sessions || []).map((s) => (
+                <option key={s.id} value={`${SESSION}${s.id}`}>
+                  Saved: {s.name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="date"
+              style={styles.input}
+              value={side.from}
+              onChange={(e) => update(i, { from: e.target.value })}
+            />
+            <span style={styles.dim}>→</span>
+            <input
+              type="date"
+              style={styles.input}
+              value={side.to}
+              onChange={(e) => update(i, { to: e.target.value })}
+            />
+            <span style={styles.dim}>{statusOf(i)}</span>
+          </div>
+        ))}
+      </div>
+
+      {ready && (
+        <>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Metric</th>
+                <th style={{ ...styles.th, color: COLOR_A }}>A</th>
+                <th style={{ ...styles.th, color: COLOR_B }}>B</th>
+                <th style={styles.th}>B − A</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.metric.id}>
+                  <td style={styles.td}>{r.metric.label}</td>
+                  <td style={styles.tdNum}>{fmtValue(r.a, r.metric.kind)}</td>
+                  <td style={styles.tdNum}>{fmtValue(r.b, r.metric.kind)}</td>
+                  <td
+                    style={{
+                      ...styles.tdNum,
+                      fontWeight: 1000,
+                      color: VERDICT_COLOR[r.verdict] || "inherit",
+                    }}
+                  >
+                    {fmtDelta(r.delta, r.metric.kind)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={styles.box}>
+            <div style={styles.boxTitle}>
+              Equity from each period’s start (net, days on the x axis)
+            </div>
+            <OverlayChart sides={sides} periods={periods} />
+          </div>
+
+          <div style={styles.box}>
+            <div style={styles.boxTitle}>Markets that changed most</div>
+            {shifts.length === 0 ? (
+              <div style={styles.dim}>
+                No market has at least 2 trades on both sides.
+              </div>
+            ) : (
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Market</th>
+                    <th style={styles.th}>Trades</th>
+                    <th style={styles.th}>Fumble Score</th>
+                    <th style={styles.th}>Expectancy</th>
+                    <th style={styles.th}>Avg hold</th>
+                    <th style={styles.th}>Fumbled / trade</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shifts.map((s) => (
+                    <tr key={s.key}>
+                      <td style={{ ...styles.td, fontWeight: 1000 }}>
+                        {s.key}
+                      </td>
+                      <ShiftCell a={s.a.n} b={s.b.n} kind="count" />
+                      <ShiftCell
+                        a={s.a.fumbleScore}
+                        b={s.b.fumbleScore}
+                        kind="score"
+                        better="lower"
+                      />
+                      <ShiftCell
+                        a={s.a.expectancy}
+                        b={s.b.expectancy}
+                        kind="money"
+                        better="higher"
+                      />
+                      <ShiftCell a={s.a.avgHold} b={s.b.avgHold} kind="mins" />
+                      <ShiftCell
+                        a={s.a.fumbledPerTrade}
+                        b={s.b.fumbledPerTrade}
+                        kind="money"
+                        better="lower"
+                      />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </details>
+  );
+}
+
+// "A → B", coloured by whether B moved the preferred way
+function ShiftCell({ a, b, kind, better }) {
+  const fmt = (v) =>
+    kind === "mins" && Number.isFinite(v)
+      ? `${v.toFixed(0)}m`
+      : fmtValue(v, kind);
+  const color = VERDICT_COLOR[verdictOf(b - a, better)] || "inherit";
+  return (
+    <td style={styles.tdNum}>
+      {fmt(a)} → <span style={{ color, fontWeight: 1000 }}>{fmt(b)}</span>
+    </td>
+  );
+}
+
+// ---------------- equity overlay ----------------
+// both curves start at (0 days, $0) so periods of different dates line up
+function OverlayChart({ sides, periods }) {
+  const lines = periods.map((p, i) => {
+    const from = sides[i].from;
+    const start = from ? Date.parse(`${from}T00:00:00Z`) : p.curve[0]?.t;
+    return [
+      { x: 0, y: 0 },
+      ...p.curve.map((c) => ({ x: (c.t - start) / DAY_MS, y: c.equity })),
+    ];
+  });
+  const xs = lines.flat().map((p) => p.x);
+  const ys = lines.flat().map((p) => p.y);
+  const xHi = Math.max(1, extent(xs)[1]);
+  const [yLo, yHi] = extent(ys);
+  const lo = Math.min(0, yLo);
+  const hi = Math.max(0, yHi);
+  const x = (v) => PAD.l + (v / xHi) * (W - PAD.l - PAD.r);
+  const y = (v) =>
+    hi === lo
+      ? (H - PAD.b + PAD.t) / 2
+      : H - PAD.b - ((v - lo) / (hi - lo)) * (H - PAD.b - PAD.t);
+  const path = (pts) =>
+    pts
+      .map(
+        (p, i) => `${i ? "L" : "M"}${x(p.x).toFixed(1)},${y(p.y).toFixed(1)}`
+      )
+      .join("");
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={styles.svg} role="img">
+      {[...new Set([lo, 0, hi])].map((v) => (
+        <g key={v}>
+          <line
+            x1={PAD.l}
+            x2={W - PAD.r}
+            y1={y(v)}
+            y2={y(v)}
+            stroke={v === 0 ? "rgba(255,255,255,0.25)" : GRID}
+          />
+          <text
+            x={PAD.l - 6}
+            y={y(v) + 4}
+            fill={AXIS_TEXT}
+            fontSize="11"
+            textAnchor="end"
+          >
+            {fmtMoney(Math.round(v))}
+          </text>
+        </g>
+      ))}
+      {lines.map((pts, i) => (
+        <path
+          key={i}
+          d={path(pts)}
+          fill="none"
+          stroke={i === 0 ? COLOR_A : COLOR_B}
+          strokeWidth="2"
+        />
+      ))}
+      <text x={PAD.l} y={H - 8} fill={AXIS_TEXT} fontSize="11">
+        day 0
+      </text>
+      <text
+        x={W - PAD.r}
+        y={H - 8}
+        fill={AXIS_TEXT}
+        fontSize="11"
+        textAnchor="end"
+      >
+        day {Math.ceil(xHi)}
+      </text>
+    </svg>
+  );
+}
+
+const styles = {
+  details: {
+    marginTop: 14,
+    borderRadius: 18,
+    padding: 16,
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.12)",
+  },
+  summary: { cursor: "pointer", fontWeight: 1100, fontSize: 16 },
+  hint: { marginTop: 6, fontSize: 13, color: "rgba(229,231,235,0.75)" },
+  sides: { marginTop: 12, display: "grid", gap: 8 },
+  side: {
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    flexWrap: "wrap",
+    fontSize: 13,
+  },
+  sideTag: {
+    width: 24,
+    height: 24,
+    borderRadius: 8,
+    display: "inline-flex",
+    alignItems: "center",
+    justifyContent: "center",
+    fontWeight: 1100,
+    color: "#0b1220",
+  },
+  input: {
+    padding: "6px 10px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+  dim: { fontSize: 13, color: "rgba(229,231,235,0.75)" },
+  table: {
+    marginTop: 12,
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13,
+  },
+  th: {
+    textAlign: "left",
+    padding: "6px 8px",
+    fontWeight: 1000,
+    borderBottom: "1px solid rgba(255,255,255,0.14)",
+  },
+  td: { padding: "6px 8px", borderBottom: "1px solid rgba(255,255,255,0.06)" },
+  tdNum: {
+    padding: "6px 8px",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+    fontVariantNumeric: "tabular-nums",
+    whiteSpace: "nowrap",
+  },
+  box: {
+    marginTop: 14,
+    borderRadius: 16,
+    padding: 12,
+    background: "rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,255,255,0.10)",
+    overflowX: "auto",
+  },
+  boxTitle: { fontSize: 12, fontWeight: 900, opacity: 0.85 },
+  svg: { width: "100%", height: "auto", display: "block", marginTop: 8 },
+};
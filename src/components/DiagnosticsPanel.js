@@ -0,0 +1,241 @@
+import React from "react";
+import { LOT_METHODS } from "../trades";
+import { fmtMoney, fmtPrice } from "../utils";
+
+/**
+ * How clean was the Open -> Close pairing? Counts orphaned / partial closes,
+ * lists positions still open at the end of the files, and lets the user pick
+ * the lot-matching method.
+ */
+export default function DiagnosticsPanel({
+  diagnostics,
+  unmatched,
+  openPositions,
+  lotMethod,
+  onLotMethodChange,
+}) {
+  const d = diagnostics;
+  const clean = unmatched.length === 0 && openPositions.length === 0;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.top}>
+        <div>
+          <div style={styles.title}>Reconstruction</div>
+          <div style={styles.hint}>
+            {clean
+              ? "Every close matched an open and nothing is left open. Clean."
+              : "Some fills couldn’t be paired — usually the export starts after a position was opened, or ends before it was closed."}
+          </div>
+        </div>
+        <div style={{ minWidth: 200 }}>
+          <div style={styles.label}>Lot matching</div>
+          <select
+            style={styles.select}
+            value={lotMethod}
+            onChange={(e) => onLotMethodChange(e.target.value)}
+          >
+            {LOT_METHODS.map((x) => (
+              <option key={x.id} value={x.id}>
+                {x.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div style={styles.grid}>
+        <Tile label="Fills" value={d.fills.toLocaleString()} />
+        <Tile
+          label="Duplicates dropped"
+          value={d.duplicateFills.toLocaleString()}
+        />
+        <Tile label="Closes" value={d.closes.toLocaleString()} />
+        <Tile
+          label="Orphaned closes"
+          value={d.orphanedCloses.toLocaleString()}
+          warn={d.orphanedCloses > 0}
+        />
+        <Tile
+          label="Partially matched"
+          value={d.partialCloses.toLocaleString()}
+          warn={d.partialCloses > 0}
+        />
+        <Tile
+          label="Still open"
+          value={openPositions.length.toLocaleString()}
+          warn={openPositions.length > 0}
+        />
+        {d.fundingPayments > 0 && (
+          <>
+            <Tile
+              label="Funding payments"
+              value={d.fundingPayments.toLocaleString()}
+            />
+            <Tile
+              label="Funding unassigned"
+              value={fmtMoney(d.fundingUnassigned)}
+              warn={Math.abs(d.fundingUnassigned) > 0}
+            />
+          </>
+        )}
+      </div>
+
+      {unmatched.length > 0 && (
+        <details style={styles.details}>
+          <summary style={styles.summary}>
+            Unmatched closes ({unmatched.length}) — not counted as trades
+          </summary>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Symbol</th>
+                <th style={styles.th}>Side</th>
+                <th style={styles.th}>Unmatched qty</th>
+                <th style={styles.th}>Exit</th>
+                <th style={styles.th}>PnL share</th>
+                <th style={styles.th}>Time</th>
+                <th style={styles.th}>File</th>
+              </tr>
+            </thead>
+            <tbody>
+              {unmatched.slice(0, 50).map((u, i) => (
+                <tr key={i}>
+                  <td style={styles.td}>{u.symbol}</td>
+                  <td style={styles.td}>{u.direction}</td>
+                  <td style={styles.td}>
+                    {+u.qty.toPrecision(8)}
+                    {u.qty < u.closeQty ? ` of ${u.closeQty}` : ""}
+                  </td>
+                  <td style={styles.td}>{fmtPrice(u.exitPrice)}</td>
+                  <td style={styles.td}>{fmtMoney(u.pnl)}</td>
+                  <td style={styles.td}>
+                    {u.closeTime.toISOString().slice(0, 19).replace("T", " ")}
+                  </td>
+                  <td style={styles.td}>{u.sourceFile || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+
+      {openPositions.length > 0 && (
+        <details style={styles.details}>
+          <summary style={styles.summary}>
+            Open at end of file ({openPositions.length})
+          </summary>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Symbol</th>
+                <th style={styles.th}>Side</th>
+                <th style={styles.th}>Qty</th>
+                <th style={styles.th}>Avg entry</th>
+                <th style={styles.th}>Lots</th>
+                <th style={styles.th}>Opened</th>
+                <th style={styles.th}>Account</th>
+              </tr>
+            </thead>
+            <tbody>
+              {openPositions.map((p, i) => (
+                <tr key={i}>
+                  <td style={styles.td}>{p.symbol}</td>
+                  <td style={styles.td}>{p.direction}</td>
+                  <td style={styles.td}>{+p.qty.toPrecision(8)}</td>
+                  <td style={styles.td}>{fmtPrice(p.avgEntry)}</td>
+                  <td style={styles.td}>{p.lots}</td>
+                  <td style={styles.td}>
+                    {p.firstEntryTime
+                      .toISOString()
+                      .slice(0, 19)
+                      .replace("T", " ")}
+                  </td>
+                  <td style={styles.td}>{p.account || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+    </div>
+  );
+}
+
+function Tile({ label, value, warn }) {
+  return (
+    <div style={{ ...styles.tile, ...(warn ? styles.tileWarn : null) }}>
+      <div style={styles.tileLabel}>{label}</div>
+      <div style={styles.tileValue}>{value}</div>
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    marginTop: 14,
+    borderRadius: 18,
+    padding: 16,
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.12)",
+  },
+  top: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "flex-end",
+    gap: 12,
+    flexWrap: "wrap",
+  },
+  title: { fontWeight: 1100, fontSize: 16 },
+  hint: { marginTop: 4, fontSize: 13, color: "rgba(229,231,235,0.75)" },
+  label: { fontSize: 12, fontWeight: 900, opacity: 0.85, marginBottom: 6 },
+  select: {
+    width: "100%",
+    padding: "10px 12px",
+    borderRadius: 14,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+
+  grid: {
+    marginTop: 12,
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(140px, 1fr))",
+    gap: 12,
+  },
+  tile: {
+    borderRadius: 16,
+    padding: 12,
+    background: "rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,255,255,0.10)",
+  },
+  tileWarn: {
+    background: "rgba(255,176,32,0.10)",
+    border: "1px solid rgba(255,176,32,0.30)",
+  },
+  tileLabel: { fontSize: 12, opacity: 0.75, marginBottom: 6, fontWeight: 900 },
+  tileValue: { fontSize: 16, fontWeight: 1100 },
+
+  details: { marginTop: 12 },
+  summary: { cursor: "pointer", fontWeight: 900, fontSize: 13 },
+  table: {
+    marginTop: 8,
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 12,
+  },
+  th: {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.10)",
+    fontWeight: 1000,
+    whiteSpace: "nowrap",
+  },
+  td: {
+    padding: "8px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+    whiteSpace: "nowrap",
+  },
+};
@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { analysisToJson, downloadText, tradesToCsv } from "../exports";
+import { buildHtmlReport } from "../report";
+
+const TOP_N = [10, 25, 50];
+
+const stamp = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Download buttons for the trades behind the KPIs (all of them, or the
+ * table's filtered subset when KPIs are scoped): CSV, re-importable JSON and
+ * the printable HTML report. Everything is generated in the browser.
+ */
+export default function ExportPanel({
+  trades,
+  hRows,
+  summary,
+  hindsight,
+  settings,
+}) {
+  const [topN, setTopN] = useState(TOP_N[0]);
+  const rows = hRows || trades;
+
+  function exportCsv() {
+    downloadText(
+      `fumble-trades-${stamp()}.csv`,
+      tradesToCsv(rows),
+      "text/csv;charset=utf-8"
+    );
+  }
+
+  function exportJson() {
+    downloadText(
+      `fumble-analysis-${stamp()}.json`,
+      analysisToJson(rows, settings),
+      "application/json"
+    );
+  }
+
+  function exportReport() {
+    const html = buildHtmlReport({
+      trades,
+      hRows,
+      summary,
+      hindsight,
+      settings,
+      topN,
+    });
+    downloadText(`fumble-report-${stamp()}.html`, html, "text/html");
+  }
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.title}>Export</div>
+      <div style={styles.hint}>
+        {rows.length.toLocaleString()} trades
+        {hRows ? " with their hindsight numbers" : ""} — the same set as the
+        KPIs. The JSON re-opens here (drop it like a CSV) without fetching
+        candles again.
+      </div>
+      <div style={styles.row}>
+        <button type="button" style={styles.btn} onClick={exportCsv}>
+          CSV 📄
+        </button>
+        <button type="button" style={styles.btn} onClick={exportJson}>
+          JSON (re-importable) 💾
+        </button>
+        <span style={styles.group}>
+          <button type="button" style={styles.btn} onClick={exportReport}>
+            HTML report 🖨️
+          </button>
+          <select
+            style={styles.select}
+            value={topN}
+            onChange={(e) => setTopN(Number(e.target.value))}
+          >
+            {TOP_N.map((n) => (
+              <option key={n} value={n}>
+                Top {n} fumbles
+              </option>
+            ))}
+          </select>
+        </span>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    marginTop: 14,
+    borderRadius: 18,
+    padding: 16,
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.12)",
+  },
+  title: { fontWeight: 1100, fontSize: 16 },
+  hint: { marginTop: 4, fontSize: 13, color: "rgba(229,231,235,0.75)" },
+  row: {
+    marginTop: 12,
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    flexWrap: "wrap",
+  },
+  group: { display: "inline-flex", alignItems: "center", gap: 6 },
+  btn: {
+    padding: "8px 12px",
+    borderRadius: 12,
+    fontWeight: 1000,
+    fontSize: 13,
+    color: "#e5e7eb",
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    cursor: "pointer",
+  },
+  select: {
+    padding: "8px 10px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+};
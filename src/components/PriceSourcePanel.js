@@ -0,0 +1,254 @@
+import React from "react";
+import { PRICE_SOURCES, resolvePriceSource } from "../priceSources";
+import { candleFileSymbols } from "../priceSources/localFile";
+
+const CONCURRENCY_OPTIONS = [1, 2, 4, 6, 8];
+
+/**
+ * Where hindsight gets candles from: a default provider, a per-symbol
+ * provider + symbol override (e.g. BloFin "PEPE-USDT" -> "1000PEPEUSDT"
+ * on futures), and user-supplied candle files.
+ */
+export default function PriceSourcePanel({
+  symbols,
+  settings,
+  onChange,
+  candleFiles,
+  onCandleFiles,
+  onRemoveCandleFile,
+  disabled,
+}) {
+  const fileSymbols = candleFileSymbols(candleFiles);
+  const overrideCount = Object.keys(settings.overrides).length;
+
+  const setOverride = (sym, patch) => {
+    const next = { ...settings.overrides[sym], ...patch };
+    const overrides = { ...settings.overrides };
+    if (next.source || next.symbol) overrides[sym] = next;
+    else delete overrides[sym];
+    onChange({ ...settings, overrides });
+  };
+
+  return (
+    <details style={styles.details}>
+      <summary style={styles.summary}>
+        Price sources
+        {overrideCount > 0 ? ` (${overrideCount} overridden)` : ""}
+      </summary>
+
+      <div style={styles.top}>
+        <div style={{ minWidth: 220 }}>
+          <div style={styles.label}>Default source</div>
+          <select
+            style={styles.select}
+            value={settings.defaultSource}
+            disabled={disabled}
+            onChange={(e) =>
+              onChange({ ...settings, defaultSource: e.target.value })
+            }
+          >
+            {PRICE_SOURCES.map((x) => (
+              <option key={x.id} value={x.id}>
+                {x.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <div style={styles.label}>Parallel requests</div>
+          <select
+            style={styles.select}
+            value={settings.concurrency}
+            disabled={disabled}
+            onChange={(e) =>
+              onChange({ ...settings, concurrency: Number(e.target.value) })
+            }
+          >
+            {CONCURRENCY_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <div style={styles.label}>Candle files</div>
+          <label style={styles.fileBtn}>
+            Add CSV / JSON
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              multiple
+              disabled={disabled}
+              style={{ display: "none" }}
+              onChange={(e) => {
+                onCandleFiles(e.target.files);
+                e.target.value = "";
+              }}
+            />
+          </label>
+        </div>
+      </div>
+
+      {candleFiles.length > 0 && (
+        <div style={styles.files}>
+          {candleFiles.map((f) => (
+            <div key={f.id} style={styles.fileRow}>
+              <span>
+                📄 {f.fileName} —{" "}
+                {Object.entries(f.series)
+                  .map(([sym, kl]) => `${sym} (${kl.length})`)
+                  .join(", ")}
+              </span>
+              <button
+                type="button"
+                style={styles.linkBtn}
+                onClick={() => onRemoveCandleFile(f.id)}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {symbols.length > 0 && (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Traded symbol</th>
+              <th style={styles.th}>Source</th>
+              <th style={styles.th}>Source symbol</th>
+            </tr>
+          </thead>
+          <tbody>
+            {symbols.map((sym) => {
+              const o = settings.overrides[sym] || {};
+              const resolved = resolvePriceSource(
+                sym,
+                { ...settings, overrides: {} },
+                { candleFiles }
+              );
+              return (
+                <tr key={sym}>
+                  <td style={styles.td}>{sym}</td>
+                  <td style={styles.td}>
+                    <select
+                      style={styles.select}
+                      value={o.source || ""}
+                      disabled={disabled}
+                      onChange={(e) =>
+                        setOverride(sym, {
+                          source: e.target.value || undefined,
+                        })
+                      }
+                    >
+                      <option value="">
+                        Default ({resolved.source.label})
+                      </option>
+                      {PRICE_SOURCES.map((x) => (
+                        <option key={x.id} value={x.id}>
+                          {x.label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={styles.td}>
+                    <input
+                      style={styles.select}
+                      value={o.symbol || ""}
+                      placeholder={resolved.symbol}
+                      list="candle-file-symbols"
+                      disabled={disabled}
+                      onChange={(e) =>
+                        setOverride(sym, {
+                          symbol: e.target.value.toUpperCase() || undefined,
+                        })
+                      }
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <datalist id="candle-file-symbols">
+        {fileSymbols.map((s) => (
+          <option key={s} value={s} />
+        ))}
+      </datalist>
+    </details>
+  );
+}
+
+const styles = {
+  details: { marginTop: 12 },
+  summary: { cursor: "pointer", fontWeight: 900, fontSize: 13 },
+  top: {
+    marginTop: 10,
+    display: "flex",
+    alignItems: "flex-end",
+    gap: 12,
+    flexWrap: "wrap",
+  },
+  label: { fontSize: 12, fontWeight: 900, opacity: 0.85, marginBottom: 6 },
+  select: {
+    width: "100%",
+    boxSizing: "border-box",
+    padding: "8px 10px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+  fileBtn: {
+    display: "inline-block",
+    padding: "8px 12px",
+    borderRadius: 12,
+    fontWeight: 1000,
+    fontSize: 13,
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    cursor: "pointer",
+  },
+
+  files: { marginTop: 10, display: "grid", gap: 6, fontSize: 12 },
+  fileRow: {
+    display: "flex",
+    justifyContent: "space-between",
+    gap: 10,
+    opacity: 0.85,
+  },
+  linkBtn: {
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: "rgba(229,231,235,0.75)",
+    textDecoration: "underline",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+
+  table: {
+    marginTop: 10,
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 12,
+  },
+  th: {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.10)",
+    fontWeight: 1000,
+    whiteSpace: "nowrap",
+  },
+  td: {
+    padding: "6px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+  },
+};
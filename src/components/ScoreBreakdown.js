@@ -0,0 +1,245 @@
+import React, { useState } from "react";
+import {
+  BUILTIN_PRESETS,
+  MIN_COVERAGE,
+  SCORE_COMPONENTS,
+} from "../fumbleScore";
+
+const COLORS = {
+  paperhands: "#ffb020",
+  fumbled: "#00d1ff",
+  lateLosers: "#ef4444",
+  entry: "#a78bfa",
+  revenge: "#f472b6",
+};
+
+const sameWeights = (a, b) =>
+  SCORE_COMPONENTS.every((c) => (a[c.id] || 0) === (b[c.id] || 0));
+
+/**
+ * Why the Fumble Score is what it is: each component's points (they add up
+ * to the score), plus the weight editor and presets (fumbleScore.js).
+ * settings: { weights, presets }; App saves them.
+ */
+export default function ScoreBreakdown({ parts, settings, onSettingsChange }) {
+  const [presetName, setPresetName] = useState("");
+  const presets = [...BUILTIN_PRESETS, ...settings.presets];
+  const active = presets.find((p) => sameWeights(p.weights, settings.weights));
+  const isCustom = settings.presets.some((p) => p.id === active?.id);
+  const scored = parts.filter((p) => !p.missing);
+  const weightOf = (list) => list.reduce((s, p) => s + p.weight, 0);
+  const coverage = weightOf(scored) / (weightOf(parts) || 1);
+
+  function setWeight(id, value) {
+    onSettingsChange({
+      ...settings,
+      weights: { ...settings.weights, [id]: value },
+    });
+  }
+
+  function savePreset() {
+    const preset = {
+      id: `p${Date.now().toString(36)}`,
+      name: presetName.trim(),
+      weights: settings.weights,
+    };
+    onSettingsChange({ ...settings, presets: [...settings.presets, preset] });
+    setPresetName("");
+  }
+
+  function deletePreset() {
+    onSettingsChange({
+      ...settings,
+      presets: settings.presets.filter((p) => p.id !== active.id),
+    });
+  }
+
+  return (
+    <div style={styles.wrap}>
+      <div style={styles.bar}>
+        {scored.map((p) => (
+          <div
+            key={p.id}
+            title={`${p.label}: ${p.points.toFixed(1)} pts`}
+            style={{
+              width: `${p.points}%`,
+              background: COLORS[p.id],
+            }}
+          />
+        ))}
+      </div>
+
+      {coverage < MIN_COVERAGE && (
+        <div style={styles.hint}>
+          Not enough data for these weights yet: only{" "}
+          {Math.round(coverage * 100)}% of the weight can be measured (needs{" "}
+          {Math.round(MIN_COVERAGE * 100)}%).
+        </div>
+      )}
+
+      <div style={styles.list}>
+        {parts
+          .filter((p) => p.weight > 0)
+          .map((p) => (
+            <div
+              key={p.id}
+              style={{ ...styles.item, opacity: p.missing ? 0.5 : 1 }}
+              title={p.hint}
+            >
+              <span style={{ ...styles.dot, background: COLORS[p.id] }} />
+              <span style={styles.name}>{p.label}</span>
+              <span style={styles.detail}>
+                {p.missing
+                  ? p.missing
+                  : `${p.detail} → ${Math.round(p.score)}/100 × ${Math.round(
+                      p.share * 100
+                    )}%`}
+              </span>
+              <span style={styles.points}>
+                {p.missing ? "—" : `+${p.points.toFixed(1)}`}
+              </span>
+            </div>
+          ))}
+      </div>
+
+      <details style={styles.tune}>
+        <summary style={styles.tuneSummary}>
+          Tune weights · {active ? active.name : "Custom"}
+        </summary>
+        <div style={styles.row}>
+          <select
+            style={styles.input}
+            value={active?.id || ""}
+            onChange={(e) => {
+              const p = presets.find((x) => x.id === e.target.value);
+              if (p) onSettingsChange({ ...settings, weights: p.weights });
+            }}
+          >
+            {!active && <option value="">Custom</option>}
+            {presets.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          {isCustom && (
+            <button type="button" style={styles.linkBtn} onClick={deletePreset}>
+              Delete preset
+            </button>
+          )}
+        </div>
+
+        {SCORE_COMPONENTS.map((c) => (
+          <label key={c.id} style={styles.slider} title={c.hint}>
+            <span style={{ ...styles.dot, background: COLORS[c.id] }} />
+            <span style={styles.sliderLabel}>{c.label}</span>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              step="5"
+              value={settings.weights[c.id] || 0}
+              onChange={(e) => setWeight(c.id, Number(e.target.value))}
+            />
+            <span style={styles.points}>{settings.weights[c.id] || 0}</span>
+          </label>
+        ))}
+        <div style={styles.hint}>
+          Weights are relative; components without data for these trades drop
+          out and the rest are rescaled.
+        </div>
+
+        {!active && (
+          <div style={styles.row}>
+            <input
+              style={styles.input}
+              placeholder="Preset name"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+            />
+            <button
+              type="button"
+              style={styles.btn}
+              disabled={!presetName.trim()}
+              onClick={savePreset}
+            >
+              Save preset
+            </button>
+          </div>
+        )}
+      </details>
+    </div>
+  );
+}
+
+const styles = {
+  wrap: { marginTop: 12 },
+  bar: {
+    display: "flex",
+    height: 8,
+    borderRadius: 999,
+    overflow: "hidden",
+    background: "rgba(0,0,0,0.25)",
+  },
+  list: { marginTop: 10, display: "grid", gap: 6 },
+  item: {
+    display: "grid",
+    gridTemplateColumns: "10px 120px 1fr auto",
+    alignItems: "center",
+    gap: 8,
+    fontSize: 12,
+  },
+  dot: { width: 10, height: 10, borderRadius: 3, display: "inline-block" },
+  name: { fontWeight: 1000 },
+  detail: { color: "rgba(229,231,235,0.75)" },
+  points: {
+    fontWeight: 1000,
+    fontVariantNumeric: "tabular-nums",
+    textAlign: "right",
+  },
+  tune: { marginTop: 10, fontSize: 12 },
+  tuneSummary: { cursor: "pointer", fontWeight: 1000, opacity: 0.85 },
+  row: {
+    marginTop: 8,
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    flexWrap: "wrap",
+  },
+  slider: {
+    marginTop: 6,
+    display: "grid",
+    gridTemplateColumns: "10px 120px 1fr 32px",
+    alignItems: "center",
+    gap: 8,
+  },
+  sliderLabel: { fontWeight: 900 },
+  hint: { marginTop: 6, fontSize: 12, color: "rgba(229,231,235,0.75)" },
+  input: {
+    padding: "6px 10px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+  btn: {
+    padding: "6px 12px",
+    borderRadius: 12,
+    fontWeight: 1000,
+    fontSize: 12,
+    color: "#e5e7eb",
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    cursor: "pointer",
+  },
+  linkBtn: {
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: "rgba(229,231,235,0.75)",
+    textDecoration: "underline",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+};
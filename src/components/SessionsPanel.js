@@ -0,0 +1,230 @@
+import React, { useState } from "react";
+
+const fmtSaved = (ms) =>
+  new Date(ms).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+/**
+ * Saved sessions (sessionStore.js): save the current uploads + settings +
+ * hindsight under a name, then reopen, rename or delete them later.
+ * Presentational; App does the IndexedDB calls.
+ */
+export default function SessionsPanel({
+  sessions,
+  currentId,
+  canSave,
+  busy,
+  onSave,
+  onOpen,
+  onRename,
+  onDelete,
+}) {
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null); // { id, name } being renamed
+  const [deleting, setDeleting] = useState(null); // id awaiting confirmation
+  const current = sessions.find((s) => s.id === currentId);
+
+  function saveNew() {
+    onSave(name.trim(), { asNew: true });
+    setName("");
+  }
+
+  function commitRename() {
+    if (editing.name.trim()) onRename(editing.id, editing.name.trim());
+    setEditing(null);
+  }
+
+  return (
+    <details style={styles.details}>
+      <summary style={styles.summary}>
+        Saved sessions{sessions.length > 0 ? ` (${sessions.length})` : ""}
+      </summary>
+      <div style={styles.hint}>
+        Trades, settings and hindsight results, kept in this browser (IndexedDB)
+        — never uploaded.
+      </div>
+
+      <div style={styles.row}>
+        <input
+          style={styles.input}
+          placeholder="Session name, e.g. March review"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && canSave && name.trim()) saveNew();
+          }}
+        />
+        <button
+          type="button"
+          style={styles.btn}
+          disabled={!canSave || !name.trim() || busy}
+          onClick={saveNew}
+        >
+          Save as new 💾
+        </button>
+        {current && (
+          <button
+            type="button"
+            style={styles.btn}
+            disabled={!canSave || busy}
+            onClick={() => onSave(null, { asNew: false })}
+          >
+            Update “{current.name}”
+          </button>
+        )}
+      </div>
+
+      {sessions.length > 0 && (
+        <div style={styles.list}>
+          {sessions.map((s) => (
+            <div key={s.id} style={styles.item}>
+              {editing?.id === s.id ? (
+                <input
+                  style={styles.input}
+                  value={editing.name}
+                  autoFocus
+                  onChange={(e) =>
+                    setEditing({ ...editing, name: e.target.value })
+                  }
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") commitRename();
+                    if (e.key === "Escape") setEditing(null);
+                  }}
+                />
+              ) : (
+                <span style={styles.name}>
+                  {s.name}
+                  {s.id === currentId && <span style={styles.badge}>open</span>}
+                </span>
+              )}
+              <span style={styles.dim}>
+                {s.trades.toLocaleString()} trades
+                {s.priced > 0 ? ` · ${s.priced.toLocaleString()} priced` : ""} ·
+                saved {fmtSaved(s.updatedAt)}
+              </span>
+              <span style={styles.actions}>
+                <button
+                  type="button"
+                  style={styles.linkBtn}
+                  disabled={busy}
+                  onClick={() => onOpen(s.id)}
+                >
+                  Open
+                </button>
+                <button
+                  type="button"
+                  style={styles.linkBtn}
+                  onClick={() => setEditing({ id: s.id, name: s.name })}
+                >
+                  Rename
+                </button>
+                {deleting === s.id ? (
+                  <>
+                    <button
+                      type="button"
+                      style={{ ...styles.linkBtn, color: "#ff8a8a" }}
+                      onClick={() => {
+                        setDeleting(null);
+                        onDelete(s.id);
+                      }}
+                    >
+                      Really delete?
+                    </button>
+                    <button
+                      type="button"
+                      style={styles.linkBtn}
+                      onClick={() => setDeleting(null)}
+                    >
+                      Keep
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    type="button"
+                    style={styles.linkBtn}
+                    onClick={() => setDeleting(s.id)}
+                  >
+                    Delete
+                  </button>
+                )}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </details>
+  );
+}
+
+const styles = {
+  details: {
+    marginTop: 14,
+    borderRadius: 18,
+    padding: 16,
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.12)",
+  },
+  summary: { cursor: "pointer", fontWeight: 1100, fontSize: 16 },
+  hint: { marginTop: 6, fontSize: 13, color: "rgba(229,231,235,0.75)" },
+  row: {
+    marginTop: 12,
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    flexWrap: "wrap",
+  },
+  input: {
+    padding: "8px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+    minWidth: 220,
+  },
+  btn: {
+    padding: "8px 12px",
+    borderRadius: 12,
+    fontWeight: 1000,
+    fontSize: 13,
+    color: "#e5e7eb",
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    cursor: "pointer",
+  },
+  list: { marginTop: 12, display: "grid", gap: 8 },
+  item: {
+    display: "flex",
+    alignItems: "center",
+    gap: 12,
+    flexWrap: "wrap",
+    padding: "10px 12px",
+    borderRadius: 14,
+    background: "rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,255,255,0.10)",
+    fontSize: 13,
+  },
+  name: { fontWeight: 1000, display: "inline-flex", gap: 8 },
+  badge: {
+    fontSize: 11,
+    fontWeight: 1000,
+    padding: "1px 8px",
+    borderRadius: 999,
+    color: "#0b1220",
+    background: "rgba(34,197,94,0.9)",
+  },
+  dim: { color: "rgba(229,231,235,0.75)" },
+  actions: { marginLeft: "auto", display: "inline-flex", gap: 12 },
+  linkBtn: {
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: "rgba(229,231,235,0.75)",
+    textDecoration: "underline",
+    cursor: "pointer",
+    fontSize: 13,
+  },
+};
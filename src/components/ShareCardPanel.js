@@ -0,0 +1,418 @@
+import React, { useMemo, useRef, useState } from "react";
+import { toPng } from "html-to-image";
+import { normalizeToBinanceSymbol } from "../candles";
+import { marketKey } from "../trades";
+import { fmtMoney, fmtPct } from "../utils";
+
+/**
+ * "Roast card": a self-contained card rendered to PNG with html-to-image and
+ * downloaded straight from the browser — nothing is uploaded, and web fonts
+ * are skipped so the export doesn't fetch anything either.
+ *
+ * Private mode swaps every dollar figure for a percentage: share of the
+ * could've-made kept / fumbled, the worst fumble's missed move, and each
+ * pair's share of the total fumbled.
+ */
+
+// CSS size of the card; the PNG is PIXEL_RATIO times that
+const LAYOUTS = {
+  square: { label: "Square (1:1)", width: 540, height: 540, pairs: 3 },
+  story: { label: "Story (9:16)", width: 540, height: 960, pairs: 5 },
+  wide: { label: "Wide (16:9)", width: 960, height: 540, pairs: 3 },
+};
+const PIXEL_RATIO = 2;
+const PREVIEW_WIDTH = 360;
+
+function scoreVerdict(score) {
+  if (!Number.isFinite(score)) return "Not enough trades to judge (yet)";
+  if (score >= 70) return "Certified paper hands 🧻";
+  if (score >= 40) return "Mid-tier fumbler 😬";
+  return "Diamond hands 💎";
+}
+
+// most fumbled markets: [{ key, fumbled, share }]
+function topFumbledPairs(rows, limit) {
+  const byPair = new Map();
+  let total = 0;
+  for (const x of rows || []) {
+    if (!(x.fumbled > 0)) continue;
+    const key = marketKey(x.symbol);
+    byPair.set(key, (byPair.get(key) || 0) + x.fumbled);
+    total += x.fumbled;
+  }
+  return Array.from(byPair, ([key, fumbled]) => ({
+    key,
+    fumbled,
+    share: total > 0 ? fumbled / total : NaN,
+  }))
+    .sort((a, b) => b.fumbled - a.fumbled)
+    .slice(0, limit);
+}
+
+// how far past the actual exit the best exit was, in price %
+function missedMovePct(t) {
+  const sign = t.direction === "SHORT" ? -1 : 1;
+  return t.exitPrice > 0
+    ? ((sign * (t.bestExit - t.exitPrice)) / t.exitPrice) * 100
+    : NaN;
+}
+
+const fmtShare = (x) => (Number.isFinite(x) ? `${Math.round(x * 100)}%` : "—");
+
+export default function ShareCardPanel({
+  score,
+  scoreColor,
+  winRate,
+  tradeCount,
+  hindsight,
+  hRows,
+}) {
+  const [layoutId, setLayoutId] = useState("square");
+  const [privateMode, setPrivateMode] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const cardRef = useRef(null);
+
+  const layout = LAYOUTS[layoutId];
+  const pairs = useMemo(
+    () => topFumbledPairs(hRows, layout.pairs),
+    [hRows, layout.pairs]
+  );
+
+  async function download() {
+    if (!cardRef.current) return;
+    setBusy(true);
+    setError("");
+    try {
+      const dataUrl = await toPng(cardRef.current, {
+        pixelRatio: PIXEL_RATIO,
+        skipFonts: true,
+      });
+      const a = document.createElement("a");
+      a.href = dataUrl;
+      a.download = `fumble-roast-${layoutId}.png`;
+      a.click();
+    } catch (e) {
+      setError(`Couldn’t render the card: ${e?.message || String(e)}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const scale = PREVIEW_WIDTH / layout.width;
+
+  return (
+    <div style={styles.card}>
+      <div style={styles.top}>
+        <div>
+          <div style={styles.title}>Share your roast</div>
+          <div style={styles.hint}>
+            Renders a PNG in your browser and downloads it — nothing is
+            uploaded.
+          </div>
+        </div>
+        <div style={styles.controls}>
+          <select
+            style={styles.select}
+            value={layoutId}
+            onChange={(e) => setLayoutId(e.target.value)}
+          >
+            {Object.entries(LAYOUTS).map(([id, l]) => (
+              <option key={id} value={id}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+          <label style={styles.inline}>
+            <input
+              type="checkbox"
+              checked={privateMode}
+              onChange={(e) => setPrivateMode(e.target.checked)}
+            />
+            <span>Hide $ amounts</span>
+          </label>
+          <button
+            type="button"
+            style={{ ...styles.primaryBtn, opacity: busy ? 0.7 : 1 }}
+            disabled={busy}
+            onClick={download}
+          >
+            {busy ? "Rendering…" : "Download PNG 📸"}
+          </button>
+        </div>
+      </div>
+
+      {error && <div style={styles.error}>⚠️ {error}</div>}
+
+      <div
+        style={{
+          ...styles.previewBox,
+          width: PREVIEW_WIDTH,
+          height: layout.height * scale,
+        }}
+      >
+        <div style={{ transform: `scale(${scale})`, transformOrigin: "0 0" }}>
+          <RoastCard
+            cardRef={cardRef}
+            layout={layout}
+            privateMode={privateMode}
+            score={score}
+            scoreColor={scoreColor}
+            winRate={winRate}
+            tradeCount={tradeCount}
+            hindsight={hindsight}
+            pairs={pairs}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ---------------- the card itself (what ends up in the PNG) ----------------
+function RoastCard({
+  cardRef,
+  layout,
+  privateMode,
+  score,
+  scoreColor,
+  winRate,
+  tradeCount,
+  hindsight,
+  pairs,
+}) {
+  const wide = layout.width > layout.height;
+  const potential = hindsight?.totalPotential;
+  const kept = potential > 0 ? hindsight.totalRealized / potential : NaN;
+  const fumbledShare = potential > 0 ? hindsight.totalFumbled / potential : NaN;
+  const worst = hindsight?.worst;
+
+  const kpis = !hindsight
+    ? []
+    : privateMode
+    ? [
+        ["Kept", fmtShare(kept)],
+        ["Fumbled", fmtShare(fumbledShare)],
+      ]
+    : [
+        ["Could’ve made", fmtMoney(hindsight.totalPotential)],
+        ["Actually made", fmtMoney(hindsight.totalRealized)],
+        ["Fumbled", fmtMoney(hindsight.totalFumbled)],
+      ];
+
+  const scoreBlock = (
+    <div>
+      <div style={cardStyles.label}>Fumble Score</div>
+      <div
+        style={{
+          ...cardStyles.score,
+          color: scoreColor,
+          fontSize: layout.height > 600 ? 180 : 132,
+        }}
+      >
+        {Number.isFinite(score) ? Math.round(score) : "—"}
+      </div>
+      <div style={cardStyles.verdict}>{scoreVerdict(score)}</div>
+      <div style={cardStyles.meta}>
+        {Number.isFinite(winRate) ? `${Math.round(winRate * 100)}%` : "—"} win
+        rate · {tradeCount.toLocaleString()} trades
+      </div>
+    </div>
+  );
+
+  const details = (
+    <div style={cardStyles.details}>
+      {kpis.length > 0 && (
+        <div style={cardStyles.kpis}>
+          {kpis.map(([label, value]) => (
+            <div key={label} style={cardStyles.kpi}>
+              <div style={cardStyles.kpiLabel}>{label}</div>
+              <div style={cardStyles.kpiValue}>{value}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {worst && (
+        <div style={cardStyles.box}>
+          <div style={cardStyles.boxTitle}>Biggest fumble</div>
+          <div style={cardStyles.row}>
+            <span>
+              {normalizeToBinanceSymbol(worst.symbol)} {worst.direction}
+            </span>
+            <b>
+              {privateMode
+                ? `${fmtPct(missedMovePct(worst))} left on the table`
+                : fmtMoney(worst.fumbled)}
+            </b>
+          </div>
+        </div>
+      )}
+
+      {pairs.length > 0 && (
+        <div style={cardStyles.box}>
+          <div style={cardStyles.boxTitle}>Most fumbled pairs</div>
+          {pairs.map((p, i) => (
+            <div key={p.key} style={cardStyles.row}>
+              <span>
+                {i + 1}. {p.key}
+              </span>
+              <b>
+                {privateMode
+                  ? `${fmtShare(p.share)} of fumbles`
+                  : fmtMoney(p.fumbled)}
+              </b>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!hindsight && (
+        <div style={cardStyles.meta}>
+          Run Hindsight Mode to add what you fumbled.
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div
+      ref={cardRef}
+      style={{
+        ...cardStyles.card,
+        width: layout.width,
+        height: layout.height,
+      }}
+    >
+      <div style={cardStyles.brand}>🤡 fumble.com</div>
+      <div
+        style={{
+          ...cardStyles.body,
+          flexDirection: wide ? "row" : "column",
+          alignItems: wide ? "center" : "stretch",
+        }}
+      >
+        {scoreBlock}
+        {details}
+      </div>
+      <div style={cardStyles.footer}>
+        Estimates from public candles · not financial advice
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  card: {
+    marginTop: 14,
+    borderRadius: 18,
+    padding: 16,
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.12)",
+  },
+  top: {
+    display: "flex",
+    justifyContent: "space-between",
+    gap: 12,
+    flexWrap: "wrap",
+    alignItems: "center",
+  },
+  title: { fontWeight: 1100, fontSize: 16 },
+  hint: { marginTop: 4, fontSize: 13, color: "rgba(229,231,235,0.75)" },
+  controls: {
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    flexWrap: "wrap",
+    fontSize: 13,
+  },
+  inline: { display: "inline-flex", alignItems: "center", gap: 6 },
+  select: {
+    padding: "8px 10px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+  primaryBtn: {
+    padding: "10px 14px",
+    borderRadius: 14,
+    fontWeight: 1100,
+    color: "#0b1220",
+    background: "linear-gradient(90deg, rgba(34,197,94,1), rgba(0,209,255,1))",
+    border: "none",
+    cursor: "pointer",
+  },
+  error: {
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 14,
+    background: "rgba(255,59,59,0.10)",
+    border: "1px solid rgba(255,59,59,0.25)",
+    color: "#ffd1d1",
+    fontWeight: 800,
+  },
+  previewBox: {
+    marginTop: 14,
+    overflow: "hidden",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.12)",
+  },
+};
+
+const cardStyles = {
+  card: {
+    boxSizing: "border-box",
+    padding: 36,
+    display: "flex",
+    flexDirection: "column",
+    justifyContent: "space-between",
+    color: "#e5e7eb",
+    fontFamily:
+      "Inter, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial",
+    background:
+      "radial-gradient(600px 400px at 10% 0%, rgba(255, 0, 128, 0.30), transparent 60%)," +
+      "radial-gradient(600px 400px at 90% 100%, rgba(0, 209, 255, 0.25), transparent 60%)," +
+      "#060914",
+  },
+  brand: { fontSize: 20, fontWeight: 1100 },
+  body: { flex: 1, display: "flex", justifyContent: "center", gap: 28 },
+  label: {
+    fontSize: 16,
+    fontWeight: 1000,
+    opacity: 0.75,
+    textTransform: "uppercase",
+    letterSpacing: 1,
+    marginTop: 20,
+  },
+  score: { fontWeight: 1100, lineHeight: 1 },
+  verdict: { marginTop: 8, fontSize: 22, fontWeight: 1000 },
+  meta: { marginTop: 8, fontSize: 15, color: "rgba(229,231,235,0.75)" },
+  details: { flex: 1, display: "flex", flexDirection: "column", gap: 14 },
+  kpis: { display: "flex", gap: 10 },
+  kpi: {
+    flex: 1,
+    borderRadius: 14,
+    padding: 12,
+    background: "rgba(255,255,255,0.08)",
+    border: "1px solid rgba(255,255,255,0.12)",
+  },
+  kpiLabel: { fontSize: 12, opacity: 0.75, fontWeight: 900, marginBottom: 4 },
+  kpiValue: { fontSize: 20, fontWeight: 1100 },
+  box: {
+    borderRadius: 14,
+    padding: 12,
+    background: "rgba(0,0,0,0.25)",
+    border: "1px solid rgba(255,255,255,0.10)",
+  },
+  boxTitle: { fontSize: 13, fontWeight: 1000, opacity: 0.8, marginBottom: 6 },
+  row: {
+    display: "flex",
+    justifyContent: "space-between",
+    gap: 12,
+    fontSize: 15,
+    padding: "3px 0",
+  },
+  footer: { fontSize: 12, color: "rgba(229,231,235,0.55)" },
+};
@@ -0,0 +1,280 @@
+import React from "react";
+import {
+  BEST_PRICE_BASIS,
+  DEFAULT_STRATEGIES,
+  formatPartials,
+  parsePartials,
+} from "../strategies";
+
+// rule field -> column header
+const RULE_FIELDS = [
+  { key: "tpPct", label: "TP %" },
+  { key: "slPct", label: "SL %" },
+  { key: "trailPct", label: "Trail %" },
+  { key: "breakevenPct", label: "BE at %" },
+  { key: "timeStopHours", label: "Time stop h" },
+];
+
+/**
+ * Exit strategies to replay every trade under (see strategies.js), and
+ * which one "fumbled" is measured against.
+ */
+export default function StrategyPanel({ settings, onChange, disabled }) {
+  const { enabled, basis, strategies } = settings;
+
+  const setStrategies = (next) => {
+    const keepBasis = next.some((s) => s.id === basis);
+    onChange({
+      ...settings,
+      strategies: next,
+      basis: keepBasis ? basis : BEST_PRICE_BASIS,
+    });
+  };
+
+  const patchStrategy = (id, patch) =>
+    setStrategies(
+      strategies.map((s) =>
+        s.id === id
+          ? { ...s, ...patch, rules: { ...s.rules, ...patch.rules } }
+          : s
+      )
+    );
+
+  const addStrategy = () => {
+    const used = new Set(strategies.map((s) => s.id));
+    let n = strategies.length + 1;
+    while (used.has(`s${n}`)) n += 1;
+    setStrategies([
+      ...strategies,
+      { id: `s${n}`, name: `Strategy ${n}`, rules: { tpPct: 2, slPct: 1 } },
+    ]);
+  };
+
+  return (
+    <details style={styles.details}>
+      <summary style={styles.summary}>
+        Exit strategies
+        {enabled ? ` (${strategies.length})` : " (off)"}
+      </summary>
+
+      <div style={styles.top}>
+        <label style={styles.check}>
+          <input
+            type="checkbox"
+            checked={enabled}
+            disabled={disabled}
+            onChange={(e) =>
+              onChange({ ...settings, enabled: e.target.checked })
+            }
+          />
+          Replay trades under these rules
+        </label>
+
+        <div style={{ minWidth: 240 }}>
+          <div style={styles.label}>Measure “fumbled” against</div>
+          <select
+            style={styles.input}
+            value={enabled ? basis : BEST_PRICE_BASIS}
+            disabled={disabled || !enabled}
+            onChange={(e) => onChange({ ...settings, basis: e.target.value })}
+          >
+            <option value={BEST_PRICE_BASIS}>
+              Best price in window (× realism)
+            </option>
+            {strategies.map((s) => (
+              <option key={s.id} value={s.id}>
+                {s.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {enabled && (
+        <>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Name</th>
+                {RULE_FIELDS.map((f) => (
+                  <th key={f.key} style={styles.th}>
+                    {f.label}
+                  </th>
+                ))}
+                <th style={styles.th}>Partials (at %:size %)</th>
+                <th style={styles.th} />
+              </tr>
+            </thead>
+            <tbody>
+              {strategies.map((s) => (
+                <tr key={s.id}>
+                  <td style={styles.td}>
+                    <input
+                      style={styles.input}
+                      value={s.name}
+                      disabled={disabled}
+                      onChange={(e) =>
+                        patchStrategy(s.id, { name: e.target.value })
+                      }
+                    />
+                  </td>
+                  {RULE_FIELDS.map((f) => (
+                    <td key={f.key} style={styles.td}>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        style={{ ...styles.input, width: 80 }}
+                        value={s.rules[f.key] ?? ""}
+                        placeholder="—"
+                        disabled={disabled}
+                        onChange={(e) =>
+                          patchStrategy(s.id, {
+                            rules: {
+                              [f.key]:
+                                e.target.value === ""
+                                  ? undefined
+                                  : Number(e.target.value),
+                            },
+                          })
+                        }
+                      />
+                    </td>
+                  ))}
+                  <td style={styles.td}>
+                    {/* parsed on blur so half-typed "1:" isn't thrown away */}
+                    <input
+                      key={formatPartials(s.rules.partials)}
+                      style={styles.input}
+                      defaultValue={formatPartials(s.rules.partials)}
+                      placeholder="e.g. 1:33, 2:33"
+                      disabled={disabled}
+                      onBlur={(e) =>
+                        patchStrategy(s.id, {
+                          rules: { partials: parsePartials(e.target.value) },
+                        })
+                      }
+                    />
+                  </td>
+                  <td style={styles.td}>
+                    <button
+                      type="button"
+                      style={styles.linkBtn}
+                      disabled={disabled}
+                      onClick={() =>
+                        setStrategies(strategies.filter((x) => x.id !== s.id))
+                      }
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={styles.actions}>
+            <button
+              type="button"
+              style={styles.smallBtn}
+              disabled={disabled}
+              onClick={addStrategy}
+            >
+              + Add strategy
+            </button>
+            <button
+              type="button"
+              style={styles.linkBtn}
+              disabled={disabled}
+              onClick={() => setStrategies(DEFAULT_STRATEGIES)}
+            >
+              Reset to defaults
+            </button>
+          </div>
+
+          <div style={styles.note}>
+            Replayed from each entry until close + lookahead on the run’s
+            candles. Within one candle the stop is assumed to hit before any
+            target, so results lean pessimistic.
+          </div>
+        </>
+      )}
+    </details>
+  );
+}
+
+const styles = {
+  details: { marginTop: 12 },
+  summary: { cursor: "pointer", fontWeight: 900, fontSize: 13 },
+  top: {
+    marginTop: 10,
+    display: "flex",
+    alignItems: "flex-end",
+    gap: 12,
+    flexWrap: "wrap",
+  },
+  label: { fontSize: 12, fontWeight: 900, opacity: 0.85, marginBottom: 6 },
+  check: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    fontSize: 13,
+    fontWeight: 900,
+    paddingBottom: 8,
+  },
+  input: {
+    width: "100%",
+    boxSizing: "border-box",
+    padding: "8px 10px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+
+  table: {
+    marginTop: 10,
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 12,
+  },
+  th: {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.10)",
+    fontWeight: 1000,
+    whiteSpace: "nowrap",
+  },
+  td: {
+    padding: "6px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+  },
+
+  actions: {
+    marginTop: 10,
+    display: "flex",
+    alignItems: "center",
+    gap: 12,
+  },
+  smallBtn: {
+    padding: "8px 12px",
+    borderRadius: 12,
+    fontWeight: 1000,
+    fontSize: 13,
+    color: "#e5e7eb",
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    cursor: "pointer",
+  },
+  linkBtn: {
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: "rgba(229,231,235,0.75)",
+    textDecoration: "underline",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+  note: { marginTop: 8, fontSize: 12, opacity: 0.7 },
+};
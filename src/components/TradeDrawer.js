@@ -0,0 +1,421 @@
+import React, { useEffect, useState } from "react";
+import {
+  fetchAllKlines,
+  INTERVALS,
+  normalizeToBinanceSymbol,
+} from "../candles";
+import { resolvePriceSource } from "../priceSources";
+import { netPnl } from "../trades";
+import { fmtMoney, fmtPrice, fmtTime } from "../utils";
+
+/**
+ * Side drawer for one trade: its candles from a bit before entry to the end
+ * of the lookahead window, with entry / exit / best-exit markers and the
+ * fills. Candles come through fetchAllKlines, so after a hindsight run they
+ * are usually already in the IndexedDB cache.
+ *
+ * params: { lookaheadHours, priceSettings, candleFiles } of the run that
+ * priced this row (or the current settings before any run).
+ */
+
+const MAX_CANDLES = 300;
+
+const W = 720;
+const H = 320;
+const PAD = { l: 12, r: 72, t: 14, b: 26 };
+
+const COLORS = {
+  up: "#22c55e",
+  down: "#ef4444",
+  entry: "#e5e7eb",
+  exit: "#ffb020",
+  best: "#00d1ff",
+  raw: "#a855f7",
+  liq: "#ef4444",
+};
+
+// finest interval that keeps the span to MAX_CANDLES
+function pickInterval(spanMs) {
+  const fit = INTERVALS.find((x) => spanMs / x.ms <= MAX_CANDLES);
+  return fit || INTERVALS[INTERVALS.length - 1];
+}
+
+function tradeSpan(t, lookaheadHours) {
+  const entryMs = (t.firstEntryTime || t.entryTime || t.closeTime).getTime();
+  const closeMs = t.closeTime.getTime();
+  const endMs = closeMs + lookaheadHours * 3600_000;
+  const pad = Math.max((endMs - entryMs) * 0.1, 15 * 60_000);
+  return { entryMs, closeMs, endMs, from: entryMs - pad, to: endMs };
+}
+
+export default function TradeDrawer({ trade: t, params, onClose }) {
+  const [state, setState] = useState({ status: "loading" });
+  const { lookaheadHours, priceSettings, candleFiles } = params;
+
+  useEffect(() => {
+    let alive = true;
+    const { from, to } = tradeSpan(t, lookaheadHours);
+    const interval = pickInterval(to - from);
+    const { source, symbol } = resolvePriceSource(
+      normalizeToBinanceSymbol(t.symbol),
+      priceSettings,
+      { candleFiles }
+    );
+    setState({ status: "loading" });
+    fetchAllKlines({
+      source,
+      symbol,
+      interval: interval.label,
+      startTime: Math.floor(from / interval.ms) * interval.ms,
+      endTime: Math.min(to, Date.now()),
+    })
+      .then((klines) => {
+        if (!alive) return;
+        setState({
+          status: "ready",
+          interval,
+          source: `${source.label} · ${symbol}`,
+          candles: klines.map((k) => ({
+            t: k[0],
+            o: Number(k[1]),
+            h: Number(k[2]),
+            l: Number(k[3]),
+            c: Number(k[4]),
+          })),
+        });
+      })
+      .catch((e) => {
+        if (alive)
+          setState({ status: "error", message: e?.message || String(e) });
+      });
+    return () => {
+      alive = false;
+    };
+  }, [t, lookaheadHours, priceSettings, candleFiles]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const fills = [
+    ...(t.entries || []).map((x) => ({ ...x, leg: "in" })),
+    ...(t.exits || []).map((x) => ({ ...x, leg: "out" })),
+  ].sort((a, b) => a.time.getTime() - b.time.getTime());
+
+  return (
+    <div style={styles.backdrop} onClick={onClose}>
+      <div
+        style={styles.drawer}
+        role="dialog"
+        aria-label="Trade detail"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={styles.head}>
+          <div>
+            <div style={styles.title}>
+              {normalizeToBinanceSymbol(t.symbol)} {t.direction}
+            </div>
+            <div style={styles.sub}>
+              {fmtTime(t.closeTime.getTime())} close · net {fmtMoney(netPnl(t))}
+              {Number.isFinite(t.fumbled) &&
+                ` · fumbled ${fmtMoney(t.fumbled)}`}
+            </div>
+          </div>
+          <button type="button" style={styles.closeBtn} onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div style={styles.facts}>
+          <Fact label="Entry" value={fmtPrice(t.entryPrice)} />
+          <Fact label="Exit" value={fmtPrice(t.exitPrice)} />
+          <Fact
+            label="Best exit (realism)"
+            value={Number.isFinite(t.bestExit) ? fmtPrice(t.bestExit) : "—"}
+          />
+          <Fact
+            label="Raw extreme"
+            value={
+              Number.isFinite(t.bestExitRaw) ? fmtPrice(t.bestExitRaw) : "—"
+            }
+          />
+          <Fact label="Could’ve PnL" value={fmtMoney(t.potentialPnl)} />
+          <Fact label="Lookahead" value={`${lookaheadHours} h`} />
+        </div>
+
+        {state.status === "loading" && (
+          <div style={styles.note}>Loading candles…</div>
+        )}
+        {state.status === "error" && (
+          <div style={styles.note}>Couldn’t load candles: {state.message}</div>
+        )}
+        {state.status === "ready" && (
+          <>
+            <div style={styles.note}>
+              {state.source} · {state.interval.label} candles
+            </div>
+            <CandleChart
+              trade={t}
+              candles={state.candles}
+              span={tradeSpan(t, lookaheadHours)}
+              fills={fills}
+            />
+          </>
+        )}
+
+        {fills.length > 0 && (
+          <>
+            <div style={styles.section}>Fills</div>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Time</th>
+                  <th style={styles.th}>Leg</th>
+                  <th style={styles.th}>Price</th>
+                  <th style={styles.th}>Qty</th>
+                  <th style={styles.th}>Fee</th>
+                </tr>
+              </thead>
+              <tbody>
+                {fills.map((f, i) => (
+                  <tr key={i}>
+                    <td style={styles.td}>{fmtTime(f.time.getTime())}</td>
+                    <td style={styles.td}>
+                      {f.leg === "in" ? "Open" : "Close"}
+                    </td>
+                    <td style={styles.td}>{fmtPrice(f.price)}</td>
+                    <td style={styles.td}>{+f.qty.toPrecision(8)}</td>
+                    <td style={styles.td}>{f.fee ? fmtMoney(-f.fee) : "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function CandleChart({ trade: t, candles, span, fills }) {
+  if (candles.length === 0) {
+    return <div style={styles.note}>No candles for this window.</div>;
+  }
+
+  // liquidation can sit far away at low leverage: drawn only if in range
+  const levels = [t.entryPrice, t.exitPrice, t.bestExit, t.bestExitRaw];
+  const prices = candles
+    .flatMap((k) => [k.h, k.l])
+    .concat(levels.filter(Number.isFinite));
+  const lo = Math.min(...prices);
+  const hi = Math.max(...prices);
+  const x0 = Math.min(span.from, candles[0].t);
+  const x1 = Math.max(span.to, candles[candles.length - 1].t);
+  const x = (ms) => PAD.l + ((ms - x0) / (x1 - x0 || 1)) * (W - PAD.l - PAD.r);
+  const y = (p) =>
+    H - PAD.b - ((p - lo) / (hi - lo || 1)) * (H - PAD.t - PAD.b);
+  const step = candles.length > 1 ? candles[1].t - candles[0].t : 60_000;
+  const bodyW = Math.max(1, (x(x0 + step) - x(x0)) * 0.7);
+
+  const level = (price, color, label, dash) =>
+    Number.isFinite(price) && (
+      <g key={label}>
+        <line
+          x1={PAD.l}
+          x2={W - PAD.r}
+          y1={y(price)}
+          y2={y(price)}
+          stroke={color}
+          strokeDasharray={dash}
+          strokeOpacity="0.8"
+        />
+        <text x={W - PAD.r + 4} y={y(price) + 4} fill={color} fontSize="10">
+          {label}
+        </text>
+      </g>
+    );
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={styles.svg} role="img">
+      {/* lookahead window */}
+      <rect
+        x={x(span.closeMs)}
+        y={PAD.t}
+        width={Math.max(0, x(span.endMs) - x(span.closeMs))}
+        height={H - PAD.t - PAD.b}
+        fill="rgba(0,209,255,0.08)"
+      />
+      <text
+        x={x(span.closeMs) + 4}
+        y={PAD.t + 10}
+        fill={COLORS.best}
+        fontSize="10"
+      >
+        lookahead
+      </text>
+
+      {candles.map((k) => {
+        const color = k.c >= k.o ? COLORS.up : COLORS.down;
+        const cx = x(k.t + step / 2);
+        return (
+          <g key={k.t}>
+            <line x1={cx} x2={cx} y1={y(k.h)} y2={y(k.l)} stroke={color} />
+            <rect
+              x={cx - bodyW / 2}
+              y={y(Math.max(k.o, k.c))}
+              width={bodyW}
+              height={Math.max(1, Math.abs(y(k.o) - y(k.c)))}
+              fill={color}
+            />
+          </g>
+        );
+      })}
+
+      {level(t.entryPrice, COLORS.entry, "entry", "4 3")}
+      {level(t.exitPrice, COLORS.exit, "exit", "4 3")}
+      {level(t.bestExit, COLORS.best, "best (realism)", "2 3")}
+      {t.liqPrice >= lo &&
+        t.liqPrice <= hi &&
+        level(t.liqPrice, COLORS.liq, "liquidation", "6 3")}
+
+      {/* fills: ▲ opens, ▼ closes */}
+      {fills.map((f, i) => {
+        const fx = x(f.time.getTime());
+        const fy = y(f.price);
+        const d =
+          f.leg === "in"
+            ? `M${fx},${fy - 6}L${fx - 5},${fy + 4}L${fx + 5},${fy + 4}Z`
+            : `M${fx},${fy + 6}L${fx - 5},${fy - 4}L${fx + 5},${fy - 4}Z`;
+        return (
+          <path
+            key={i}
+            d={d}
+            fill={f.leg === "in" ? COLORS.entry : COLORS.exit}
+            stroke="#060914"
+          />
+        );
+      })}
+
+      {Number.isFinite(t.bestExitRaw) && Number.isFinite(t.bestExitTime) && (
+        <g>
+          <circle
+            cx={x(t.bestExitTime + step / 2)}
+            cy={y(t.bestExitRaw)}
+            r="5"
+            fill="none"
+            stroke={COLORS.raw}
+            strokeWidth="2"
+          />
+          <text
+            x={x(t.bestExitTime + step / 2) + 8}
+            y={y(t.bestExitRaw) + 4}
+            fill={COLORS.raw}
+            fontSize="10"
+          >
+            raw extreme {fmtPrice(t.bestExitRaw)}
+          </text>
+        </g>
+      )}
+
+      <text x={PAD.l} y={H - 8} fill="rgba(229,231,235,0.6)" fontSize="10">
+        {fmtTime(x0)}
+      </text>
+      <text
+        x={W - PAD.r}
+        y={H - 8}
+        fill="rgba(229,231,235,0.6)"
+        fontSize="10"
+        textAnchor="end"
+      >
+        {fmtTime(x1)}
+      </text>
+    </svg>
+  );
+}
+
+function Fact({ label, value }) {
+  return (
+    <div style={styles.fact}>
+      <div style={styles.factLabel}>{label}</div>
+      <div style={styles.factValue}>{value}</div>
+    </div>
+  );
+}
+
+const styles = {
+  backdrop: {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(0,0,0,0.55)",
+    display: "flex",
+    justifyContent: "flex-end",
+    zIndex: 50,
+  },
+  drawer: {
+    width: "min(820px, 100%)",
+    height: "100%",
+    overflowY: "auto",
+    boxSizing: "border-box",
+    padding: 18,
+    background: "#0b1020",
+    borderLeft: "1px solid rgba(255,255,255,0.12)",
+    color: "#e5e7eb",
+  },
+  head: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "flex-start",
+    gap: 12,
+  },
+  title: { fontWeight: 1100, fontSize: 18 },
+  sub: { marginTop: 4, fontSize: 13, color: "rgba(229,231,235,0.75)" },
+  closeBtn: {
+    padding: "6px 10px",
+    borderRadius: 10,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(255,255,255,0.06)",
+    color: "#e5e7eb",
+    cursor: "pointer",
+    fontWeight: 1000,
+  },
+
+  facts: {
+    marginTop: 14,
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))",
+    gap: 10,
+  },
+  fact: {
+    borderRadius: 14,
+    padding: 10,
+    background: "rgba(0,0,0,0.25)",
+    border: "1px solid rgba(255,255,255,0.10)",
+  },
+  factLabel: { fontSize: 11, opacity: 0.75, fontWeight: 900, marginBottom: 4 },
+  factValue: { fontSize: 14, fontWeight: 1100 },
+
+  note: { marginTop: 12, fontSize: 12, opacity: 0.75 },
+  svg: { marginTop: 8, width: "100%", height: "auto", display: "block" },
+
+  section: { marginTop: 16, fontWeight: 1000, fontSize: 13 },
+  table: {
+    marginTop: 8,
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 12,
+  },
+  th: {
+    textAlign: "left",
+    padding: "8px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.10)",
+    fontWeight: 1000,
+    whiteSpace: "nowrap",
+  },
+  td: {
+    padding: "6px 10px",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+    whiteSpace: "nowrap",
+  },
+};
@@ -0,0 +1,602 @@
+import React, { useMemo, useState } from "react";
+import { normalizeToBinanceSymbol } from "../candles";
+import { marketKey, netPnl } from "../trades";
+import { EMPTY_FILTERS, hasActiveFilters, OUTCOMES } from "../tradeFilters";
+import {
+  fmtMoney,
+  fmtPct,
+  fmtPrice,
+  fmtTime,
+  readJson,
+  writeJson,
+} from "../utils";
+
+/**
+ * The trade table: free-text search, symbol / side / win-loss / date filters,
+ * click-to-sort columns, pagination and a column picker (remembered in
+ * localStorage). Filters are owned by the parent, which also applies them
+ * (filterTrades) so the KPIs can be scoped to the same subset; sorting,
+ * paging and columns are local.
+ */
+
+const STORAGE_KEY = "fumble.tableColumns.v1";
+const PAGE_SIZES = [50, 100, 250, 500];
+
+const num = (x) => (Number.isFinite(x) ? x : null);
+const orDash = (x, fmt) => (Number.isFinite(x) ? fmt(x) : "—");
+
+// { id, label, group?, sort(t) -> number | string | null, cell(t) }
+// group "entry" / "path" columns only exist when the last run computed them
+const COLUMNS = [
+  {
+    id: "exchange",
+    label: "Exchange",
+    sort: (t) => t.exchange || null,
+    cell: (t) => t.exchange,
+  },
+  {
+    id: "account",
+    label: "Account",
+    sort: (t) => t.account || null,
+    cell: (t) => <span title={t.sourceFile || ""}>{t.account || "—"}</span>,
+  },
+  {
+    id: "symbol",
+    label: "Symbol",
+    sort: (t) => normalizeToBinanceSymbol(t.symbol) || null,
+    cell: (t) => normalizeToBinanceSymbol(t.symbol),
+  },
+  {
+    id: "side",
+    label: "Side",
+    sort: (t) => t.direction || null,
+    cell: (t) => t.direction,
+  },
+  {
+    id: "entry",
+    label: "Entry",
+    sort: (t) => num(t.entryPrice),
+    cell: (t) => (t.entryPrice ? fmtPrice(t.entryPrice) : "—"),
+  },
+  {
+    id: "exit",
+    label: "Exit",
+    sort: (t) => num(t.exitPrice),
+    cell: (t) => (t.exitPrice ? fmtPrice(t.exitPrice) : "—"),
+  },
+  {
+    id: "bestExit",
+    label: "Best Exit",
+    sort: (t) => num(t.bestExit),
+    cell: (t) => (
+      <>
+        {orDash(t.bestExit, fmtPrice)}
+        {t.liquidatedAt != null && (
+          <span
+            title={`${fmtPrice(
+              t.unreachableExit
+            )} was out of reach: liquidated ${fmtTime(t.liquidatedAt)}`}
+          >
+            {" "}
+            💀
+          </span>
+        )}
+      </>
+    ),
+  },
+  {
+    id: "pnl",
+    label: "PnL",
+    sort: (t) => num(t.pnl),
+    cell: (t) => orDash(t.pnl, fmtMoney),
+  },
+  {
+    id: "fees",
+    label: "Fees",
+    sort: (t) => num(t.fees),
+    cell: (t) => (t.fees ? fmtMoney(-t.fees) : "—"),
+  },
+  {
+    id: "funding",
+    label: "Funding",
+    sort: (t) => num(t.funding),
+    cell: (t) => (t.funding ? fmtMoney(t.funding) : "—"),
+  },
+  {
+    id: "net",
+    label: "Net PnL",
+    sort: (t) => num(netPnl(t)),
+    cell: (t) => fmtMoney(netPnl(t)),
+  },
+  {
+    id: "potential",
+    label: "Could’ve PnL",
+    sort: (t) => num(t.potentialPnl),
+    cell: (t) => orDash(t.potentialPnl, fmtMoney),
+  },
+  {
+    id: "fumbled",
+    label: "Fumbled",
+    sort: (t) => num(t.fumbled),
+    cell: (t) => orDash(t.fumbled, fmtMoney),
+  },
+  {
+    id: "bestEntry",
+    label: "Best Entry",
+    group: "entry",
+    sort: (t) => num(t.bestEntry),
+    cell: (t) => orDash(t.bestEntry, fmtPrice),
+  },
+  {
+    id: "entrySlip",
+    label: "Entry slip",
+    group: "entry",
+    sort: (t) => num(t.entrySlippage),
+    cell: (t) =>
+      Number.isFinite(t.entrySlippage)
+        ? `${fmtMoney(t.entrySlippage)} (${t.entrySlippagePct.toFixed(2)}%)`
+        : "—",
+  },
+  {
+    id: "mae",
+    label: "MAE",
+    group: "entry",
+    sort: (t) => num(t.mae),
+    cell: (t) =>
+      Number.isFinite(t.mae) ? `${fmtMoney(t.mae)} (${fmtPct(t.maePct)})` : "—",
+  },
+  {
+    id: "mfe",
+    label: "MFE",
+    group: "entry",
+    sort: (t) => num(t.mfe),
+    cell: (t) =>
+      Number.isFinite(t.mfe) ? `${fmtMoney(t.mfe)} (${fmtPct(t.mfePct)})` : "—",
+  },
+  {
+    id: "liqPrice",
+    label: "Liq. price",
+    group: "path",
+    sort: (t) => num(t.liqPrice),
+    cell: (t) =>
+      Number.isFinite(t.liqPrice) ? (
+        <span
+          title={
+            t.leverageSource === "inferred" ? "Leverage inferred from PnL%" : ""
+          }
+        >
+          {`${fmtPrice(t.liqPrice)} (${[
+            `${t.liqLeverage}x`,
+            t.marginMode !== "unknown" && t.marginMode,
+          ]
+            .filter(Boolean)
+            .join(" ")})`}
+        </span>
+      ) : (
+        "—"
+      ),
+  },
+  {
+    id: "holdDrawdown",
+    label: "Hold-through DD",
+    group: "path",
+    sort: (t) => num(t.holdDrawdownPct),
+    cell: (t) =>
+      Number.isFinite(t.holdDrawdownPct)
+        ? `${fmtPct(t.holdDrawdownPct)}${
+            Number.isFinite(t.holdDrawdownRoe)
+              ? ` (${fmtPct(t.holdDrawdownRoe)} ROE)`
+              : ""
+          }`
+        : "—",
+  },
+  {
+    id: "hold",
+    label: "Hold (min)",
+    sort: (t) => num(t.holdMins),
+    cell: (t) => orDash(t.holdMins, (m) => m.toFixed(0)),
+  },
+  {
+    id: "fills",
+    label: "Fills",
+    sort: (t) => (t.entries ? t.entries.length + t.exits.length : null),
+    cell: (t) =>
+      t.entries ? `${t.entries.length} in / ${t.exits.length} out` : "—",
+  },
+  {
+    id: "closeTime",
+    label: "Close time",
+    sort: (t) => (t.closeTime ? t.closeTime.getTime() : null),
+    cell: (t) =>
+      t.closeTime
+        ? t.closeTime.toISOString().slice(0, 19).replace("T", " ")
+        : "—",
+  },
+];
+
+function loadHiddenColumns() {
+  const parsed = readJson(STORAGE_KEY);
+  return Array.isArray(parsed) ? parsed : [];
+}
+
+function saveHiddenColumns(ids) {
+  writeJson(STORAGE_KEY, ids);
+}
+
+// keys computed once per row; blanks (null) always last, whichever direction
+function sortRows(rows, key, dir) {
+  const sign = dir === "asc" ? 1 : -1;
+  return rows
+    .map((t) => [key(t), t])
+    .sort(([x], [y]) => {
+      if (x === null || y === null) return (x === null) - (y === null);
+      if (typeof x === "string") return sign * x.localeCompare(y);
+      return sign * (x - y);
+    })
+    .map(([, t]) => t);
+}
+
+export default function TradeTable({
+  rows,
+  filteredRows: filtered,
+  filters,
+  onFiltersChange,
+  scoped,
+  onScopedChange,
+  groups = [],
+  onRowClick,
+}) {
+  const [sort, setSort] = useState(null); // { id, dir: asc | desc } or file order
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [hidden, setHidden] = useState(loadHiddenColumns);
+
+  const available = COLUMNS.filter((c) => !c.group || groups.includes(c.group));
+  const visible = available.filter((c) => !hidden.includes(c.id));
+
+  const symbols = useMemo(
+    () =>
+      Array.from(new Set(rows.map((t) => marketKey(t.symbol))))
+        .filter(Boolean)
+        .sort(),
+    [rows]
+  );
+
+  const sorted = useMemo(() => {
+    const col = sort && COLUMNS.find((c) => c.id === sort.id);
+    if (!col) return filtered;
+    return sortRows(filtered, col.sort, sort.dir);
+  }, [filtered, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(sorted.length / pageSize));
+  const current = Math.min(page, pageCount - 1);
+  const start = current * pageSize;
+  const pageRows = sorted.slice(start, start + pageSize);
+
+  function changeFilter(key, value) {
+    onFiltersChange({ ...filters, [key]: value });
+    setPage(0);
+  }
+
+  // first click: biggest first, then smallest first, then file order
+  function toggleSort(id) {
+    setSort((prev) => {
+      if (!prev || prev.id !== id) return { id, dir: "desc" };
+      if (prev.dir === "desc") return { id, dir: "asc" };
+      return null;
+    });
+    setPage(0);
+  }
+
+  function toggleColumn(id) {
+    const next = hidden.includes(id)
+      ? hidden.filter((x) => x !== id)
+      : hidden.concat(id);
+    setHidden(next);
+    saveHiddenColumns(next);
+  }
+
+  return (
+    <div>
+      <div style={styles.filterRow}>
+        <input
+          style={styles.search}
+          type="search"
+          placeholder="Search exchange, account, symbol…"
+          value={filters.search}
+          onChange={(e) => changeFilter("search", e.target.value)}
+        />
+        <select
+          style={styles.select}
+          value={filters.symbol}
+          onChange={(e) => changeFilter("symbol", e.target.value)}
+        >
+          <option value="">All symbols</option>
+          {symbols.map((s) => (
+            <option key={s} value={s}>
+              {s}
+            </option>
+          ))}
+        </select>
+        <select
+          style={styles.select}
+          value={filters.direction}
+          onChange={(e) => changeFilter("direction", e.target.value)}
+        >
+          <option value="">Long & short</option>
+          <option value="LONG">Long</option>
+          <option value="SHORT">Short</option>
+        </select>
+        <select
+          style={styles.select}
+          value={filters.outcome}
+          onChange={(e) => changeFilter("outcome", e.target.value)}
+        >
+          <option value="">Wins & losses</option>
+          {Object.entries(OUTCOMES).map(([id, label]) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <label style={styles.inline}>
+          <span style={styles.label}>Closed from</span>
+          <input
+            style={styles.date}
+            type="date"
+            value={filters.from}
+            onChange={(e) => changeFilter("from", e.target.value)}
+          />
+        </label>
+        <label style={styles.inline}>
+          <span style={styles.label}>to</span>
+          <input
+            style={styles.date}
+            type="date"
+            value={filters.to}
+            onChange={(e) => changeFilter("to", e.target.value)}
+          />
+        </label>
+        {hasActiveFilters(filters) && (
+          <button
+            type="button"
+            style={styles.linkBtn}
+            onClick={() => {
+              onFiltersChange(EMPTY_FILTERS);
+              setPage(0);
+            }}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div style={styles.filterRow}>
+        <span style={styles.dim}>
+          {filtered.length === rows.length
+            ? `${rows.length.toLocaleString()} trades`
+            : `${filtered.length.toLocaleString()} of ${rows.length.toLocaleString()} trades`}
+        </span>
+        <label style={styles.inline}>
+          <input
+            type="checkbox"
+            checked={scoped}
+            onChange={(e) => onScopedChange(e.target.checked)}
+          />
+          <span>KPIs use filtered trades only</span>
+        </label>
+        <details style={styles.columns}>
+          <summary style={styles.summary}>
+            Columns ({visible.length}/{available.length})
+          </summary>
+          <div style={styles.columnList}>
+            {available.map((c) => (
+              <label key={c.id} style={styles.inline}>
+                <input
+                  type="checkbox"
+                  checked={!hidden.includes(c.id)}
+                  onChange={() => toggleColumn(c.id)}
+                />
+                <span>{c.label}</span>
+              </label>
+            ))}
+          </div>
+        </details>
+      </div>
+
+      <div style={styles.tableWrap}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              {visible.map((c) => (
+                <th
+                  key={c.id}
+                  style={styles.th}
+                  onClick={() => toggleSort(c.id)}
+                  aria-sort={
+                    sort?.id === c.id
+                      ? sort.dir === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : "none"
+                  }
+                >
+                  {c.label}
+                  {sort?.id === c.id && (sort.dir === "asc" ? " ▲" : " ▼")}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map((t, i) => (
+              <tr
+                key={start + i}
+                style={styles.clickRow}
+                onClick={() => onRowClick(t)}
+              >
+                {visible.map((c) => (
+                  <td key={c.id} style={styles.td}>
+                    {c.cell(t)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {pageRows.length === 0 && (
+              <tr>
+                <td style={styles.td} colSpan={visible.length || 1}>
+                  No trades match these filters.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={styles.pager}>
+        <button
+          type="button"
+          style={styles.pageBtn}
+          disabled={current === 0}
+          onClick={() => setPage(current - 1)}
+        >
+          ← Prev
+        </button>
+        <span style={styles.dim}>
+          Page {current + 1} of {pageCount}
+        </span>
+        <button
+          type="button"
+          style={styles.pageBtn}
+          disabled={current >= pageCount - 1}
+          onClick={() => setPage(current + 1)}
+        >
+          Next →
+        </button>
+        <select
+          style={styles.select}
+          value={pageSize}
+          onChange={(e) => {
+            setPageSize(Number(e.target.value));
+            setPage(0);
+          }}
+        >
+          {PAGE_SIZES.map((n) => (
+            <option key={n} value={n}>
+              {n} per page
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  filterRow: {
+    marginTop: 12,
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    flexWrap: "wrap",
+    fontSize: 13,
+  },
+  search: {
+    padding: "8px 12px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+    minWidth: 220,
+  },
+  select: {
+    padding: "8px 10px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+  },
+  date: {
+    padding: "6px 8px",
+    borderRadius: 12,
+    border: "1px solid rgba(255,255,255,0.14)",
+    background: "rgba(0,0,0,0.20)",
+    color: "#e5e7eb",
+    outline: "none",
+    colorScheme: "dark",
+  },
+  inline: { display: "inline-flex", alignItems: "center", gap: 6 },
+  label: { fontSize: 12, fontWeight: 900, opacity: 0.85 },
+  dim: { color: "rgba(229,231,235,0.75)" },
+  linkBtn: {
+    padding: 0,
+    border: "none",
+    background: "none",
+    color: "rgba(229,231,235,0.75)",
+    textDecoration: "underline",
+    cursor: "pointer",
+    fontSize: 13,
+  },
+
+  columns: { position: "relative" },
+  summary: { cursor: "pointer", fontWeight: 900 },
+  columnList: {
+    marginTop: 8,
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(150px, 1fr))",
+    gap: 6,
+  },
+
+  clickRow: { cursor: "pointer" },
+  tableWrap: {
+    marginTop: 12,
+    overflow: "auto",
+    maxHeight: 440,
+    borderRadius: 14,
+    border: "1px solid rgba(255,255,255,0.10)",
+  },
+  table: {
+    width: "100%",
+    borderCollapse: "collapse",
+    fontSize: 13,
+    background: "rgba(0,0,0,0.12)",
+  },
+  th: {
+    textAlign: "left",
+    padding: "12px 12px",
+    position: "sticky",
+    top: 0,
+    background: "rgba(6,9,20,0.95)",
+    backdropFilter: "blur(8px)",
+    borderBottom: "1px solid rgba(255,255,255,0.10)",
+    fontWeight: 1100,
+    whiteSpace: "nowrap",
+    cursor: "pointer",
+    userSelect: "none",
+  },
+  td: {
+    padding: "12px 12px",
+    borderBottom: "1px solid rgba(255,255,255,0.06)",
+    whiteSpace: "nowrap",
+  },
+
+  pager: {
+    marginTop: 10,
+    display: "flex",
+    alignItems: "center",
+    gap: 10,
+    flexWrap: "wrap",
+    fontSize: 13,
+  },
+  pageBtn: {
+    padding: "6px 12px",
+    borderRadius: 999,
+    fontWeight: 900,
+    fontSize: 12,
+    color: "#e5e7eb",
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    cursor: "pointer",
+  },
+};
@@ -0,0 +1,131 @@
+import Papa from "papaparse";
+import { netPnl } from "./trades";
+
+/**
+ * Exports of the analyzed trades (hindsight rows, or plain closed trades
+ * before any run):
+ * - CSV for spreadsheets: one flat row per trade, times in ISO (UTC)
+ * - JSON with a versioned envelope that re-imports without fetching candles
+ *   { schema, version, exportedAt, settings, trades }
+ * The printable HTML report lives in report.js.
+ */
+
+export const ANALYSIS_SCHEMA = "fumble.analysis";
+export const ANALYSIS_VERSION = 1;
+
+// importer-shaped descriptor for uploads restored from a JSON export (session.js)
+export const ANALYSIS_IMPORTER = {
+  label: "fumble.com analysis",
+  exchange: "fumble",
+  kind: "trades",
+};
+
+// Date-valued trade fields (also fills' "time"); revived on import
+const DATE_KEYS = new Set(["entryTime", "firstEntryTime", "closeTime", "time"]);
+
+const iso = (d) => (d instanceof Date ? d.toISOString() : "");
+const msIso = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : "");
+const cell = (x) => (x === null || x === undefined || Number.isNaN(x) ? "" : x);
+
+// [header, value(t)] in spreadsheet order
+const CSV_COLUMNS = [
+  ["exchange", (t) => t.exchange],
+  ["account", (t) => t.account],
+  ["source_file", (t) => t.sourceFile],
+  ["symbol", (t) => t.symbol],
+  ["direction", (t) => t.direction],
+  ["entry_time", (t) => iso(t.firstEntryTime || t.entryTime)],
+  ["close_time", (t) => iso(t.closeTime)],
+  ["hold_mins", (t) => t.holdMins],
+  ["qty", (t) => t.qty],
+  ["entry_price", (t) => t.entryPrice],
+  ["exit_price", (t) => t.exitPrice],
+  ["leverage", (t) => t.leverage],
+  ["margin_mode", (t) => t.marginMode],
+  ["pnl", (t) => t.pnl],
+  ["fees", (t) => t.fees],
+  ["funding", (t) => t.funding],
+  ["net_pnl", (t) => netPnl(t)],
+  ["best_exit", (t) => t.bestExit],
+  ["best_exit_time", (t) => msIso(t.bestExitTime)],
+  ["best_exit_raw", (t) => t.bestExitRaw],
+  ["potential_pnl", (t) => t.potentialPnl],
+  ["potential_pct", (t) => t.potentialPct],
+  ["fumbled", (t) => t.fumbled],
+  ["best_entry", (t) => t.bestEntry],
+  ["entry_slippage", (t) => t.entrySlippage],
+  ["entry_slippage_pct", (t) => t.entrySlippagePct],
+  ["mae", (t) => t.mae],
+  ["mae_pct", (t) => t.maePct],
+  ["mfe", (t) => t.mfe],
+  ["mfe_pct", (t) => t.mfePct],
+  ["liq_price", (t) => t.liqPrice],
+  ["liquidated_at", (t) => msIso(t.liquidatedAt)],
+  ["hold_drawdown_pct", (t) => t.holdDrawdownPct],
+];
+
+export function tradesToCsv(trades) {
+  return Papa.unparse({
+    fields: CSV_COLUMNS.map(([header]) => header),
+    data: trades.map((t) => CSV_COLUMNS.map(([, value]) => cell(value(t)))),
+  });
+}
+
+/**
+ * settings: the hindsight settings that produced the rows (lookaheadHours,
+ * realismPct, interval, entryWindowHours, liquidation, fumbleBasis, viewMode)
+ */
+export function analysisToJson(trades, settings) {
+  return JSON.stringify({
+    schema: ANALYSIS_SCHEMA,
+    version: ANALYSIS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    // upload ids are per session; re-import tags rows afresh
+    trades: trades.map(({ sourceId, ...t }) => t),
+  });
+}
+
+// -> { exportedAt, settings, trades } or throws with a readable message
+export function parseAnalysisJson(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text, (key, value) =>
+      DATE_KEYS.has(key) && typeof value === "string" ? new Date(value) : value
+    );
+  } catch {
+    throw new Error("not valid JSON");
+  }
+  if (!doc || doc.schema !== ANALYSIS_SCHEMA) {
+    throw new Error("not a fumble.com analysis export");
+  }
+  if (!Number.isInteger(doc.version) || doc.version > ANALYSIS_VERSION) {
+    throw new Error(
+      `export version ${doc.version} is newer than this app understands`
+    );
+  }
+  if (!Array.isArray(doc.trades)) throw new Error("no trades in the export");
+
+  const trades = doc.trades.filter(
+    (t) =>
+      t &&
+      t.symbol &&
+      t.closeTime instanceof Date &&
+      Number.isFinite(t.closeTime.getTime())
+  );
+  return {
+    exportedAt: doc.exportedAt || null,
+    settings: doc.settings || {},
+    trades,
+  };
+}
+
+// saves text as a local file; nothing leaves the browser
+export function downloadText(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,215 @@
+import { DEFAULT_REVENGE_MINS, revengeTrades } from "./analytics";
+import { netPnl } from "./trades";
+import { clamp, mean, readJson, writeJson } from "./utils";
+
+/**
+ * Fumble Score model: a weighted average of component scores, each 0–100
+ * (higher = more fumbling). A component without data for these trades (no
+ * losers yet, no hindsight run, …) drops out and the other weights are
+ * renormalized; below MIN_COVERAGE of the total weight there is no score.
+ * Each component's contribution is its weight share × its score, so the
+ * contributions add up to the Fumble Score.
+ *
+ * Weights are relative numbers per component id; presets are named weight
+ * sets (built-in, plus the user's own in localStorage).
+ */
+
+const STORAGE_KEY = "fumble.scoreModel.v1";
+
+export const MIN_COVERAGE = 0.5;
+const ENTRY_SLIP_FULL_PCT = 1; // average entry slippage that scores 100
+const REVENGE_FULL_SHARE = 0.25; // share of revenge trades that scores 100
+
+const log2Score = (ratio, at1, perDoubling) =>
+  clamp(at1 + perDoubling * Math.log2(ratio), 0, 100);
+
+/**
+ * measure(ctx) -> { score, detail } or a string saying what's missing.
+ * ctx: { trades, hRows (or null), paperhands, revengeMins }
+ */
+export const SCORE_COMPONENTS = [
+  {
+    id: "paperhands",
+    label: "Paperhands",
+    hint: "average winner hold ÷ average loser hold; 1× scores 60, every halving +20",
+    measure: ({ paperhands }) =>
+      Number.isFinite(paperhands)
+        ? {
+            score: log2Score(paperhands, 60, -20),
+            detail: `winners held ${paperhands.toFixed(2)}× as long as losers`,
+          }
+        : "needs winners and losers with hold times",
+  },
+  {
+    id: "fumbled",
+    label: "Fumbled share",
+    hint: "fumbled $ as a share of what the best exits would have made",
+    measure: ({ hRows }) => {
+      const priced = (hRows || []).filter((x) => Number.isFinite(x.fumbled));
+      const fumbled = priced.reduce((s, x) => s + x.fumbled, 0);
+      const potential = priced.reduce(
+        (s, x) => s + (Number.isFinite(x.potentialPnl) ? x.potentialPnl : 0),
+        0
+      );
+      if (priced.length === 0) return "needs a hindsight run";
+      if (!(potential > 0)) return "no positive could’ve-made to compare to";
+      const share = fumbled / potential;
+      return {
+        score: clamp(share * 100, 0, 100),
+        detail: `${Math.round(
+          share * 100
+        )}% of could’ve made left on the table`,
+      };
+    },
+  },
+  {
+    id: "lateLosers",
+    label: "Late loss cuts",
+    hint: "share of losers held longer than the median winner; all of them scores 100",
+    measure: ({ trades }) => {
+      const held = trades.filter((t) => Number.isFinite(t.holdMins));
+      const winHolds = held
+        .filter((t) => netPnl(t) > 0)
+        .map((t) => t.holdMins)
+        .sort((x, y) => x - y);
+      const losers = held.filter((t) => netPnl(t) < 0);
+      if (winHolds.length === 0 || losers.length === 0) {
+        return "needs winners and losers with hold times";
+      }
+      const mid = winHolds.length >> 1;
+      const median =
+        winHolds.length % 2
+          ? winHolds[mid]
+          : (winHolds[mid - 1] + winHolds[mid]) / 2;
+      const late = losers.filter((t) => t.holdMins > median).length;
+      const share = late / losers.length;
+      return {
+        score: share * 100,
+        detail: `${Math.round(
+          share * 100
+        )}% of losers held past the median winner (${Math.round(median)} min)`,
+      };
+    },
+  },
+  {
+    id: "entry",
+    label: "Entry quality",
+    hint: `average entry slippage vs the best price in the entry window; ${ENTRY_SLIP_FULL_PCT}% scores 100`,
+    measure: ({ hRows }) => {
+      const slip = mean((hRows || []).map((x) => x.entrySlippagePct));
+      if (!Number.isFinite(slip)) return "needs a hindsight run with entries";
+      return {
+        score: clamp((slip / ENTRY_SLIP_FULL_PCT) * 100, 0, 100),
+        detail: `entries ${slip.toFixed(2)}% worse than the best in the window`,
+      };
+    },
+  },
+  {
+    id: "revenge",
+    label: "Revenge trades",
+    hint: `bigger re-entries within the revenge window (Analytics) after a loss; ${
+      REVENGE_FULL_SHARE * 100
+    }% of trades scores 100`,
+    measure: ({ trades, revengeMins = DEFAULT_REVENGE_MINS }) => {
+      if (trades.length === 0) return "needs trades";
+      const revenge = revengeTrades(trades, { withinMins: revengeMins });
+      const share = revenge.length / trades.length;
+      return {
+        score: clamp((share / REVENGE_FULL_SHARE) * 100, 0, 100),
+        detail: `${Math.round(
+          share * 100
+        )}% of trades look like revenge (within ${revengeMins} min)`,
+      };
+    },
+  },
+];
+
+const zeroWeights = Object.fromEntries(SCORE_COMPONENTS.map((c) => [c.id, 0]));
+
+export const BUILTIN_PRESETS = [
+  {
+    id: "balanced",
+    name: "Balanced",
+    weights: {
+      paperhands: 30,
+      fumbled: 30,
+      lateLosers: 15,
+      entry: 10,
+      revenge: 15,
+    },
+  },
+  {
+    id: "classic",
+    name: "Classic (paperhands only)",
+    weights: { ...zeroWeights, paperhands: 100 },
+  },
+  {
+    id: "hindsight",
+    name: "Hindsight-heavy",
+    weights: {
+      paperhands: 15,
+      fumbled: 45,
+      lateLosers: 10,
+      entry: 20,
+      revenge: 10,
+    },
+  },
+];
+
+export const DEFAULT_WEIGHTS = BUILTIN_PRESETS[0].weights;
+
+/**
+ * -> { score (NaN below MIN_COVERAGE), coverage, parts: [{ id, label, hint,
+ *      weight, share, score, points, detail } | { ..., missing }] }
+ * share: the component's part of the available weight; points = share × score
+ */
+export function scoreFumbles(ctx, weights = DEFAULT_WEIGHTS) {
+  const measured = SCORE_COMPONENTS.map((c) => {
+    const weight = Math.max(0, Number(weights[c.id]) || 0);
+    const m = weight > 0 ? c.measure(ctx) : "weight is 0";
+    const base = { id: c.id, label: c.label, hint: c.hint, weight };
+    return typeof m === "string" ? { ...base, missing: m } : { ...base, ...m };
+  });
+  const total = measured.reduce((s, p) => s + p.weight, 0);
+  const available = measured
+    .filter((p) => !p.missing)
+    .reduce((s, p) => s + p.weight, 0);
+  const coverage = total > 0 ? available / total : 0;
+
+  const parts = measured.map((p) =>
+    p.missing
+      ? p
+      : {
+          ...p,
+          share: p.weight / available,
+          points: (p.weight / available) * p.score,
+        }
+  );
+  const score =
+    coverage >= MIN_COVERAGE
+      ? parts.reduce((s, p) => s + (p.points || 0), 0)
+      : NaN;
+  return { score, coverage, parts };
+}
+
+// ---------------- saved settings (localStorage) ----------------
+// { weights, presets: [{ id, name, weights }] (the user's own), revengeMins }
+export function loadScoreSettings() {
+  const parsed = readJson(STORAGE_KEY);
+  if (parsed && parsed.weights && Array.isArray(parsed.presets)) {
+    return {
+      weights: { ...zeroWeights, ...parsed.weights },
+      presets: parsed.presets,
+      revengeMins: parsed.revengeMins || DEFAULT_REVENGE_MINS,
+    };
+  }
+  return {
+    weights: DEFAULT_WEIGHTS,
+    presets: [],
+    revengeMins: DEFAULT_REVENGE_MINS,
+  };
+}
+
+export function saveScoreSettings(settings) {
+  writeJson(STORAGE_KEY, settings);
+}
@@ -0,0 +1,639 @@
+import { mergeRanges } from "./candleCache";
+import {
+  bestCandleInWindow,
+  fetchAllKlines,
+  firstCandleThrough,
+  indexKlines,
+  INTERVALS,
+  normalizeToBinanceSymbol,
+} from "./candles";
+import { estimateLiquidation } from "./liquidation";
+import { resolvePriceSource } from "./priceSources";
+import { createFetchScheduler } from "./priceSources/scheduler";
+import { simulateExit } from "./strategies";
+import { netPnl } from "./trades";
+import { clamp, extent } from "./utils";
+
+/**
+ * Hindsight run: fetch candles per symbol, then "best exit within X hours"
+ * for every trade of that symbol. Runs inside hindsight.worker.js; the same
+ * code runs on the main thread when Workers aren't available.
+ *
+ * Symbols run side by side (priceSettings.concurrency, shared request queue);
+ * a symbol whose candles can't be fetched is reported and priced as null,
+ * the others carry on.
+ *
+ * interval "auto": coarse candles (≤ AUTO_WINDOW_CANDLES per window) find
+ * where the best price is, then 1m candles are fetched only for that candle
+ * and for partial candles at the window edges that could still beat it.
+ *
+ * With entryWindowHours > 0 rows also get entry-side stats (computeEntryStats).
+ *
+ * With strategies, every trade is also replayed from its entry to close +
+ * lookahead under each rule set (strategies.js) on the run's candles (the
+ * coarse ones in auto mode). fumbleBasis = a strategy id measures potential /
+ * fumbled against that rule instead of the best price in the window.
+ *
+ * With liquidation ({ cross }), leveraged trades get an estimated liquidation
+ * price (liquidation.js): a best exit behind it doesn't count (applyPathRisk),
+ * strategy replays that hit it are closed there, and rows get the drawdown
+ * that holding for the best exit meant sitting through.
+ *
+ * job: { trades, interval, lookaheadHours, realismPct, entryWindowHours,
+ *        strategies, fumbleBasis, liquidation, priceSettings, candleFiles }
+ * post(msg) receives:
+ *   { type: "progress", phase: "fetch", symbol, name, source, done, total, chunk, chunks, cached }
+ *   { type: "progress", phase: "refine", symbol, name, done, total, chunk, chunks }   (auto only)
+ *   { type: "progress", phase: "compute", symbol, name, done, total }
+ *   { type: "symbol", symbol, rows: [{ i, row }], noCandles, error }   (i = index in job.trades)
+ *   { type: "done", noCandles: [symbols], failed: [{ symbol, message }] }
+ * isCancelled() is checked before each symbol and after its fetch.
+ */
+
+function unpriced(t) {
+  return {
+    ...t,
+    bestExit: null,
+    potentialPnl: null,
+    fumbled: null,
+    realizedPnl: netPnl(t),
+  };
+}
+
+export const AUTO_WINDOW_CANDLES = 48;
+const AUTO_FINE_INTERVAL = "1m";
+
+const intervalMsOf = (label) =>
+  INTERVALS.find((x) => x.label === label)?.ms ?? 300_000;
+
+// finest interval that keeps a lookahead window to AUTO_WINDOW_CANDLES candles
+export function pickAutoInterval(lookaheadMs) {
+  const fit = INTERVALS.find((x) => lookaheadMs / x.ms <= AUTO_WINDOW_CANDLES);
+  return (fit || INTERVALS[INTERVALS.length - 1]).label;
+}
+
+const beats = (a, b, direction) => (direction === "SHORT" ? a < b : a > b);
+
+const opposite = (direction) => (direction === "SHORT" ? "LONG" : "SHORT");
+
+// [first, last] entry fill (ms); entryTime of a scaled-in trade is a
+// size-weighted average, not a time anything was bought at
+function entryFillSpan(t) {
+  const times = (t.entries || [])
+    .map((x) => x.time?.getTime())
+    .filter(Number.isFinite);
+  if (times.length > 0) return extent(times);
+  const entry = t.firstEntryTime || t.entryTime;
+  return entry ? [entry.getTime(), entry.getTime()] : null;
+}
+
+/**
+ * Price windows one trade needs; direction says which extreme we want
+ * (LONG = highest high, SHORT = lowest low, as in bestCandleInWindow).
+ * - exit:      closeTime -> +lookahead, best price for the trade's side
+ * - entry:     first entry fill - entryWindow -> last entry fill + entryWindow,
+ *              best price to have *entered* at
+ * - adverse / favorable: first entry -> close, worst / best excursion (MAE / MFE)
+ */
+export function tradeWindows(t, { lookaheadMs, entryWindowMs }) {
+  const closeMs = t.closeTime.getTime();
+  const out = {
+    exit: {
+      startMs: closeMs,
+      endMs: closeMs + lookaheadMs,
+      direction: t.direction,
+    },
+  };
+  const fills = entryFillSpan(t);
+  if (entryWindowMs > 0 && fills) {
+    const [openMs, lastFillMs] = fills;
+    out.entry = {
+      startMs: openMs - entryWindowMs,
+      endMs: lastFillMs + entryWindowMs,
+      direction: opposite(t.direction),
+    };
+    out.adverse = {
+      startMs: openMs,
+      endMs: closeMs,
+      direction: opposite(t.direction),
+    };
+    out.favorable = { startMs: openMs, endMs: closeMs, direction: t.direction };
+  }
+  return out;
+}
+
+/**
+ * Auto mode, pass 1 (coarse candles only). Candles lying fully inside the
+ * window are exact as they are; the partial ones at either end are only worth
+ * refining if their whole range beats the inner best.
+ * -> { direction, inner, edges: [[from, to]], refine: [[from, to]] }   (ms, inclusive)
+ */
+export function planAutoWindow(
+  { startMs, endMs, direction },
+  coarse,
+  coarseMs
+) {
+  const fullFrom = Math.ceil(startMs / coarseMs) * coarseMs;
+  const fullTo = Math.floor((endMs + 1) / coarseMs) * coarseMs; // exclusive
+
+  const inner =
+    coarse && fullTo > fullFrom
+      ? bestCandleInWindow({
+          series: coarse,
+          startMs: fullFrom,
+          endMs: fullTo - coarseMs,
+          direction,
+        })
+      : null;
+
+  const edges = [];
+  const addEdge = (from, to) => {
+    if (to < from || !coarse) return;
+    const open = Math.floor(from / coarseMs) * coarseMs;
+    const bound = bestCandleInWindow({
+      series: coarse,
+      startMs: open,
+      endMs: open,
+      direction,
+    });
+    if (!bound) return;
+    if (inner && !beats(bound.price, inner.price, direction)) return;
+    edges.push([from, to]);
+  };
+  const headEnd = Math.min(fullFrom - 1, endMs);
+  addEdge(startMs, headEnd);
+  addEdge(Math.max(fullTo, headEnd + 1), endMs);
+
+  const refine = edges.slice();
+  if (inner) refine.push([inner.t, inner.t + coarseMs - 1]); // to pin *when*
+  return { direction, inner, edges, refine };
+}
+
+// Auto mode, pass 2: settle the extreme with 1m candles where we have them
+export function finishAutoWindow(plan, fine, coarseMs) {
+  const { direction } = plan;
+  let best = plan.inner;
+  if (best && fine) {
+    const at = bestCandleInWindow({
+      series: fine,
+      startMs: best.t,
+      endMs: best.t + coarseMs - 1,
+      direction,
+    });
+    if (at) best = { price: best.price, t: at.t };
+  }
+  for (const [from, to] of plan.edges) {
+    const edge =
+      fine &&
+      bestCandleInWindow({ series: fine, startMs: from, endMs: to, direction });
+    if (edge && (!best || beats(edge.price, best.price, direction))) {
+      best = edge;
+    }
+  }
+  return best;
+}
+
+// net PnL had the whole qty been closed at `price` (same fees + funding)
+function pnlAt(t, price) {
+  const entry = t.entryPrice;
+  const qty = t.qty;
+  if (!Number.isFinite(entry) || !Number.isFinite(qty)) return null;
+  const gross =
+    t.direction === "SHORT" ? (entry - price) * qty : (price - entry) * qty;
+  return gross - (t.fees || 0) + (t.funding || 0);
+}
+
+// best = { price, t } from the candles (before realism), or null
+export function computeFumble(t, best, { realism }) {
+  if (!best || !Number.isFinite(best.price)) return unpriced(t);
+  const bestExitRaw = best.price;
+
+  // realism adjustment: pull bestExit toward actual exit
+  const exit = t.exitPrice;
+  const bestExit = Number.isFinite(exit)
+    ? exit + (bestExitRaw - exit) * realism
+    : bestExitRaw;
+
+  // Potential PnL estimate using qty and entry/bestExit
+  // Long: (bestExit - entry) * qty
+  // Short: (entry - bestExit) * qty
+  // Same fees + funding on both sides, so potential vs realized is
+  // a like-for-like comparison of net outcomes
+  const entry = t.entryPrice;
+  const potentialPnl = pnlAt(t, bestExit);
+
+  const realized = netPnl(t);
+
+  // Fumbled = potential - realized (only if positive)
+  let fumbled = null;
+  if (Number.isFinite(potentialPnl) && Number.isFinite(realized)) {
+    fumbled = Math.max(0, potentialPnl - realized);
+  }
+
+  // Also compute potential pct vs entry
+  let potentialPct = null;
+  if (Number.isFinite(entry)) {
+    const raw = ((bestExit - entry) / entry) * 100;
+    potentialPct = t.direction === "SHORT" ? -raw : raw;
+  }
+
+  return {
+    ...t,
+    bestExit,
+    bestExitRaw,
+    bestExitTime: best.t,
+    potentialPnl,
+    potentialPct,
+    realizedPnl: realized,
+    fumbled,
+  };
+}
+
+/**
+ * Entry-side hindsight from the entry / adverse / favorable extremes
+ * (each { price, t } or null). Slippage is how much worse the fill was than
+ * the best price inside the entry window; MAE / MFE are the worst / best
+ * unrealized move while the position was open. $ figures use the closed qty.
+ */
+export function computeEntryStats(t, { entry, adverse, favorable }) {
+  const px = t.entryPrice;
+  const qty = Number.isFinite(t.qty) ? t.qty : NaN;
+  if (!Number.isFinite(px) || px <= 0) return {};
+  const sign = t.direction === "SHORT" ? -1 : 1;
+  const move = (price) => sign * (price - px); // + = in the trade's favor
+
+  const out = {};
+  if (entry && Number.isFinite(entry.price)) {
+    const slip = Math.max(0, -move(entry.price)); // per unit, >= 0
+    out.bestEntry = entry.price;
+    out.bestEntryTime = entry.t;
+    out.entrySlippagePct = (slip / px) * 100;
+    out.entrySlippage = slip * qty;
+  }
+  if (adverse && Number.isFinite(adverse.price)) {
+    const m = Math.min(0, move(adverse.price));
+    out.maePct = (m / px) * 100;
+    out.mae = m * qty;
+  }
+  if (favorable && Number.isFinite(favorable.price)) {
+    const m = Math.max(0, move(favorable.price));
+    out.mfePct = (m / px) * 100;
+    out.mfe = m * qty;
+  }
+  return out;
+}
+
+/**
+ * Replays the trade under every strategy; with liqPrice, a replay whose path
+ * trades through it before its exit is closed there instead (reason "liquidated").
+ * -> { [strategy id]: { pnl, exitPct, exitPrice, exitTime, reason } | null }
+ */
+export function computeStrategyResults(
+  t,
+  series,
+  { endMs, strategies, liqPrice = null }
+) {
+  const entry = t.firstEntryTime || t.entryTime;
+  const out = {};
+  for (const s of strategies) {
+    const sim =
+      entry && series
+        ? simulateExit(
+            series,
+            {
+              startMs: entry.getTime(),
+              endMs,
+              entryPrice: t.entryPrice,
+              direction: t.direction,
+            },
+            s.rules
+          )
+        : null;
+    if (!sim) {
+      out[s.id] = null;
+      continue;
+    }
+
+    const liqAt =
+      liqPrice !== null &&
+      firstCandleThrough({
+        series,
+        startMs: entry.getTime(),
+        endMs: sim.exitTime - 1, // the exit candle itself gets the benefit of the doubt
+        price: liqPrice,
+        below: t.direction !== "SHORT",
+      });
+    if (Number.isFinite(liqAt)) {
+      const raw = ((liqPrice - t.entryPrice) / t.entryPrice) * 100;
+      out[s.id] = {
+        pnl: pnlAt(t, liqPrice),
+        exitPct: t.direction === "SHORT" ? -raw : raw,
+        exitPrice: liqPrice,
+        exitTime: liqAt,
+        reason: "liquidated",
+      };
+      continue;
+    }
+    out[s.id] = {
+      pnl: pnlAt(t, sim.exitPrice),
+      exitPct: sim.exitPct,
+      exitPrice: sim.exitPrice,
+      exitTime: sim.exitTime,
+      reason: sim.reason,
+    };
+  }
+  return out;
+}
+
+/**
+ * Path risk of holding for the best exit (row = computeFumble output, best =
+ * the raw { price, t } it used). If the estimated liquidation price is traded
+ * through between the real close and the best exit, the best exit is out of
+ * reach: potential is recomputed from the best price before liquidation.
+ * Adds liqPrice / liqLeverage / leverageSource / marginMode / liquidatedAt and
+ * holdDrawdown / holdDrawdownPct (≤ 0, from entry to the counted best exit;
+ * holdDrawdownRoe = the same on margin, when leverage is known).
+ */
+export function applyPathRisk(row, series, { best, realism, cross }) {
+  const liq = estimateLiquidation(row, { cross });
+  let out = { ...row, pathChecked: true, liquidatedAt: null };
+  if (liq) {
+    out.liqPrice = liq.liqPrice;
+    out.liqLeverage = liq.leverage;
+    out.leverageSource = liq.leverageSource;
+    out.marginMode = liq.marginMode;
+  }
+  if (!series || !best || !row.closeTime) return out;
+
+  const closeMs = row.closeTime.getTime();
+  let reached = best;
+  if (liq) {
+    const hitAt = firstCandleThrough({
+      series,
+      startMs: closeMs,
+      endMs: best.t,
+      price: liq.liqPrice,
+      below: row.direction !== "SHORT",
+    });
+    if (hitAt !== null) {
+      const before = bestCandleInWindow({
+        series,
+        startMs: closeMs,
+        endMs: hitAt - 1,
+        direction: row.direction,
+      });
+      reached =
+        before ||
+        (Number.isFinite(row.exitPrice)
+          ? { price: row.exitPrice, t: closeMs }
+          : null);
+      out = {
+        ...computeFumble(out, reached, { realism }),
+        liquidatedAt: hitAt,
+        unreachableExit: best.price,
+      };
+    }
+  }
+
+  const entry = row.firstEntryTime || row.entryTime;
+  const px = row.entryPrice;
+  const worst =
+    reached &&
+    entry &&
+    bestCandleInWindow({
+      series,
+      startMs: entry.getTime(),
+      endMs: reached.t,
+      direction: opposite(row.direction),
+    });
+  if (worst && px > 0) {
+    const sign = row.direction === "SHORT" ? -1 : 1;
+    const move = Math.min(0, sign * (worst.price - px));
+    out.holdDrawdownPct = (move / px) * 100;
+    out.holdDrawdown = Number.isFinite(row.qty) ? move * row.qty : null;
+    out.holdDrawdownRoe = liq ? out.holdDrawdownPct * liq.leverage : null;
+  }
+  return out;
+}
+
+// potential / fumbled measured against a strategy's result instead
+function strategyFumble(row, result) {
+  if (!result || !Number.isFinite(result.pnl)) {
+    return { ...row, potentialPnl: null, potentialPct: null, fumbled: null };
+  }
+  return {
+    ...row,
+    potentialPnl: result.pnl,
+    potentialPct: result.exitPct,
+    fumbled: Number.isFinite(row.realizedPnl)
+      ? Math.max(0, result.pnl - row.realizedPnl)
+      : null,
+  };
+}
+
+// 1m candles for every refine range of a symbol, merged -> indexed series or null
+async function fetchRefineCandles(
+  ranges,
+  onProgress,
+  { source, symbol, scheduler }
+) {
+  // +1 so back-to-back ranges merge into one fetch
+  const merged = mergeRanges(ranges.map(([a, b]) => [a, b + 1]));
+  if (merged.length === 0) return null;
+
+  let finished = 0;
+  onProgress({ chunk: 0, chunks: merged.length });
+  const parts = await Promise.all(
+    merged.map(async ([a, b]) => {
+      const kl = await fetchAllKlines({
+        source,
+        symbol,
+        interval: AUTO_FINE_INTERVAL,
+        startTime: a,
+        endTime: b,
+        scheduler,
+      });
+      finished += 1;
+      onProgress({ chunk: finished, chunks: merged.length });
+      return kl;
+    })
+  );
+
+  const seen = new Set();
+  const all = [];
+  for (const kl of parts) {
+    for (const k of kl) {
+      if (seen.has(k[0])) continue;
+      seen.add(k[0]);
+      all.push(k);
+    }
+  }
+  all.sort((x, y) => x[0] - y[0]);
+  return all.length > 0 ? indexKlines(all) : null;
+}
+
+export async function runHindsightJob(job, post, isCancelled = () => false) {
+  const { trades, priceSettings, candleFiles } = job;
+  const lookaheadMs = Number(job.lookaheadHours) * 3600_000;
+  const auto = job.interval === "auto";
+  const interval = auto ? pickAutoInterval(lookaheadMs) : job.interval;
+  const intervalMs = intervalMsOf(interval);
+  const refining = auto && interval !== AUTO_FINE_INTERVAL;
+  const realism = clamp(Number(job.realismPct) / 100, 0, 1);
+  const entryWindowMs = Number(job.entryWindowHours || 0) * 3600_000;
+  const strategies = job.strategies || [];
+  const basis = strategies.find((s) => s.id === job.fumbleBasis) || null;
+  const liquidation = job.liquidation || null;
+
+  // Group trades by symbol to fetch candles once per symbol
+  const bySymbol = new Map();
+  const noSymbol = [];
+  trades.forEach((t, i) => {
+    const sym = normalizeToBinanceSymbol(t.symbol);
+    if (!sym) {
+      noSymbol.push({ i, row: unpriced(t) });
+      return;
+    }
+    if (!bySymbol.has(sym)) bySymbol.set(sym, []);
+    bySymbol.get(sym).push(i);
+  });
+  if (noSymbol.length > 0) {
+    post({ type: "symbol", symbol: "", noCandles: true, rows: noSymbol });
+  }
+
+  const noCandles = [];
+  const failed = [];
+  const total = bySymbol.size;
+  const concurrency = priceSettings.concurrency || 1;
+  const scheduler = createFetchScheduler({ concurrency });
+  const queue = Array.from(bySymbol.entries());
+  let done = 0;
+
+  async function runSymbol(sym, idxs) {
+    const { source, symbol } = resolvePriceSource(sym, priceSettings, {
+      candleFiles,
+    });
+    const name = symbol === sym ? sym : `${sym} → ${symbol}`;
+    const progress = (msg) =>
+      post({ type: "progress", symbol: sym, name, done, total, ...msg });
+
+    // Determine needed range: every window of every trade
+    const windows = idxs.map((i) =>
+      tradeWindows(trades[i], { lookaheadMs, entryWindowMs })
+    );
+    const flat = windows.flatMap((w) => Object.values(w));
+    let minStart = Infinity;
+    let maxEnd = -Infinity;
+    if (strategies.length > 0 || liquidation) {
+      // replays and hold-through drawdowns start at entry
+      for (const i of idxs) {
+        const entry = trades[i].firstEntryTime || trades[i].entryTime;
+        if (entry) minStart = Math.min(minStart, entry.getTime());
+      }
+    }
+    for (const w of flat) {
+      minStart = Math.min(minStart, w.startMs);
+      maxEnd = Math.max(maxEnd, w.endMs);
+    }
+
+    progress({ phase: "fetch", source: source.label, chunk: 0 });
+
+    let klines;
+    let series;
+    let found; // flat[k] -> { price, t } | null
+    try {
+      klines = await fetchAllKlines({
+        source,
+        symbol,
+        interval,
+        startTime: minStart - intervalMs * 2,
+        endTime: maxEnd + intervalMs * 2,
+        scheduler,
+        onProgress: (p) =>
+          progress({ phase: "fetch", source: source.label, ...p }),
+      });
+      series = klines.length > 0 ? indexKlines(klines) : null;
+
+      if (!refining) {
+        found = flat.map((w) =>
+          series ? bestCandleInWindow({ series, ...w }) : null
+        );
+      } else {
+        const plans = flat.map((w) => planAutoWindow(w, series, intervalMs));
+        const fine = await fetchRefineCandles(
+          plans.flatMap((p) => p.refine),
+          (p) => progress({ phase: "refine", ...p }),
+          { source, symbol, scheduler }
+        );
+        found = plans.map((plan) => finishAutoWindow(plan, fine, intervalMs));
+      }
+    } catch (e) {
+      // this symbol only: the rest of the run keeps going
+      const message = e?.message || String(e);
+      failed.push({ symbol: sym, message });
+      done += 1;
+      post({
+        type: "symbol",
+        symbol: sym,
+        noCandles: true,
+        error: message,
+        rows: idxs.map((i) => ({ i, row: unpriced(trades[i]) })),
+      });
+      return;
+    }
+    if (isCancelled()) return;
+
+    progress({ phase: "compute" });
+    if (klines.length === 0) noCandles.push(sym);
+
+    // hand the flat results back to their trade + window name
+    let next = 0;
+    const rows = idxs.map((i, k) => {
+      const got = {};
+      for (const key of Object.keys(windows[k])) got[key] = found[next++];
+      let row = {
+        ...computeFumble(trades[i], got.exit, { realism }),
+        ...computeEntryStats(trades[i], got),
+      };
+      if (liquidation) {
+        row = applyPathRisk(row, series, {
+          best: got.exit,
+          realism,
+          cross: liquidation.cross,
+        });
+      }
+      if (strategies.length > 0) {
+        row.strategies = computeStrategyResults(trades[i], series, {
+          endMs: windows[k].exit.endMs,
+          strategies,
+          liqPrice: row.liqPrice ?? null,
+        });
+        if (basis) row = strategyFumble(row, row.strategies[basis.id]);
+      }
+      return { i, row };
+    });
+
+    done += 1;
+    post({
+      type: "symbol",
+      symbol: sym,
+      noCandles: klines.length === 0,
+      rows,
+    });
+  }
+
+  // a few symbols in flight at once; the scheduler caps actual requests
+  async function lane() {
+    while (queue.length > 0 && !isCancelled()) {
+      const [sym, idxs] = queue.shift();
+      // eslint-disable-next-line no-await-in-loop
+      await runSymbol(sym, idxs);
+    }
+  }
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, queue.length) }, lane)
+  );
+  if (isCancelled()) return;
+
+  post({ type: "done", noCandles, failed });
+}
@@ -0,0 +1,9 @@
+/* eslint-disable no-restricted-globals */
+import { runHindsightJob } from "./hindsight";
+
+// One job per worker: the page terminates the worker to cancel a run
+self.onmessage = (e) => {
+  runHindsightJob(e.data, (msg) => self.postMessage(msg)).catch((err) =>
+    self.postMessage({ type: "error", message: err?.message || String(err) })
+  );
+};
@@ -0,0 +1,34 @@
+import { runHindsightJob } from "./hindsight";
+
+/**
+ * Starts a hindsight job (see hindsight.js) off the main thread and returns
+ * cancel(). onMessage gets every progress / symbol / done message, plus
+ * { type: "error", message } if the run blows up.
+ * Without Worker support the job runs inline and cancel() stops it between steps.
+ */
+export function startHindsight(job, onMessage) {
+  if (typeof Worker === "undefined") {
+    let cancelled = false;
+    runHindsightJob(
+      job,
+      (msg) => !cancelled && onMessage(msg),
+      () => cancelled
+    ).catch(
+      (err) =>
+        !cancelled &&
+        onMessage({ type: "error", message: err?.message || String(err) })
+    );
+    return () => {
+      cancelled = true;
+    };
+  }
+
+  const worker = new Worker(new URL("./hindsight.worker.js", import.meta.url));
+  worker.onmessage = (e) => onMessage(e.data);
+  worker.onerror = (e) => {
+    onMessage({ type: "error", message: e.message || "Worker crashed" });
+    worker.terminate();
+  };
+  worker.postMessage(job);
+  return () => worker.terminate();
+}
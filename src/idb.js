@@ -0,0 +1,50 @@
+/**
+ * IndexedDB plumbing shared by candleCache.js and sessionStore.js.
+ */
+
+/**
+ * -> openDb(): a promise of the database (opened once), or of null without
+ * IndexedDB or when it can't be opened (old browsers, some private modes,
+ * tests, a blocked upgrade) — callers treat that as "no storage".
+ * stores: { [store name]: createObjectStore options }, created on upgrade
+ */
+export function dbOpener(name, version, stores) {
+  let dbPromise = null;
+  return function openDb() {
+    if (typeof indexedDB === "undefined") return Promise.resolve(null);
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve) => {
+        const req = indexedDB.open(name, version);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          for (const [store, options] of Object.entries(stores)) {
+            if (!db.objectStoreNames.contains(store)) {
+              db.createObjectStore(store, options);
+            }
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      });
+    }
+    return dbPromise;
+  };
+}
+
+// transaction -> promise that settles when it commits / fails
+export function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// request -> promise of its result
+export function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
@@ -0,0 +1,71 @@
+import { parseNumWithUnits, parseTimeUtc, pickField } from "../utils";
+import { fillsFromExecutions, scoreHeaders } from "./shared";
+
+// Binance USDⓈ-M Futures Trade History: BUY/SELL executions, open/close inferred
+function parseBinanceFuturesRows(rows) {
+  const raw = rows
+    .map((r) => {
+      if (!r) return null;
+      const symbol = String(pickField(r, ["Symbol"]) || "").trim();
+      const side = String(pickField(r, ["Side"]) || "")
+        .trim()
+        .toUpperCase(); // BUY / SELL
+      const positionSide = String(pickField(r, ["Position Side"]) || "BOTH")
+        .trim()
+        .toUpperCase(); // BOTH (one-way) / LONG / SHORT (hedge mode)
+      const time = parseTimeUtc(
+        pickField(r, ["Date(UTC)", "Time(UTC)", "Time"])
+      );
+      const price = parseNumWithUnits(pickField(r, ["Price"]));
+      const qty = Math.abs(
+        parseNumWithUnits(pickField(r, ["Quantity", "Qty"]))
+      );
+      const pnl = parseNumWithUnits(pickField(r, ["Realized Profit"]));
+      const fee = parseNumWithUnits(pickField(r, ["Fee"]));
+      const tradeId = pickField(r, ["Trade ID", "TradeId"]);
+
+      return {
+        symbol,
+        side,
+        positionSide,
+        time,
+        price,
+        qty,
+        pnl: Number.isFinite(pnl) ? pnl : 0,
+        fee: Number.isFinite(fee) ? fee : null,
+        fillId: tradeId ? String(tradeId) : null,
+      };
+    })
+    .filter(
+      (x) =>
+        x &&
+        x.symbol &&
+        (x.side === "BUY" || x.side === "SELL") &&
+        x.time &&
+        Number.isFinite(x.price) &&
+        Number.isFinite(x.qty) &&
+        x.qty > 0
+    );
+
+  return fillsFromExecutions(raw);
+}
+
+export const binanceFuturesTradeHistory = {
+  id: "BINANCE_FUTURES_TRADE_HISTORY",
+  label: "Binance Futures Trade History",
+  exchange: "Binance Futures",
+  kind: "fills",
+  match: (headers) =>
+    scoreHeaders(headers, {
+      required: [
+        ["Date(UTC)", "Time(UTC)", "Time"],
+        "Symbol",
+        "Side",
+        "Price",
+        ["Quantity", "Qty"],
+        "Realized Profit",
+      ],
+      optional: ["Amount", "Fee", "Position Side", "Quote Asset"],
+    }),
+  parse: parseBinanceFuturesRows,
+};
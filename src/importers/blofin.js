@@ -0,0 +1,76 @@
+import { parseNumWithUnits, parseTimeBloFin, pickField } from "../utils";
+import { scoreHeaders } from "./shared";
+
+// BloFin Order History: one row per order, Open/Close pairing happens later
+function parseBloFinRows(rows) {
+  return rows
+    .filter((r) => r && String(r["Status"] || "").toLowerCase() === "filled")
+    .map((r) => {
+      const symbol = String(r["Underlying Asset"] || "").trim(); // usually BTCUSDT
+      const side = String(r["Side"] || "").trim(); // "Open Long", "Close Short", ...
+      const time = parseTimeBloFin(r["Order Time"]);
+      const avgFill = parseNumWithUnits(r["Avg Fill"]);
+      const qty = parseNumWithUnits(r["Filled"]);
+      const pnl = parseNumWithUnits(r["PNL"]); // close rows have number, open rows "--"
+      const pnlPct = parseNumWithUnits(r["PNL%"]); // close rows have number, open rows "--"
+      // BloFin pays no rebates, but some exports write the fee as a debit
+      const fee = Math.abs(parseNumWithUnits(r["Fee"]));
+      const orderId = pickField(r, ["Order ID", "Order No"]); // one row per order
+      const marginMode = String(r["Margin Mode"] || "")
+        .trim()
+        .toLowerCase(); // "cross" | "isolated"
+      const leverage = parseNumWithUnits(pickField(r, ["Leverage"])); // "20x"
+
+      let action = "UNKNOWN";
+      let direction = "UNKNOWN";
+      const s = side.toUpperCase();
+      if (s.includes("OPEN")) action = "OPEN";
+      if (s.includes("CLOSE")) action = "CLOSE";
+      if (s.includes("LONG")) direction = "LONG";
+      if (s.includes("SHORT")) direction = "SHORT";
+
+      return {
+        symbol,
+        side,
+        action,
+        direction,
+        time,
+        avgFill,
+        qty,
+        pnl: Number.isFinite(pnl) ? pnl : null,
+        pnlPct: Number.isFinite(pnlPct) ? pnlPct : null,
+        fee: Number.isFinite(fee) ? fee : null,
+        fillId: orderId ? String(orderId) : null,
+        marginMode: marginMode || null,
+        leverage: Number.isFinite(leverage) ? leverage : null,
+      };
+    })
+    .filter(
+      (x) =>
+        x.symbol &&
+        x.action !== "UNKNOWN" &&
+        x.direction !== "UNKNOWN" &&
+        x.time
+    );
+}
+
+export const blofinOrderHistory = {
+  id: "BLOFIN_ORDER_HISTORY",
+  label: "BloFin Order History",
+  exchange: "BloFin",
+  kind: "fills",
+  match: (headers) =>
+    scoreHeaders(headers, {
+      required: [
+        "Underlying Asset",
+        "Margin Mode",
+        "Order Time",
+        "Avg Fill",
+        "Filled",
+        "PNL",
+        "PNL%",
+      ],
+      optional: ["Side", "Status", "Fee"],
+    }),
+  parse: parseBloFinRows,
+};
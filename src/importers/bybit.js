@@ -0,0 +1,208 @@
+import {
+  minsBetween,
+  parseNumWithUnits,
+  parseTimeBloFin,
+  parseTimeUtc,
+  pickField,
+} from "../utils";
+import { fillsFromExecutions, scoreHeaders } from "./shared";
+
+const BYBIT_TIME_FIELDS = [
+  "Trade Time(UTC+0)",
+  "Transaction Time(UTC+0)",
+  "Trade Time",
+  "Transaction Time",
+  "Exec Time",
+  "Create Time",
+  "Time",
+];
+
+function parseTimeBybit(v) {
+  return parseTimeUtc(v) || parseTimeBloFin(v);
+}
+
+// Closed P&L export: already one row per closed position, no reconstruction
+function parseBybitClosedPnlRows(rows) {
+  return rows
+    .map((r) => {
+      if (!r) return null;
+      const symbol = String(
+        pickField(r, ["Contracts", "Symbol", "Market"]) || ""
+      ).trim();
+      const dirRaw = String(
+        pickField(r, ["Closing Direction", "Direction", "Side"]) || ""
+      )
+        .trim()
+        .toUpperCase();
+
+      // "Close Long" / "Long", or the side of the closing order (Sell closes a long)
+      let direction = "UNKNOWN";
+      if (dirRaw.includes("LONG")) direction = "LONG";
+      else if (dirRaw.includes("SHORT")) direction = "SHORT";
+      else if (dirRaw === "SELL") direction = "LONG";
+      else if (dirRaw === "BUY") direction = "SHORT";
+
+      const entryPrice = parseNumWithUnits(pickField(r, ["Entry Price"]));
+      const exitPrice = parseNumWithUnits(pickField(r, ["Exit Price"]));
+      const qty = Math.abs(
+        parseNumWithUnits(pickField(r, ["Qty", "Quantity", "Closed Qty"]))
+      );
+      const closedPnl = parseNumWithUnits(pickField(r, ["Closed P&L"]));
+      // positive = paid, negative = maker rebate, as trades.js expects
+      const openFee = parseNumWithUnits(pickField(r, ["Opening Fee"]));
+      const closeFee = parseNumWithUnits(pickField(r, ["Closing Fee"]));
+      const fees =
+        (Number.isFinite(openFee) ? openFee : 0) +
+        (Number.isFinite(closeFee) ? closeFee : 0);
+      // Closed P&L is already after fees; add them back so pnl stays gross
+      const pnl = Number.isFinite(closedPnl) ? closedPnl + fees : NaN;
+      const closeTime = parseTimeBybit(pickField(r, BYBIT_TIME_FIELDS));
+      const openTime = parseTimeBybit(
+        pickField(r, ["Open Time", "Entry Time"])
+      );
+      const holdMins = openTime ? minsBetween(openTime, closeTime) : NaN;
+
+      let pnlPct = NaN;
+      if (Number.isFinite(entryPrice) && Number.isFinite(exitPrice)) {
+        const raw = ((exitPrice - entryPrice) / entryPrice) * 100;
+        pnlPct = direction === "SHORT" ? -raw : raw;
+      }
+
+      return {
+        exchange: "Bybit",
+        symbol,
+        direction,
+        entryPrice: Number.isFinite(entryPrice) ? entryPrice : null,
+        exitPrice: Number.isFinite(exitPrice) ? exitPrice : null,
+        qty: Number.isFinite(qty) ? qty : null,
+        pnl: Number.isFinite(pnl) ? pnl : null,
+        pnlPct: Number.isFinite(pnlPct) ? pnlPct : null,
+        openFee: Number.isFinite(openFee) ? openFee : 0,
+        closeFee: Number.isFinite(closeFee) ? closeFee : 0,
+        fees,
+        funding: 0,
+        holdMins: Number.isFinite(holdMins) ? holdMins : null,
+        entryTime: openTime,
+        firstEntryTime: openTime,
+        closeTime,
+        note: null,
+      };
+    })
+    .filter((t) => t && t.symbol && t.direction !== "UNKNOWN" && t.closeTime);
+}
+
+// Execution history: raw fills, same reconstruction path as BloFin
+function parseBybitExecutionRows(rows) {
+  const explicit = [];
+  const executions = [];
+
+  for (const r of rows) {
+    if (!r) continue;
+    const symbol = String(pickField(r, ["Contracts", "Symbol"]) || "").trim();
+    const side = String(pickField(r, ["Direction", "Side"]) || "").trim();
+    const time = parseTimeBybit(pickField(r, BYBIT_TIME_FIELDS));
+    const price = parseNumWithUnits(
+      pickField(r, ["Filled Price", "Exec Price"])
+    );
+    const qty = Math.abs(
+      parseNumWithUnits(pickField(r, ["Filled Qty", "Exec Qty"]))
+    );
+    // positive = paid, negative = maker rebate
+    const fee = parseNumWithUnits(
+      pickField(r, ["Trading Fee", "Exec Fee", "Fee"])
+    );
+    const pnl = parseNumWithUnits(pickField(r, ["Closed P&L", "Realized P&L"]));
+    // per-execution ids only: an Order ID repeats across partial fills
+    const execId = pickField(r, ["Exec ID", "Transaction ID", "Trade ID"]);
+    const fillId = execId ? String(execId) : null;
+
+    if (!symbol || !time || !Number.isFinite(price) || !(qty > 0)) continue;
+
+    // Older exports say "Open Long" / "Close Short"; newer ones just Buy / Sell
+    const s = side.toUpperCase();
+    if (s.includes("OPEN") || s.includes("CLOSE")) {
+      const action = s.includes("OPEN") ? "OPEN" : "CLOSE";
+      const direction = s.includes("LONG")
+        ? "LONG"
+        : s.includes("SHORT")
+        ? "SHORT"
+        : "UNKNOWN";
+      if (direction === "UNKNOWN") continue;
+      explicit.push({
+        symbol,
+        side,
+        action,
+        direction,
+        time,
+        avgFill: price,
+        qty,
+        pnl: action === "CLOSE" && Number.isFinite(pnl) ? pnl : null,
+        pnlPct: null,
+        fee: Number.isFinite(fee) ? fee : null,
+        fillId,
+      });
+      continue;
+    }
+
+    if (s !== "BUY" && s !== "SELL") continue;
+    executions.push({
+      symbol,
+      side: s,
+      positionSide: "BOTH",
+      time,
+      price,
+      qty,
+      pnl: Number.isFinite(pnl) ? pnl : null,
+      fee: Number.isFinite(fee) ? fee : null,
+      fillId,
+    });
+  }
+
+  return explicit.concat(fillsFromExecutions(executions));
+}
+
+export const bybitClosedPnl = {
+  id: "BYBIT_CLOSED_PNL",
+  label: "Bybit Closed P&L",
+  exchange: "Bybit",
+  kind: "trades",
+  match: (headers) =>
+    scoreHeaders(headers, {
+      required: [
+        ["Contracts", "Symbol", "Market"],
+        "Entry Price",
+        "Exit Price",
+        "Closed P&L",
+      ],
+      optional: [
+        ["Closing Direction", "Direction"],
+        ["Qty", "Quantity"],
+        "Exit Type",
+        ["Trade Time(UTC+0)", "Trade Time", "Create Time"],
+      ],
+    }),
+  parse: parseBybitClosedPnlRows,
+};
+
+export const bybitExecutionHistory = {
+  id: "BYBIT_EXECUTION_HISTORY",
+  label: "Bybit Trade History",
+  exchange: "Bybit",
+  kind: "fills",
+  match: (headers) =>
+    scoreHeaders(headers, {
+      required: [
+        ["Contracts", "Symbol"],
+        ["Filled Price", "Exec Price"],
+        ["Filled Qty", "Exec Qty"],
+        ["Direction", "Side"],
+      ],
+      optional: [
+        ["Trading Fee", "Exec Fee"],
+        ["Transaction Time", "Exec Time", "Trade Time"],
+        "Order ID",
+        "Order Type",
+      ],
+    }),
+  parse: parseBybitExecutionRows,
+};
@@ -0,0 +1,268 @@
+import {
+  cleanHeader,
+  parseNumWithUnits,
+  parseTimeBloFin,
+  parseTimeUtc,
+  readJson,
+  writeJson,
+} from "../utils";
+import { fillsFromExecutions } from "./shared";
+
+/**
+ * User-defined importer for CSVs no built-in importer recognizes.
+ *
+ * mapping: {
+ *   label:      shown on trades as `exchange` (e.g. "OKX main")
+ *   columns:    { symbol, side, time, price, qty, pnl, fee, reduceOnly } -> CSV header
+ *   dateFormat: one of DATE_FORMATS ids
+ *   sideVocab:  one of SIDE_VOCABS ids
+ * }
+ *
+ * Mappings are saved in localStorage keyed by a fingerprint of the headers,
+ * so the same export is parsed without asking the next time.
+ */
+
+export const MAPPABLE_FIELDS = [
+  { key: "symbol", label: "Symbol", required: true },
+  { key: "side", label: "Side", required: true },
+  { key: "time", label: "Time", required: true },
+  { key: "price", label: "Price", required: true },
+  { key: "qty", label: "Qty", required: true },
+  { key: "pnl", label: "PnL", required: false },
+  { key: "fee", label: "Fee", required: false },
+];
+
+// rough header guesses so the wizard doesn't start blank
+const FIELD_HINTS = {
+  symbol: ["symbol", "pair", "contract", "instrument", "market", "asset"],
+  side: ["side", "direction", "type"],
+  time: ["time", "date", "timestamp"],
+  price: ["avg price", "fill price", "price"],
+  qty: ["qty", "quantity", "size", "amount", "filled"],
+  pnl: ["pnl", "p&l", "profit", "realized"],
+  fee: ["fee", "commission"],
+  reduceOnly: ["reduce only", "reduceonly", "reduce"],
+};
+
+export const DATE_FORMATS = [
+  { id: "auto", label: "Auto (ISO / MM/DD/YYYY)" },
+  { id: "iso-utc", label: "YYYY-MM-DD HH:mm:ss (UTC)" },
+  { id: "iso-local", label: "YYYY-MM-DD HH:mm:ss (local)" },
+  { id: "mdy", label: "MM/DD/YYYY HH:mm:ss" },
+  { id: "dmy", label: "DD/MM/YYYY HH:mm:ss" },
+  { id: "unix-ms", label: "Unix ms" },
+  { id: "unix-s", label: "Unix seconds" },
+];
+
+export const SIDE_VOCABS = [
+  { id: "open-close", label: '"Open Long" / "Close Short"' },
+  { id: "buy-sell-reduce", label: '"Buy" / "Sell" + reduce-only flag' },
+  { id: "buy-sell-net", label: '"Buy" / "Sell" (infer from net position)' },
+];
+
+const STORAGE_KEY = "fumble.columnMappings.v1";
+
+function parseDayFirst(s) {
+  // DD/MM/YYYY HH:mm(:ss), also with "." or "-" as date separator
+  const m = s.match(
+    /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?/
+  );
+  if (!m) return null;
+  const [, dd, mm, yyyy, HH, MM, SS] = m.map(Number);
+  const d = new Date(yyyy, mm - 1, dd, HH, MM, SS || 0);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export function parseTimeWithFormat(v, format) {
+  if (v === null || v === undefined) return null;
+  const s = String(v).trim();
+  if (!s) return null;
+
+  switch (format) {
+    case "iso-utc":
+      return parseTimeUtc(s);
+    case "iso-local": {
+      const d = new Date(s.replace(" ", "T"));
+      return Number.isNaN(d.getTime()) ? null : d;
+    }
+    case "mdy":
+      return parseTimeBloFin(s);
+    case "dmy":
+      return parseDayFirst(s);
+    case "unix-ms":
+    case "unix-s": {
+      const n = Number(s);
+      if (!Number.isFinite(n)) return null;
+      return new Date(format === "unix-s" ? n * 1000 : n);
+    }
+    default:
+      return parseTimeUtc(s) || parseTimeBloFin(s);
+  }
+}
+
+function isTruthyFlag(v) {
+  const s = String(v ?? "")
+    .trim()
+    .toLowerCase();
+  return s === "true" || s === "yes" || s === "y" || s === "1";
+}
+
+// Stable id for "this export layout": order-insensitive, case-insensitive
+export function headerFingerprint(headers) {
+  const key = headers.map(cleanHeader).filter(Boolean).sort().join("|");
+  let h = 5381;
+  for (let i = 0; i < key.length; i += 1) {
+    h = ((h << 5) + h + key.charCodeAt(i)) >>> 0;
+  }
+  return `h${h.toString(16)}`;
+}
+
+export function guessMapping(headers) {
+  const columns = {};
+  const taken = new Set();
+  for (const [key, hints] of Object.entries(FIELD_HINTS)) {
+    for (const hint of hints) {
+      const hit = headers.find(
+        (h) => !taken.has(h) && cleanHeader(h).includes(hint)
+      );
+      if (hit) {
+        columns[key] = hit;
+        taken.add(hit);
+        break;
+      }
+    }
+  }
+  return {
+    label: "Custom",
+    columns,
+    dateFormat: "auto",
+    sideVocab: columns.reduceOnly ? "buy-sell-reduce" : "open-close",
+  };
+}
+
+export function isMappingComplete(mapping) {
+  const c = mapping?.columns || {};
+  const base = MAPPABLE_FIELDS.filter((f) => f.required).every((f) => c[f.key]);
+  if (!base) return false;
+  if (mapping.sideVocab === "buy-sell-reduce") return Boolean(c.reduceOnly);
+  return true;
+}
+
+// Exports that write fees as debits have no positive fee at all; the rest
+// already read "positive = paid, negative = rebate"
+function feesAsDebits(fees) {
+  let negative = false;
+  for (const fee of fees) {
+    if (fee > 0) return false;
+    if (fee < 0) negative = true;
+  }
+  return negative;
+}
+
+function parseCustomRows(rows, mapping) {
+  const c = mapping.columns;
+  const cell = (r, key) => (c[key] ? r[c[key]] : undefined);
+  const debits = feesAsDebits(
+    rows.map((r) => (r ? parseNumWithUnits(cell(r, "fee")) : NaN))
+  );
+
+  const explicit = [];
+  const executions = [];
+
+  for (const r of rows) {
+    if (!r) continue;
+    const symbol = String(cell(r, "symbol") || "").trim();
+    const side = String(cell(r, "side") || "").trim();
+    const time = parseTimeWithFormat(cell(r, "time"), mapping.dateFormat);
+    const price = parseNumWithUnits(cell(r, "price"));
+    const qty = Math.abs(parseNumWithUnits(cell(r, "qty")));
+    const pnl = parseNumWithUnits(cell(r, "pnl"));
+    const rawFee = parseNumWithUnits(cell(r, "fee"));
+    const fee = debits ? -rawFee : rawFee;
+
+    if (!symbol || !time || !Number.isFinite(price) || !(qty > 0)) continue;
+
+    const s = side.toUpperCase();
+    const isBuy = s === "BUY" || s === "B" || s === "LONG";
+    const isSell = s === "SELL" || s === "S" || s === "SHORT";
+
+    if (mapping.sideVocab === "buy-sell-net") {
+      if (!isBuy && !isSell) continue;
+      executions.push({
+        symbol,
+        side: isBuy ? "BUY" : "SELL",
+        positionSide: "BOTH",
+        time,
+        price,
+        qty,
+        pnl: Number.isFinite(pnl) ? pnl : null,
+        fee: Number.isFinite(fee) ? fee : null,
+      });
+      continue;
+    }
+
+    let action = "UNKNOWN";
+    let direction = "UNKNOWN";
+    if (mapping.sideVocab === "buy-sell-reduce") {
+      if (!isBuy && !isSell) continue;
+      const reducing = isTruthyFlag(cell(r, "reduceOnly"));
+      action = reducing ? "CLOSE" : "OPEN";
+      // a reducing buy closes a short; an opening buy opens a long
+      direction = isBuy === reducing ? "SHORT" : "LONG";
+    } else {
+      if (s.includes("OPEN")) action = "OPEN";
+      if (s.includes("CLOSE")) action = "CLOSE";
+      if (s.includes("LONG")) direction = "LONG";
+      if (s.includes("SHORT")) direction = "SHORT";
+    }
+    if (action === "UNKNOWN" || direction === "UNKNOWN") continue;
+
+    explicit.push({
+      symbol,
+      side,
+      action,
+      direction,
+      time,
+      avgFill: price,
+      qty,
+      pnl: action === "CLOSE" && Number.isFinite(pnl) ? pnl : null,
+      pnlPct: null,
+      fee: Number.isFinite(fee) ? fee : null,
+    });
+  }
+
+  return explicit.concat(fillsFromExecutions(executions));
+}
+
+export function buildCustomImporter(mapping) {
+  return {
+    id: "CUSTOM_MAPPING",
+    label: `Column mapping “${mapping.label || "Custom"}”`,
+    exchange: mapping.label || "Custom",
+    kind: "fills",
+    match: () => 0,
+    parse: (rows) => parseCustomRows(rows, mapping),
+  };
+}
+
+// ---------------- saved mappings (localStorage) ----------------
+export function loadSavedMappings() {
+  const parsed = readJson(STORAGE_KEY);
+  return parsed && typeof parsed === "object" ? parsed : {};
+}
+
+export function getSavedMapping(headers) {
+  return loadSavedMappings()[headerFingerprint(headers)] || null;
+}
+
+export function saveMapping(headers, mapping) {
+  const all = loadSavedMappings();
+  all[headerFingerprint(headers)] = { ...mapping, savedAt: Date.now() };
+  writeJson(STORAGE_KEY, all);
+}
+
+export function forgetMapping(headers) {
+  const all = loadSavedMappings();
+  delete all[headerFingerprint(headers)];
+  writeJson(STORAGE_KEY, all);
+}
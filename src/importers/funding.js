@@ -0,0 +1,80 @@
+import {
+  parseNumWithUnits,
+  parseTimeBloFin,
+  parseTimeUtc,
+  pickField,
+} from "../utils";
+import { scoreHeaders } from "./shared";
+
+/**
+ * Funding history: not trades, just payments to attach to open positions.
+ * parse() -> [{ symbol, time, amount }] with amount > 0 received, < 0 paid
+ * (the sign convention Binance and Bybit use in their exports).
+ */
+
+const SYMBOL_FIELDS = ["Symbol", "Contracts", "Contract", "Underlying Asset"];
+const TIME_FIELDS = ["Time(UTC)", "Date(UTC)", "Time", "Funding Time", "Date"];
+
+function parseTime(v) {
+  return parseTimeUtc(v) || parseTimeBloFin(v);
+}
+
+function toPayment(r, amountFields) {
+  const symbol = String(pickField(r, SYMBOL_FIELDS) || "").trim();
+  const time = parseTime(pickField(r, TIME_FIELDS));
+  const amount = parseNumWithUnits(pickField(r, amountFields));
+  if (!symbol || !time || !Number.isFinite(amount)) return null;
+  return { symbol, time, amount };
+}
+
+// Dedicated funding export: one column holds the payment
+export const fundingFeeHistory = {
+  id: "FUNDING_FEE_HISTORY",
+  label: "Funding history",
+  exchange: "Funding",
+  kind: "funding",
+  match: (headers) =>
+    scoreHeaders(headers, {
+      required: [
+        SYMBOL_FIELDS,
+        TIME_FIELDS,
+        ["Funding Fee", "Funding", "Funding Amount"],
+      ],
+      optional: ["Funding Rate", "Position Size", "Asset"],
+    }),
+  parse: (rows) =>
+    rows
+      .map((r) =>
+        r ? toPayment(r, ["Funding Fee", "Funding", "Funding Amount"]) : null
+      )
+      .filter(Boolean),
+};
+
+// Wallet / transaction history: keep only the funding rows
+export const fundingTransactionHistory = {
+  id: "FUNDING_TRANSACTION_HISTORY",
+  label: "Transaction history (funding rows)",
+  exchange: "Funding",
+  kind: "funding",
+  match: (headers) =>
+    scoreHeaders(headers, {
+      required: [
+        SYMBOL_FIELDS,
+        TIME_FIELDS,
+        ["Type", "Transaction Type"],
+        ["Amount", "Change"],
+      ],
+      optional: ["Asset", "Coin"],
+    }) * 0.9, // generic layout: lose ties against specific importers
+  parse: (rows) =>
+    rows
+      .filter((r) =>
+        /FUNDING/.test(
+          String(pickField(r || {}, ["Type", "Transaction Type"]) || "")
+            .toUpperCase()
+            .replace(/[\s_]/g, "")
+        )
+      )
+      .map((r) => toPayment(r, ["Amount", "Change"]))
+      .filter(Boolean),
+};
@@ -0,0 +1,40 @@
+import { blofinOrderHistory } from "./blofin";
+import { binanceFuturesTradeHistory } from "./binanceFutures";
+import { bybitClosedPnl, bybitExecutionHistory } from "./bybit";
+import { fundingFeeHistory, fundingTransactionHistory } from "./funding";
+
+/**
+ * Trade CSV importer registry.
+ *
+ * An importer is a plain object:
+ * - id:     stable string id, kept in state
+ * - label:  human name for the "detected" badge
+ * - exchange: value put on each closed trade's `exchange`
+ * - kind:   "fills"   -> parse() returns fills for trade reconstruction
+ *           "trades"  -> parse() returns closed trades directly
+ *           "funding" -> parse() returns funding payments for open positions
+ * - match(headers) -> confidence 0..1 that this file is ours
+ * - parse(rows)    -> fills or closed trades (see kind)
+ *
+ * Adding an exchange = one new file in this folder + one line below.
+ */
+export const IMPORTERS = [
+  blofinOrderHistory,
+  binanceFuturesTradeHistory,
+  bybitClosedPnl,
+  bybitExecutionHistory,
+  fundingFeeHistory,
+  fundingTransactionHistory,
+];
+
+// Best-scoring importer for these headers, or null when nothing matches
+export function detectImporter(headers) {
+  let best = null;
+  for (const importer of IMPORTERS) {
+    const score = importer.match(headers);
+    if (score > 0 && (!best || score > best.score)) {
+      best = { importer, score };
+    }
+  }
+  return best;
+}
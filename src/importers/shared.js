@@ -0,0 +1,121 @@
+import { cleanHeader } from "../utils";
+
+/**
+ * Header signature matcher shared by all importers.
+ *
+ * `required` and `optional` are lists of column names; an entry may be an
+ * array of aliases (any one of them counts). Missing any required column
+ * scores 0, otherwise 0.6 plus up to 0.4 for the optional columns present.
+ */
+export function scoreHeaders(headers, { required = [], optional = [] }) {
+  const H = new Set(headers.map(cleanHeader));
+  const has = (x) =>
+    (Array.isArray(x) ? x : [x]).some((name) => H.has(cleanHeader(name)));
+
+  if (!required.every(has)) return 0;
+  if (optional.length === 0) return 1;
+
+  const hits = optional.filter(has).length;
+  return 0.6 + 0.4 * (hits / optional.length);
+}
+
+// Executions that only say BUY/SELL (one-way mode) get walked in time order
+// with a signed net position per symbol to tell opens from closes.
+// x: { symbol, side: BUY|SELL, positionSide: BOTH|LONG|SHORT, time, price, qty, pnl, fee, fillId }
+export function fillsFromExecutions(raw) {
+  const sorted = raw
+    .slice()
+    .sort((a, b) => a.time.getTime() - b.time.getTime());
+  const netPos = new Map(); // symbol -> signed qty (+ long, - short)
+  const fills = [];
+
+  const push = (x, action, direction, qty, pnl, fee) => {
+    fills.push({
+      symbol: x.symbol,
+      side: `${x.side} ${x.positionSide}`,
+      action,
+      direction,
+      time: x.time,
+      avgFill: x.price,
+      qty,
+      pnl: action === "CLOSE" ? pnl : null,
+      pnlPct: null,
+      fee,
+      fillId: x.fillId ?? null,
+    });
+  };
+
+  for (const x of sorted) {
+    // Hedge mode: position side is explicit
+    if (x.positionSide === "LONG" || x.positionSide === "SHORT") {
+      const opening =
+        (x.positionSide === "LONG" && x.side === "BUY") ||
+        (x.positionSide === "SHORT" && x.side === "SELL");
+      push(x, opening ? "OPEN" : "CLOSE", x.positionSide, x.qty, x.pnl, x.fee);
+      continue;
+    }
+
+    const signed = x.side === "BUY" ? x.qty : -x.qty;
+    const pos = netPos.get(x.symbol) || 0;
+
+    if (Math.abs(pos) <= 1e-12) {
+      // Flat: a realized profit means we're closing something opened before
+      // the export started; otherwise this opens a new position.
+      if (Number.isFinite(x.pnl) && x.pnl !== 0) {
+        push(
+          x,
+          "CLOSE",
+          x.side === "BUY" ? "SHORT" : "LONG",
+          x.qty,
+          x.pnl,
+          x.fee
+        );
+      } else {
+        push(
+          x,
+          "OPEN",
+          x.side === "BUY" ? "LONG" : "SHORT",
+          x.qty,
+          null,
+          x.fee
+        );
+        netPos.set(x.symbol, signed);
+      }
+      continue;
+    }
+
+    if (Math.sign(pos) === Math.sign(signed)) {
+      push(x, "OPEN", pos > 0 ? "LONG" : "SHORT", x.qty, null, x.fee);
+      netPos.set(x.symbol, pos + signed);
+      continue;
+    }
+
+    // Reducing: close up to the open size, flip with whatever is left over
+    const closeQty = Math.min(x.qty, Math.abs(pos));
+    const flipQty = x.qty - closeQty;
+    const feeShare = (q) =>
+      Number.isFinite(x.fee) ? (x.fee * q) / x.qty : null;
+
+    push(
+      x,
+      "CLOSE",
+      pos > 0 ? "LONG" : "SHORT",
+      closeQty,
+      x.pnl,
+      feeShare(closeQty)
+    );
+    if (flipQty > 1e-12) {
+      push(
+        x,
+        "OPEN",
+        pos > 0 ? "SHORT" : "LONG",
+        flipQty,
+        null,
+        feeShare(flipQty)
+      );
+    }
+    netPos.set(x.symbol, pos + signed);
+  }
+
+  return fills;
+}
@@ -0,0 +1,107 @@
+import { normalizeToBinanceSymbol } from "./candles";
+
+/**
+ * Estimated liquidation prices for leveraged (USDT-margined linear) trades.
+ *
+ * Isolated margin: the position's own margin (notional / leverage) absorbs
+ * losses until equity falls to the maintenance margin:
+ *   long  liq = entry × (1 − 1/leverage + mmr)
+ *   short liq = entry × (1 + 1/leverage − mmr)
+ * Cross margin also draws on the rest of the wallet, which the exports don't
+ * show, so it is either treated like isolated (worst case) or not checked.
+ *
+ * Maintenance-margin rates follow Binance USDⓈ-M style notional tiers;
+ * real tiers differ by exchange and change over time, so this is an estimate.
+ */
+
+// [notional up to, maintenance margin rate]
+const MAINTENANCE_TIERS = {
+  BTCUSDT: [
+    [50_000, 0.004],
+    [600_000, 0.005],
+    [3_000_000, 0.01],
+    [12_000_000, 0.025],
+    [Infinity, 0.05],
+  ],
+  ETHUSDT: [
+    [50_000, 0.005],
+    [600_000, 0.0065],
+    [3_000_000, 0.01],
+    [12_000_000, 0.02],
+    [Infinity, 0.05],
+  ],
+  default: [
+    [5_000, 0.01],
+    [25_000, 0.015],
+    [100_000, 0.02],
+    [500_000, 0.025],
+    [Infinity, 0.05],
+  ],
+};
+
+export const CROSS_MARGIN_MODES = {
+  isolated: "Treat like isolated (worst case)",
+  ignore: "Don't check cross trades",
+};
+
+export function maintenanceRate(symbol, notional) {
+  const tiers =
+    MAINTENANCE_TIERS[normalizeToBinanceSymbol(symbol)] ||
+    MAINTENANCE_TIERS.default;
+  return tiers.find(([upTo]) => notional <= upTo)[1];
+}
+
+/**
+ * Leverage from the export, or inferred from the exchange's PnL% (return on
+ * margin) against the price move: ROE% = move% × leverage.
+ * Positions carry a price-move PnL%, so only an exported leverage counts there.
+ * -> { leverage, source: "export" | "inferred" } or null
+ */
+export function tradeLeverage(t) {
+  if (Number.isFinite(t.leverage) && t.leverage >= 1) {
+    return { leverage: t.leverage, source: "export" };
+  }
+  if (t.kind === "position") return null;
+
+  const { entryPrice, exitPrice, pnlPct } = t;
+  if (!Number.isFinite(pnlPct) || !(entryPrice > 0)) return null;
+  if (!Number.isFinite(exitPrice)) return null;
+  const sign = t.direction === "SHORT" ? -1 : 1;
+  const movePct = ((sign * (exitPrice - entryPrice)) / entryPrice) * 100;
+  if (Math.abs(movePct) < 0.05) return null; // too small a move to divide by
+
+  const raw = pnlPct / movePct;
+  if (!(raw >= 1 && raw <= 200)) return null;
+  // fees nudge the ratio; exchanges use whole leverage steps
+  const whole = Math.round(raw);
+  const leverage = Math.abs(raw - whole) < 0.15 ? whole : +raw.toFixed(1);
+  return { leverage, source: "inferred" };
+}
+
+/**
+ * -> { liqPrice, leverage, leverageSource, marginMode, mmr } or null when
+ * leverage is unknown / 1x, or cross margin is set to "ignore".
+ */
+export function estimateLiquidation(t, { cross = "isolated" } = {}) {
+  const lev = tradeLeverage(t);
+  const entry = t.entryPrice;
+  if (!lev || lev.leverage <= 1 || !(entry > 0)) return null;
+
+  const marginMode = t.marginMode || "unknown";
+  if (marginMode === "cross" && cross === "ignore") return null;
+
+  const notional = entry * (Number.isFinite(t.qty) ? t.qty : 0);
+  const mmr = maintenanceRate(t.symbol, notional);
+  const buffer = 1 / lev.leverage - mmr;
+  if (buffer <= 0) return null; // maintenance above initial margin: no estimate
+  const liqPrice =
+    t.direction === "SHORT" ? entry * (1 + buffer) : entry * (1 - buffer);
+
+  return {
+    liqPrice,
+    leverage: lev.leverage,
+    leverageSource: lev.source,
+    marginMode,
+    mmr,
+  };
+}
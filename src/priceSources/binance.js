@@ -0,0 +1,66 @@
+import { normalizeToBinanceSymbol } from "../candles";
+import { fetchJsonAnyBase, pagedKlines } from "./shared";
+
+/**
+ * Binance public klines (FREE, no key).
+ * Spot falls back to the data-api mirror; futures only has fapi.
+ */
+
+const SPOT_BASES = [
+  "https://api.binance.com",
+  "https://data-api.binance.vision",
+];
+const FUTURES_BASES = ["https://fapi.binance.com"];
+
+// weight = request weight of one 1000-candle page on that API
+function binanceSource({ id, label, bases, path, weight }) {
+  return {
+    id,
+    label,
+    cacheable: true,
+    normalizeSymbol: normalizeToBinanceSymbol,
+    fetchCandles: ({
+      symbol,
+      interval,
+      startTime,
+      endTime,
+      onProgress,
+      scheduler,
+    }) =>
+      pagedKlines(
+        (page) =>
+          fetchJsonAnyBase(
+            bases,
+            path,
+            { symbol, interval, ...page },
+            { scheduler, weight }
+          ),
+        { interval, startTime, endTime, onProgress }
+      ),
+  };
+}
+
+export const binanceSpot = binanceSource({
+  id: "binance-spot",
+  label: "Binance spot",
+  bases: SPOT_BASES,
+  path: "/api/v3/klines",
+  weight: 2,
+});
+
+export const binanceFutures = binanceSource({
+  id: "binance-futures",
+  label: "Binance USDⓈ-M futures",
+  bases: FUTURES_BASES,
+  path: "/fapi/v1/klines",
+  weight: 5,
+});
+
+// Same array layout as klines; volume fields are just "0"
+export const binanceMarkPrice = binanceSource({
+  id: "binance-mark",
+  label: "Binance futures mark price",
+  bases: FUTURES_BASES,
+  path: "/fapi/v1/markPriceKlines",
+  weight: 5,
+});
@@ -0,0 +1,70 @@
+import { readJson, writeJson } from "../utils";
+import { binanceFutures, binanceMarkPrice, binanceSpot } from "./binance";
+import { buildLocalFileSource } from "./localFile";
+import { DEFAULT_CONCURRENCY } from "./scheduler";
+
+/**
+ * Candle provider registry (where hindsight gets prices from).
+ *
+ * A provider is a plain object:
+ * - id:        stable string id, kept in settings
+ * - label:     human name for selects
+ * - cacheable: true -> candles go through the IndexedDB cache (see candles.js)
+ * - normalizeSymbol(tradeSymbol) -> the provider's default symbol name
+ * - fetchCandles({ symbol, interval, startTime, endTime, onProgress, scheduler })
+ *     -> Binance-style kline arrays, sorted by open time
+ *     (network sources send requests through scheduler, see scheduler.js)
+ *
+ * Adding a source = one new file in this folder + one line below.
+ */
+export const PRICE_SOURCES = [
+  binanceSpot,
+  binanceFutures,
+  binanceMarkPrice,
+  buildLocalFileSource([]), // listed here; getPriceSource builds it with the files
+];
+
+export const DEFAULT_PRICE_SOURCE = "binance-spot";
+
+const STORAGE_KEY = "fumble.priceSources.v1";
+
+// Local files are session data, so that provider is built on demand
+export function getPriceSource(id, { candleFiles = [] } = {}) {
+  if (id === "local-file") return buildLocalFileSource(candleFiles);
+  return PRICE_SOURCES.find((x) => x.id === id) || null;
+}
+
+/**
+ * Which provider + provider symbol to use for one trade symbol.
+ * settings: { defaultSource, concurrency, overrides: { [tradeSymbol]: { source, symbol } } }
+ */
+export function resolvePriceSource(tradeSymbol, settings, ctx) {
+  const o = settings.overrides?.[tradeSymbol] || {};
+  const source =
+    getPriceSource(o.source || settings.defaultSource, ctx) ||
+    getPriceSource(DEFAULT_PRICE_SOURCE);
+  const symbol =
+    String(o.symbol || "").trim() || source.normalizeSymbol(tradeSymbol);
+  return { source, symbol };
+}
+
+// ---------------- saved settings (localStorage) ----------------
+export function loadPriceSettings() {
+  const parsed = readJson(STORAGE_KEY);
+  if (parsed && typeof parsed === "object") {
+    return {
+      defaultSource: parsed.defaultSource || DEFAULT_PRICE_SOURCE,
+      concurrency: parsed.concurrency || DEFAULT_CONCURRENCY,
+      overrides: parsed.overrides || {},
+    };
+  }
+  return {
+    defaultSource: DEFAULT_PRICE_SOURCE,
+    concurrency: DEFAULT_CONCURRENCY,
+    overrides: {},
+  };
+}
+
+export function savePriceSettings(settings) {
+  writeJson(STORAGE_KEY, settings);
+}
@@ -0,0 +1,169 @@
+import Papa from "papaparse";
+import { normalizeToBinanceSymbol } from "../candles";
+import { parseNumWithUnits, parseTimeUtc, pickField } from "../utils";
+
+/**
+ * Candles from files the user drops in (offline use, or symbols no exchange
+ * API lists). Accepted shapes:
+ * - CSV with a header row: time/open/high/low/close, optional symbol + close time
+ * - JSON: Binance kline arrays, or objects with t/o/h/l/c (long names work too),
+ *   either as a plain array or keyed by symbol: { "PEPEUSDT": [...] }
+ *
+ * Files without a symbol are filed under their name ("PEPEUSDT.csv" -> "PEPEUSDT"),
+ * so a per-symbol override can point at them.
+ * Rows are converted to Binance's raw kline layout so the rest of the app
+ * doesn't care where candles came from.
+ */
+
+const FIELD_ALIASES = {
+  symbol: ["symbol", "pair", "market", "s"],
+  time: ["open time", "opentime", "time", "timestamp", "date", "t"],
+  open: ["open", "o"],
+  high: ["high", "h"],
+  low: ["low", "l"],
+  close: ["close", "c"],
+  volume: ["volume", "vol", "v"],
+  closeTime: ["close time", "closetime"],
+};
+
+function toMs(v) {
+  if (typeof v === "number") return v < 1e11 ? v * 1000 : v;
+  return parseTimeUtc(v)?.getTime() ?? null;
+}
+
+// one CSV row / JSON object / kline array -> { symbol, kline } or null
+function toKline(r) {
+  if (Array.isArray(r)) {
+    const t = toMs(r[0]);
+    return Number.isFinite(t)
+      ? { symbol: null, kline: [t, ...r.slice(1)] }
+      : null;
+  }
+  if (!r || typeof r !== "object") return null;
+
+  const get = (key) => pickField(r, FIELD_ALIASES[key]);
+  const t = toMs(get("time"));
+  const high = parseNumWithUnits(get("high"));
+  const low = parseNumWithUnits(get("low"));
+  if (!Number.isFinite(t) || !Number.isFinite(high) || !Number.isFinite(low)) {
+    return null;
+  }
+
+  const open = parseNumWithUnits(get("open"));
+  const close = parseNumWithUnits(get("close"));
+  const volume = parseNumWithUnits(get("volume"));
+  const closeTime = toMs(get("closeTime"));
+  const symbol = get("symbol");
+  return {
+    symbol: symbol ? normalizeToBinanceSymbol(symbol) : null,
+    kline: [
+      t,
+      String(Number.isFinite(open) ? open : low),
+      String(high),
+      String(low),
+      String(Number.isFinite(close) ? close : high),
+      String(Number.isFinite(volume) ? volume : 0),
+      Number.isFinite(closeTime) ? closeTime : null,
+    ],
+  };
+}
+
+// close time missing -> one ms before the next candle (or same spacing)
+function fillCloseTimes(klines) {
+  for (let i = 0; i < klines.length; i += 1) {
+    const k = klines[i];
+    if (Number.isFinite(k[6])) continue;
+    const next = klines[i + 1]?.[0];
+    const prev = klines[i - 1]?.[0];
+    const step = Number.isFinite(next)
+      ? next - k[0]
+      : Number.isFinite(prev)
+      ? k[0] - prev
+      : 60_000;
+    k[6] = k[0] + step - 1;
+  }
+  return klines;
+}
+
+function fileSymbol(fileName) {
+  return normalizeToBinanceSymbol(
+    String(fileName || "").replace(/\.(csv|json|txt)$/i, "")
+  );
+}
+
+function rowsFromText(fileName, text) {
+  const trimmed = String(text || "").trim();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data)) return [{ symbol: null, rows: data }];
+    // { SYMBOL: [...] } or a single { symbol, candles: [...] }
+    if (Array.isArray(data.candles)) {
+      return [{ symbol: data.symbol || null, rows: data.candles }];
+    }
+    return Object.entries(data)
+      .filter(([, rows]) => Array.isArray(rows))
+      .map(([symbol, rows]) => ({ symbol, rows }));
+  }
+
+  const parsed = Papa.parse(trimmed, { header: true, skipEmptyLines: true });
+  return [{ symbol: null, rows: parsed.data || [] }];
+}
+
+let nextFileId = 1;
+
+/**
+ * -> { id, fileName, series: { SYMBOL: klines } }
+ * Throws when nothing in the file looks like a candle.
+ */
+export function parseCandleFile(fileName, text) {
+  const series = {};
+  for (const group of rowsFromText(fileName, text)) {
+    for (const r of group.rows) {
+      const hit = toKline(r);
+      if (!hit) continue;
+      const sym =
+        hit.symbol ||
+        (group.symbol && normalizeToBinanceSymbol(group.symbol)) ||
+        fileSymbol(fileName);
+      if (!series[sym]) series[sym] = [];
+      series[sym].push(hit.kline);
+    }
+  }
+
+  const symbols = Object.keys(series);
+  if (symbols.length === 0) throw new Error("no candles found");
+  for (const sym of symbols) {
+    series[sym].sort((a, b) => a[0] - b[0]);
+    fillCloseTimes(series[sym]);
+  }
+  return { id: `c${nextFileId++}`, fileName, series };
+}
+
+// Symbols available across loaded candle files
+export function candleFileSymbols(files) {
+  const set = new Set();
+  for (const f of files) for (const sym of Object.keys(f.series)) set.add(sym);
+  return Array.from(set).sort();
+}
+
+/**
+ * Provider over the files loaded this session (see parseCandleFile).
+ * The interval is ignored: the file's own resolution is used as-is.
+ */
+export function buildLocalFileSource(files) {
+  return {
+    id: "local-file",
+    label: "Candle file (CSV / JSON)",
+    cacheable: false,
+    normalizeSymbol: normalizeToBinanceSymbol,
+    fetchCandles: async ({ symbol, startTime, endTime }) => {
+      const out = [];
+      for (const f of files) {
+        for (const k of f.series[symbol] || []) {
+          if (k[6] >= startTime && k[0] <= endTime) out.push(k);
+        }
+      }
+      return out.sort((a, b) => a[0] - b[0]);
+    },
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * Shared request queue for price sources:
+ * - at most `concurrency` requests in flight
+ * - per-host request-weight budget, synced from Binance's X-MBX-USED-WEIGHT
+ *   headers (when the browser lets us read them) so we stay under the ban line
+ * - 429 / 418 / 5xx / network errors are retried with exponential backoff,
+ *   honouring Retry-After; a 429/418 pauses the whole host, not just one request
+ *
+ * One scheduler per hindsight run (see hindsight.js).
+ */
+
+export const DEFAULT_CONCURRENCY = 4;
+
+// request weight per minute, per IP (Binance docs); unknown hosts get the low one
+const WEIGHT_LIMITS = {
+  "api.binance.com": 6000,
+  "data-api.binance.vision": 6000,
+  "fapi.binance.com": 2400,
+};
+const DEFAULT_WEIGHT_LIMIT = 1200;
+const WEIGHT_HEADROOM = 0.8; // leave room for the user's other tabs / bots
+
+const MAX_RETRIES = 5;
+const BACKOFF_BASE_MS = 500;
+const MAX_WAIT_MS = 120_000; // longer bans fail the symbol instead of hanging
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function backoffMs(attempt) {
+  const exp = BACKOFF_BASE_MS * 2 ** attempt;
+  return exp + Math.random() * exp * 0.25; // jitter so retries don't stampede
+}
+
+// seconds or an HTTP date -> ms to wait, or null
+function parseRetryAfter(v) {
+  if (!v) return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function usedWeight(headers) {
+  const v =
+    headers?.get?.("x-mbx-used-weight-1m") ??
+    headers?.get?.("x-mbx-used-weight");
+  const n = Number(v);
+  return v !== null && v !== undefined && Number.isFinite(n) ? n : null;
+}
+
+async function httpError(res) {
+  let detail = "";
+  try {
+    const body = await res.json();
+    if (body?.msg) detail = `: ${body.msg}`;
+  } catch {
+    // no JSON body
+  }
+  const err = new Error(`HTTP ${res.status}${detail}`);
+  err.status = res.status;
+  return err;
+}
+
+export function createFetchScheduler({
+  concurrency = DEFAULT_CONCURRENCY,
+} = {}) {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const hosts = new Map(); // host -> { limit, minute, used, pausedUntil }
+  const queue = [];
+  let active = 0;
+
+  function hostState(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        limit: WEIGHT_LIMITS[host] ?? DEFAULT_WEIGHT_LIMIT,
+        minute: 0,
+        used: 0,
+        pausedUntil: 0,
+      });
+    }
+    return hosts.get(host);
+  }
+
+  async function waitForBudget(host, weight) {
+    for (;;) {
+      const h = hostState(host);
+      const now = Date.now();
+      if (h.pausedUntil > now) {
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(h.pausedUntil - now);
+        continue;
+      }
+      const minute = Math.floor(now / 60_000);
+      if (h.minute !== minute) {
+        h.minute = minute;
+        h.used = 0;
+      }
+      if (h.used + weight <= h.limit * WEIGHT_HEADROOM) {
+        h.used += weight;
+        return;
+      }
+      // budget spent: Binance resets weights on the minute
+      // eslint-disable-next-line no-await-in-loop
+      await sleep((minute + 1) * 60_000 - now + 50);
+    }
+  }
+
+  async function fetchWithRetry(url, weight) {
+    const host = new URL(url).host;
+
+    for (let attempt = 0; ; attempt += 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await waitForBudget(host, weight);
+
+      let res;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        res = await fetch(url);
+      } catch (e) {
+        // network / CORS failure: worth a few retries, then give up
+        if (attempt >= MAX_RETRIES) throw e;
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+
+      const used = usedWeight(res.headers);
+      if (used !== null) {
+        const h = hostState(host);
+        h.used = Math.max(h.used, used);
+      }
+
+      if (res.ok) return res.json();
+
+      const limited = res.status === 429 || res.status === 418;
+      const retryable = limited || res.status >= 500;
+      if (!retryable || attempt >= MAX_RETRIES) throw await httpError(res);
+
+      const wait = Math.max(
+        parseRetryAfter(res.headers?.get?.("retry-after")) ?? 0,
+        backoffMs(attempt)
+      );
+      if (wait > MAX_WAIT_MS) {
+        const err = await httpError(res);
+        err.message += ` (rate limited for ${Math.round(wait / 1000)}s)`;
+        throw err;
+      }
+      if (limited) {
+        const h = hostState(host);
+        h.pausedUntil = Math.max(h.pausedUntil, Date.now() + wait);
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(wait);
+    }
+  }
+
+  function release() {
+    active -= 1;
+    pump();
+  }
+
+  function pump() {
+    while (active < limit && queue.length > 0) {
+      const run = queue.shift();
+      active += 1;
+      run().finally(release);
+    }
+  }
+
+  return {
+    // -> parsed JSON; weight = Binance request weight of this call
+    fetchJson(url, { weight = 1 } = {}) {
+      return new Promise((resolve, reject) => {
+        queue.push(() => fetchWithRetry(url, weight).then(resolve, reject));
+        pump();
+      });
+    },
+  };
+}
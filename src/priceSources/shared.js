@@ -0,0 +1,82 @@
+import { INTERVALS } from "../candles";
+import { createFetchScheduler } from "./scheduler";
+
+export const PAGE_LIMIT = 1000; // candles per request (Binance max for spot)
+
+let defaultScheduler = null;
+
+// Callers outside a hindsight run share one default-sized queue
+export function getDefaultScheduler() {
+  if (!defaultScheduler) defaultScheduler = createFetchScheduler();
+  return defaultScheduler;
+}
+
+// First base that answers wins; the last error is rethrown if none do
+export async function fetchJsonAnyBase(
+  bases,
+  path,
+  params,
+  { scheduler = getDefaultScheduler(), weight = 1 } = {}
+) {
+  let lastErr = null;
+
+  for (const base of bases) {
+    try {
+      const url = new URL(`${base}${path}`);
+      for (const [k, v] of Object.entries(params)) {
+        url.searchParams.set(k, String(v));
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      return await scheduler.fetchJson(url.toString(), { weight });
+    } catch (e) {
+      lastErr = e;
+    }
+  }
+
+  throw lastErr || new Error("Failed to fetch klines");
+}
+
+/**
+ * Splits [startTime, endTime] into pages of PAGE_LIMIT candles and fetches
+ * them all at once (the scheduler decides how many actually run).
+ * fetchPage({ startTime, endTime, limit }) -> raw kline arrays.
+ * Returns candles sorted and deduplicated by open time.
+ */
+export async function pagedKlines(
+  fetchPage,
+  { interval, startTime, endTime, onProgress }
+) {
+  const intervalMs = INTERVALS.find((x) => x.label === interval)?.ms ?? 300_000;
+  const maxSpan = intervalMs * PAGE_LIMIT;
+
+  const pages = [];
+  for (let t = startTime; t < endTime; t += maxSpan) {
+    pages.push({ startTime: t, endTime: Math.min(endTime, t + maxSpan - 1) });
+  }
+
+  let finished = 0;
+  const results = await Promise.all(
+    pages.map(async (page) => {
+      const kl = await fetchPage({ ...page, limit: PAGE_LIMIT });
+      finished += 1;
+      onProgress?.({ chunk: finished, chunks: pages.length, ...page });
+      return kl;
+    })
+  );
+
+  // Deduplicate by open time
+  const seen = new Set();
+  const dedup = [];
+  for (const kl of results) {
+    for (const k of kl) {
+      const ot = k[0];
+      if (seen.has(ot)) continue;
+      seen.add(ot);
+      dedup.push(k);
+    }
+  }
+  dedup.sort((a, b) => a[0] - b[0]);
+
+  return dedup;
+}
@@ -0,0 +1,209 @@
+import React from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import ChartsPanel from "./components/ChartsPanel";
+import { analyzeTrades } from "./analytics";
+import { normalizeToBinanceSymbol } from "./candles";
+import { netPnl } from "./trades";
+import { fmtMoney, fmtPct, fmtPrice } from "./utils";
+
+/**
+ * Self-contained HTML report for trading reviews: summary stats, the SVG
+ * charts (ChartsPanel rendered to static markup) and the top-N fumbles.
+ * One file, no scripts, no external assets; prints cleanly (Ctrl+P).
+ */
+
+const esc = (s) =>
+  String(s ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+
+const fmtDateTime = (d) =>
+  d ? d.toISOString().slice(0, 16).replace("T", " ") : "—";
+
+const fmtRatio = (x) =>
+  x === Infinity ? "∞" : Number.isFinite(x) ? x.toFixed(2) : "—";
+
+function tiles(items) {
+  return items
+    .map(
+      ([label, value]) =>
+        `<div class="tile"><div class="label">${esc(
+          label
+        )}</div><div class="value">${esc(value)}</div></div>`
+    )
+    .join("");
+}
+
+function fumblesTable(rows) {
+  if (rows.length === 0) return '<p class="dim">No fumbles priced.</p>';
+  const head = [
+    "#",
+    "Symbol",
+    "Side",
+    "Closed (UTC)",
+    "Entry",
+    "Exit",
+    "Best exit",
+    "Net PnL",
+    "Could’ve PnL",
+    "Fumbled",
+  ];
+  const body = rows
+    .map((t, i) =>
+      [
+        i + 1,
+        normalizeToBinanceSymbol(t.symbol),
+        t.direction,
+        fmtDateTime(t.closeTime),
+        fmtPrice(t.entryPrice),
+        fmtPrice(t.exitPrice),
+        fmtPrice(t.bestExit),
+        fmtMoney(netPnl(t)),
+        fmtMoney(t.potentialPnl),
+        fmtMoney(t.fumbled),
+      ]
+        .map((x) => `<td>${esc(x)}</td>`)
+        .join("")
+    )
+    .map((cells) => `<tr>${cells}</tr>`)
+    .join("");
+  return `<table><thead><tr>${head
+    .map((h) => `<th>${esc(h)}</th>`)
+    .join("")}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * trades: closed trades in scope; hRows: their hindsight rows (or null)
+ * summary: App's behavioral summary; hindsight: App's hindsightSummary
+ * settings: { lookaheadHours, realismPct } of the run, shown in the header
+ */
+export function buildHtmlReport({
+  trades,
+  hRows,
+  summary,
+  hindsight,
+  settings,
+  topN = 10,
+}) {
+  const a = analyzeTrades(trades);
+  const generated = new Date();
+  const first = trades[0]?.closeTime;
+  const last = trades[trades.length - 1]?.closeTime;
+
+  const stats = [
+    [
+      "Fumble Score",
+      Number.isFinite(summary.fumbleScore)
+        ? Math.round(summary.fumbleScore)
+        : "—",
+    ],
+    ["Trades", summary.n.toLocaleString()],
+    [
+      "Win rate",
+      Number.isFinite(summary.winRate)
+        ? `${Math.round(summary.winRate * 100)}%`
+        : "—",
+    ],
+    ["Net PnL", fmtMoney(summary.netPnl)],
+    ["Fees", fmtMoney(-summary.totalFees)],
+    ["Funding", fmtMoney(summary.totalFunding)],
+    ["Profit factor", fmtRatio(a.profitFactor)],
+    ["Expectancy / trade", fmtMoney(a.expectancy)],
+    ["Max drawdown", a.maxDrawdown ? fmtMoney(-a.maxDrawdown.amount) : "—"],
+    ["Sharpe (daily)", fmtRatio(a.sharpe)],
+  ];
+  const hStats = hindsight
+    ? [
+        ["Could’ve made", fmtMoney(hindsight.totalPotential)],
+        ["Actually made", fmtMoney(hindsight.totalRealized)],
+        ["Fumbled", fmtMoney(hindsight.totalFumbled)],
+        ...(hindsight.hasEntryStats
+          ? [["Lost at entry", fmtMoney(hindsight.totalEntrySlippage)]]
+          : []),
+        ...(hindsight.totalPotential > 0
+          ? [
+              [
+                "Kept of could’ve",
+                fmtPct(
+                  (hindsight.totalRealized / hindsight.totalPotential) * 100
+                ),
+              ],
+            ]
+          : []),
+      ]
+    : [];
+
+  const top = (hRows || [])
+    .filter((t) => t.fumbled > 0)
+    .sort((x, y) => y.fumbled - x.fumbled)
+    .slice(0, topN);
+
+  const charts = renderToStaticMarkup(
+    <ChartsPanel trades={trades} hRows={hRows} />
+  );
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>fumble.com report — ${esc(fmtDateTime(generated))}</title>
+<style>
+  body { margin: 0; padding: 32px; font-family: Inter, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; color: #111827; background: #fff; }
+  h1 { margin: 0; font-size: 24px; }
+  h2 { margin: 28px 0 10px; font-size: 17px; }
+  .dim { color: #6b7280; font-size: 13px; }
+  .tiles { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 10px; }
+  .tile { border: 1px solid #e5e7eb; border-radius: 12px; padding: 10px 12px; }
+  .tile .label { font-size: 12px; color: #6b7280; font-weight: 700; }
+  .tile .value { margin-top: 4px; font-size: 17px; font-weight: 800; }
+  .charts { margin-top: 28px; color: #e5e7eb; background: #060914; border-radius: 16px; padding: 4px 14px 14px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; white-space: nowrap; }
+  th { background: #f9fafb; }
+  @media print {
+    body { padding: 0; }
+    .charts, .tiles, tr { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>🤡 fumble.com — trading review</h1>
+<div class="dim">Generated ${esc(
+    fmtDateTime(generated)
+  )} UTC · trades closed ${esc(fmtDateTime(first))} → ${esc(
+    fmtDateTime(last)
+  )}${
+    hindsight && settings
+      ? ` · best exit within ${esc(settings.lookaheadHours)} h at ${esc(
+          settings.realismPct
+        )}% realism`
+      : ""
+  }</div>
+
+<h2>Summary</h2>
+<div class="tiles">${tiles(stats)}</div>
+${
+  hStats.length > 0
+    ? `<h2>Hindsight</h2>\n<div class="tiles">${tiles(hStats)}</div>`
+    : ""
+}
+
+<div class="charts">${charts}</div>
+
+<h2>Top ${top.length} fumbles</h2>
+${
+  hRows
+    ? fumblesTable(top)
+    : '<p class="dim">Run Hindsight Mode to price fumbles.</p>'
+}
+
+<p class="dim">Estimates from public candles, not exchange-perfect. Not financial advice.</p>
+</body>
+</html>
+`;
+}
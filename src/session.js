@@ -0,0 +1,197 @@
+import {
+  applyFunding,
+  reconstructPositions,
+  reconstructTrades,
+} from "./trades";
+
+/**
+ * Multi-file session: every uploaded CSV is an "upload", the closed trades the
+ * app works with are derived from all of them.
+ *
+ * upload: {
+ *   id, fileName, account,          // account = user label, groups uploads
+ *   label, score,                   // importer label + header match score
+ *   exchange, kind: fills|trades|funding,  // from the importer
+ *   records,                        // parsed fills, closed trades or payments
+ * }
+ *
+ * Uploads with the same exchange + account are reconstructed together, so a
+ * position opened in January's export and closed in February's still pairs.
+ * Different accounts never share open lots.
+ *
+ * Funding uploads attach to the trades of the account with the same label;
+ * if no trade upload uses that label, they apply to every trade.
+ */
+
+let nextUploadId = 1;
+
+export function makeUpload({ fileName, importer, score, records }) {
+  return {
+    id: `u${nextUploadId++}`,
+    fileName,
+    account: importer.exchange,
+    label: importer.label,
+    score,
+    exchange: importer.exchange,
+    kind: importer.kind,
+    records,
+  };
+}
+
+// Uploads from a saved session get fresh ids (the counter restarts on every
+// page load, so old ids could collide). -> { uploads, idMap: old -> new }
+export function reviveUploads(saved) {
+  const idMap = new Map();
+  const uploads = saved.map((u) => {
+    const id = `u${nextUploadId++}`;
+    idMap.set(u.id, id);
+    return { ...u, id };
+  });
+  return { uploads, idMap };
+}
+
+// Overlapping exports repeat fills: prefer the exchange's own id, otherwise
+// (symbol, time, qty, price). Action/direction are part of the key because a
+// flip splits one execution into a CLOSE + OPEN that share an id.
+export function fillKey(f) {
+  const base = f.fillId
+    ? `id:${f.fillId}`
+    : `${f.symbol}|${f.time?.getTime()}|${f.qty}|${f.avgFill}`;
+  return `${base}|${f.action}|${f.direction}`;
+}
+
+function paymentKey(p) {
+  return `${p.symbol}|${p.time.getTime()}|${p.amount}`;
+}
+
+function tradeKey(t) {
+  return `${t.symbol}|${t.direction}|${t.closeTime?.getTime()}|${t.qty}|${
+    t.exitPrice
+  }`;
+}
+
+function dedupeBy(items, keyOf) {
+  const seen = new Set();
+  const out = [];
+  for (const x of items) {
+    const k = keyOf(x);
+    if (seen.has(k)) continue;
+    seen.add(k);
+    out.push(x);
+  }
+  return out;
+}
+
+const byCloseTime = (a, b) => a.closeTime.getTime() - b.closeTime.getTime();
+
+// -> { trades, positions, unmatched, openPositions, diagnostics } across all uploads
+export function mergeUploads(uploads, { method = "FIFO" } = {}) {
+  const groups = new Map(); // exchange|account -> { exchange, fills, trades }
+  const fundingByAccount = new Map(); // account -> payments
+
+  for (const u of uploads) {
+    if (u.kind === "funding") {
+      if (!fundingByAccount.has(u.account)) fundingByAccount.set(u.account, []);
+      fundingByAccount.get(u.account).push(...u.records);
+      continue;
+    }
+
+    const gKey = `${u.exchange}|${u.account}`;
+    if (!groups.has(gKey)) {
+      groups.set(gKey, { exchange: u.exchange, fills: [], trades: [] });
+    }
+    const g = groups.get(gKey);
+    const tag = { sourceId: u.id, sourceFile: u.fileName, account: u.account };
+
+    if (u.kind === "fills") {
+      for (const f of u.records) g.fills.push({ ...f, ...tag });
+    } else {
+      for (const t of u.records) g.trades.push({ ...t, ...tag });
+    }
+  }
+
+  const trades = [];
+  const positions = [];
+  const unmatched = [];
+  const openPositions = [];
+  const diagnostics = {
+    fills: 0,
+    duplicateFills: 0,
+    opens: 0,
+    closes: 0,
+    partialCloses: 0,
+    orphanedCloses: 0,
+    orphanedQty: 0,
+    fundingPayments: 0,
+    fundingAssigned: 0,
+    fundingUnassigned: 0,
+  };
+
+  for (const g of groups.values()) {
+    const fills = dedupeBy(g.fills, fillKey);
+    diagnostics.duplicateFills += g.fills.length - fills.length;
+
+    const r = reconstructTrades(fills, { exchange: g.exchange, method });
+    trades.push(...r.trades);
+    unmatched.push(...r.unmatched);
+    for (const p of r.openPositions) {
+      openPositions.push({ ...p, account: fills[0]?.account ?? null });
+    }
+    for (const k of Object.keys(r.diagnostics)) {
+      diagnostics[k] += r.diagnostics[k];
+    }
+
+    positions.push(...reconstructPositions(fills, { exchange: g.exchange }));
+
+    // closed-P&L style exports are already one row per position
+    const closed = dedupeBy(g.trades, tradeKey);
+    trades.push(...closed);
+    positions.push(...closed);
+  }
+
+  const tradeAccounts = new Set(trades.map((t) => t.account));
+  for (const [account, all] of fundingByAccount) {
+    const payments = dedupeBy(all, paymentKey);
+    const inScope = tradeAccounts.has(account)
+      ? (t) => t.account === account
+      : () => true;
+
+    const t = applyInPlace(trades, inScope, payments);
+    applyInPlace(positions, inScope, payments);
+
+    diagnostics.fundingPayments += payments.length;
+    diagnostics.fundingAssigned += t.assigned;
+    diagnostics.fundingUnassigned += t.unassigned;
+  }
+
+  return {
+    trades: trades.filter((t) => t.closeTime).sort(byCloseTime),
+    positions: positions.filter((t) => t.closeTime).sort(byCloseTime),
+    unmatched: unmatched.sort(byCloseTime),
+    openPositions,
+    diagnostics,
+  };
+}
+
+// applyFunding on the subset matching inScope, written back into list
+function applyInPlace(list, inScope, payments) {
+  const idx = [];
+  list.forEach((t, i) => inScope(t) && idx.push(i));
+  const r = applyFunding(
+    idx.map((i) => list[i]),
+    payments
+  );
+  idx.forEach((i, j) => {
+    list[i] = r.trades[j];
+  });
+  return r;
+}
+
+// Closed trades each upload contributed (after de-duplication)
+export function countTradesBySource(trades) {
+  const counts = new Map();
+  for (const t of trades) {
+    counts.set(t.sourceId, (counts.get(t.sourceId) || 0) + 1);
+  }
+  return counts;
+}
@@ -0,0 +1,122 @@
+import { dbOpener, done, request } from "./idb";
+
+/**
+ * Saved sessions (IndexedDB), so a reload doesn't lose the uploads, the
+ * settings and the computed hindsight rows. Nothing leaves the browser.
+ *
+ * - "sessions": the listing, { id, name, createdAt, updatedAt, schema,
+ *   trades, priced } — small, read for the list
+ * - "snapshots": { id, schema, ...snapshot } — the heavy part, read on open
+ *
+ * snapshot: { uploads, hiddenSources, lotMethod, viewMode, settings,
+ *             hData, lastRun } (see App.sessionSnapshot)
+ *
+ * `schema` is the version of the snapshot / trade model. When the model
+ * changes, bump SESSION_SCHEMA and add a step to MIGRATIONS; older snapshots
+ * are upgraded one version at a time when opened.
+ *
+ * Like candleCache.js, everything resolves to null / no-ops without
+ * IndexedDB; the UI then simply hides saved sessions.
+ */
+
+const DB_NAME = "fumble-sessions";
+const DB_VERSION = 1;
+export const SESSION_SCHEMA = 1;
+
+// MIGRATIONS[n]: snapshot at schema n -> snapshot at schema n + 1
+const MIGRATIONS = {};
+
+const openDb = dbOpener(DB_NAME, DB_VERSION, {
+  sessions: { keyPath: "id" },
+  snapshots: { keyPath: "id" },
+});
+
+const newId = () =>
+  `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+// snapshot at any older schema -> current schema; throws if it can't be read
+export function migrateSnapshot(snapshot) {
+  let s = snapshot;
+  if (s.schema > SESSION_SCHEMA) {
+    throw new Error("saved by a newer version of the app");
+  }
+  while (s.schema < SESSION_SCHEMA) {
+    const step = MIGRATIONS[s.schema];
+    if (!step) throw new Error(`no upgrade path from schema ${s.schema}`);
+    s = { ...step(s), schema: s.schema + 1 };
+  }
+  return s;
+}
+
+// -> [{ id, name, createdAt, updatedAt, schema, trades, priced }], newest
+// first, or null without IndexedDB
+export async function listSessions() {
+  const db = await openDb();
+  if (!db) return null;
+  const tx = db.transaction("sessions", "readonly");
+  const rows = await request(tx.objectStore("sessions").getAll());
+  return rows.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Saves a snapshot; with an id the existing session is overwritten (name and
+ * createdAt kept unless a name is given). -> id
+ * summary: { trades, priced } for the listing
+ */
+export async function saveSession({ id, name, snapshot, summary }) {
+  const db = await openDb();
+  if (!db) throw new Error("this browser has no IndexedDB");
+
+  const tx = db.transaction(["sessions", "snapshots"], "readwrite");
+  const sessions = tx.objectStore("sessions");
+  const prev = id ? await request(sessions.get(id)) : null;
+  const now = Date.now();
+  const row = {
+    id: prev?.id || newId(),
+    name: name || prev?.name || "Untitled session",
+    createdAt: prev?.createdAt || now,
+    updatedAt: now,
+    schema: SESSION_SCHEMA,
+    ...summary,
+  };
+  sessions.put(row);
+  tx.objectStore("snapshots").put({
+    ...snapshot,
+    id: row.id,
+    schema: SESSION_SCHEMA,
+  });
+  await done(tx);
+  return row.id;
+}
+
+// -> migrated snapshot (with its listing row as `session`)
+export async function loadSession(id) {
+  const db = await openDb();
+  if (!db) throw new Error("this browser has no IndexedDB");
+  const tx = db.transaction(["sessions", "snapshots"], "readonly");
+  const [session, snapshot] = await Promise.all([
+    request(tx.objectStore("sessions").get(id)),
+    request(tx.objectStore("snapshots").get(id)),
+  ]);
+  if (!session || !snapshot) throw new Error("session not found");
+  return { ...migrateSnapshot(snapshot), session };
+}
+
+export async function renameSession(id, name) {
+  const db = await openDb();
+  if (!db) return;
+  const tx = db.transaction("sessions", "readwrite");
+  const store = tx.objectStore("sessions");
+  const row = await request(store.get(id));
+  if (row) store.put({ ...row, name });
+  await done(tx);
+}
+
+export async function deleteSession(id) {
+  const db = await openDb();
+  if (!db) return;
+  const tx = db.transaction(["sessions", "snapshots"], "readwrite");
+  tx.objectStore("sessions").delete(id);
+  tx.objectStore("snapshots").delete(id);
+  await done(tx);
+}
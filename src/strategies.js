@@ -0,0 +1,207 @@
+import { candleIndexAt } from "./candles";
+import { readJson, writeJson } from "./utils";
+
+/**
+ * Rule-based exit strategies, replayed candle by candle from a trade's entry.
+ *
+ * rules (all optional, % = move from entry in the trade's favor):
+ *   tpPct          take the rest of the position at +tp%
+ *   slPct          stop the rest at -sl%
+ *   trailPct       stop trails the best price seen so far by trail%
+ *   breakevenPct   once +be% has been seen, the stop moves up to entry
+ *   timeStopHours  exit at the close of the last candle before entry + N h
+ *   partials       [{ atPct, fraction }]: scale out fraction (0-1) at +atPct%
+ *
+ * A candle only has high / low, not the order they happened in, so the
+ * replay is pessimistic: the stop is checked before any target in the same
+ * candle, and the trail / breakeven only move on the next candle. Gaps
+ * through a level fill at the candle open. Whatever is still open at the
+ * end of the data (or the time stop) goes at that candle's close.
+ */
+
+const STORAGE_KEY = "fumble.strategies.v1";
+
+// fumble basis that keeps the old "best price in the window" measure
+export const BEST_PRICE_BASIS = "best";
+
+export const EXIT_REASONS = {
+  tp: "take profit",
+  sl: "stop loss",
+  trail: "trailing stop",
+  breakeven: "breakeven stop",
+  time: "time stop",
+  end: "end of window",
+  liquidated: "liquidated",
+};
+
+export const DEFAULT_STRATEGIES = [
+  { id: "s1", name: "TP 3% / SL 1.5%", rules: { tpPct: 3, slPct: 1.5 } },
+  { id: "s2", name: "Trail 2%", rules: { trailPct: 2 } },
+  {
+    id: "s3",
+    name: "SL 2%, BE at 1%, TP 4%",
+    rules: { slPct: 2, breakevenPct: 1, tpPct: 4 },
+  },
+  {
+    id: "s4",
+    name: "Scale out 1/2/4%",
+    rules: {
+      slPct: 2,
+      partials: [
+        { atPct: 1, fraction: 1 / 3 },
+        { atPct: 2, fraction: 1 / 3 },
+      ],
+      tpPct: 4,
+    },
+  },
+  { id: "s5", name: "Time stop 4h", rules: { timeStopHours: 4 } },
+];
+
+const positive = (v) => Number.isFinite(v) && v > 0;
+
+/**
+ * Replays one position over indexed candles (see indexKlines).
+ * window: { startMs, endMs, entryPrice, direction }
+ * -> { exitPct, exitPrice, exitTime, reason, fills: [{ t, pct, fraction, reason }] }
+ *    exitPct / exitPrice are size-weighted over all fills; null without candles.
+ */
+export function simulateExit(
+  series,
+  { startMs, endMs, entryPrice, direction },
+  rules = {}
+) {
+  if (!series || !positive(entryPrice)) return null;
+  const sign = direction === "SHORT" ? -1 : 1;
+  const pct = (price) => ((sign * (price - entryPrice)) / entryPrice) * 100;
+
+  const stopAt = positive(rules.timeStopHours)
+    ? Math.min(endMs, startMs + rules.timeStopHours * 3600_000)
+    : endMs;
+  const partials = (rules.partials || [])
+    .filter((p) => positive(p.atPct) && positive(p.fraction))
+    .slice()
+    .sort((a, b) => a.atPct - b.atPct);
+
+  const fills = [];
+  let remaining = 1;
+  let peak = -Infinity; // best move seen on earlier candles
+  let nextPartial = 0;
+  let last = -1;
+
+  const fill = (k, at, fraction, reason) => {
+    const f = Math.min(fraction, remaining);
+    if (f <= 0) return;
+    fills.push({ t: series.t[k], pct: at, fraction: f, reason });
+    remaining -= f;
+  };
+
+  for (
+    let k = candleIndexAt(series, startMs);
+    k < series.length && series.t[k] < stopAt && remaining > 1e-9;
+    k += 1
+  ) {
+    const open = pct(series.open[k]);
+    const best = pct(sign > 0 ? series.high[k] : series.low[k]);
+    const worst = pct(sign > 0 ? series.low[k] : series.high[k]);
+    if (!Number.isFinite(best) || !Number.isFinite(worst)) continue;
+    last = k;
+
+    // tightest stop in force for this candle
+    let stop = -Infinity;
+    let stopReason = null;
+    const tighten = (level, reason) => {
+      if (level > stop) {
+        stop = level;
+        stopReason = reason;
+      }
+    };
+    if (positive(rules.slPct)) tighten(-rules.slPct, "sl");
+    if (positive(rules.breakevenPct) && peak >= rules.breakevenPct) {
+      tighten(0, "breakeven");
+    }
+    if (positive(rules.trailPct) && peak > -Infinity) {
+      tighten(peak - rules.trailPct, "trail");
+    }
+
+    if (worst <= stop) {
+      fill(
+        k,
+        Number.isFinite(open) ? Math.min(open, stop) : stop,
+        1,
+        stopReason
+      );
+      break;
+    }
+
+    while (
+      nextPartial < partials.length &&
+      best >= partials[nextPartial].atPct
+    ) {
+      const p = partials[nextPartial];
+      fill(k, Math.max(open, p.atPct), p.fraction, "tp");
+      nextPartial += 1;
+    }
+    if (positive(rules.tpPct) && best >= rules.tpPct) {
+      fill(k, Math.max(open, rules.tpPct), 1, "tp");
+    }
+
+    peak = Math.max(peak, best);
+  }
+
+  if (last < 0) return null;
+  if (remaining > 1e-9) {
+    // time stop only if there were candles past it, else the data just ended
+    const timedOut =
+      stopAt < endMs &&
+      last + 1 < series.length &&
+      series.t[last + 1] >= stopAt;
+    fill(last, pct(series.close[last]), 1, timedOut ? "time" : "end");
+  }
+
+  const exitPct = fills.reduce((s, f) => s + f.pct * f.fraction, 0);
+  const final = fills[fills.length - 1];
+  return {
+    exitPct,
+    exitPrice: entryPrice * (1 + (sign * exitPct) / 100),
+    exitTime: final.t,
+    reason: final.reason,
+    fills,
+  };
+}
+
+// "1:33, 2:33" (at %: % of position) <-> [{ atPct: 1, fraction: 0.33 }, ...]
+export function parsePartials(text) {
+  return String(text || "")
+    .split(",")
+    .map((part) => part.split(":").map((x) => Number(x.trim())))
+    .filter(([at, size]) => positive(at) && positive(size))
+    .map(([atPct, size]) => ({ atPct, fraction: Math.min(size, 100) / 100 }));
+}
+
+export function formatPartials(partials) {
+  return (partials || [])
+    .map((p) => `${p.atPct}:${Math.round(p.fraction * 1000) / 10}`)
+    .join(", ");
+}
+
+// ---------------- saved settings (localStorage) ----------------
+// { enabled, basis: BEST_PRICE_BASIS | strategy id, strategies }
+export function loadStrategySettings() {
+  const parsed = readJson(STORAGE_KEY);
+  if (parsed && Array.isArray(parsed.strategies)) {
+    return {
+      enabled: parsed.enabled !== false,
+      basis: parsed.basis || BEST_PRICE_BASIS,
+      strategies: parsed.strategies,
+    };
+  }
+  return {
+    enabled: true,
+    basis: BEST_PRICE_BASIS,
+    strategies: DEFAULT_STRATEGIES,
+  };
+}
+
+export function saveStrategySettings(settings) {
+  writeJson(STORAGE_KEY, settings);
+}
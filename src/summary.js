@@ -0,0 +1,71 @@
+import { DEFAULT_WEIGHTS, scoreFumbles } from "./fumbleScore";
+import { mean } from "./utils";
+
+/**
+ * Headline numbers for a set of closed trades: the behavioral summary behind
+ * the Fumble Score, and the hindsight totals of priced rows. Used by the
+ * dashboard and by period comparison.
+ */
+
+// ---------------- Summary (behavioral) ----------------
+/**
+ * hRows: the hindsight rows of these trades (or null) for the components of
+ * the Fumble Score that need them; weights, revengeMins: see fumbleScore.js.
+ * scoreParts explains the score.
+ */
+export function summarizeClosedTrades(
+  trades,
+  { hRows = null, weights = DEFAULT_WEIGHTS, revengeMins } = {}
+) {
+  const n = trades.length;
+  const wins = trades.filter((t) => Number.isFinite(t.pnl) && t.pnl > 0);
+  const losses = trades.filter((t) => Number.isFinite(t.pnl) && t.pnl < 0);
+
+  const winRate = n > 0 ? wins.length / n : NaN;
+  const totalPnl = trades
+    .map((t) => t.pnl)
+    .filter((x) => Number.isFinite(x))
+    .reduce((a, b) => a + b, 0);
+  const totalFees = trades.reduce((s, t) => s + (t.fees || 0), 0);
+  const totalFunding = trades.reduce((s, t) => s + (t.funding || 0), 0);
+  const netPnl = totalPnl - totalFees + totalFunding;
+
+  const avgWinHold = mean(wins.map((t) => t.holdMins));
+  const avgLossHold = mean(losses.map((t) => t.holdMins));
+  const paperhands =
+    Number.isFinite(avgWinHold) &&
+    Number.isFinite(avgLossHold) &&
+    avgLossHold > 0
+      ? avgWinHold / avgLossHold
+      : NaN;
+
+  const model = scoreFumbles(
+    { trades, hRows, paperhands, revengeMins },
+    weights
+  );
+
+  return {
+    n,
+    winRate,
+    totalPnl,
+    totalFees,
+    totalFunding,
+    netPnl,
+    paperhands,
+    fumbleScore: model.score,
+    scoreParts: model.parts,
+  };
+}
+
+// ---------------- Hindsight totals ----------------
+// sums over priced rows; unpriced rows count as 0
+export function hindsightTotals(rows) {
+  const total = (key) =>
+    rows.reduce((s, x) => s + (Number.isFinite(x[key]) ? x[key] : 0), 0);
+  return {
+    priced: rows.filter((x) => Number.isFinite(x.fumbled)).length,
+    totalFumbled: total("fumbled"),
+    totalPotential: total("potentialPnl"),
+    totalRealized: total("realizedPnl"),
+  };
+}
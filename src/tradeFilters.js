@@ -0,0 +1,78 @@
+import { marketKey, netPnl } from "./trades";
+import { DAY_MS } from "./utils";
+
+/**
+ * Trade-table filters, shared by the table and the KPIs that can be scoped to
+ * "just what the table shows". Pure: trades in, matching trades out.
+ *
+ * Dates are UTC days ("YYYY-MM-DD", inclusive) matched against close time;
+ * win / loss is by net PnL, so break-even trades are neither.
+ */
+
+export const EMPTY_FILTERS = {
+  search: "",
+  symbol: "", // marketKey, "" = any
+  direction: "", // LONG | SHORT | ""
+  outcome: "", // win | loss | ""
+  from: "",
+  to: "",
+};
+
+export const OUTCOMES = { win: "Winners", loss: "Losers" };
+
+export function hasActiveFilters(filters) {
+  return Object.keys(EMPTY_FILTERS).some(
+    (k) => String(filters[k] || "").trim() !== ""
+  );
+}
+
+// everything the free-text search looks at
+function searchText(t) {
+  return [
+    t.exchange,
+    t.account,
+    t.symbol,
+    marketKey(t.symbol),
+    t.direction,
+    t.sourceFile,
+    t.marginMode,
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+}
+
+// -> (trade) => boolean
+export function tradeMatcher(filters) {
+  const words = String(filters.search || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  const fromMs = filters.from ? Date.parse(filters.from) : NaN;
+  const toMs = filters.to ? Date.parse(filters.to) + DAY_MS : NaN;
+
+  return (t) => {
+    if (filters.symbol && marketKey(t.symbol) !== filters.symbol) return false;
+    if (filters.direction && t.direction !== filters.direction) return false;
+    if (filters.outcome) {
+      const p = netPnl(t);
+      if (filters.outcome === "win" && !(p > 0)) return false;
+      if (filters.outcome === "loss" && !(p < 0)) return false;
+    }
+    if (Number.isFinite(fromMs) || Number.isFinite(toMs)) {
+      const ms = t.closeTime ? t.closeTime.getTime() : NaN;
+      if (!Number.isFinite(ms)) return false;
+      if (ms < fromMs || ms >= toMs) return false;
+    }
+    if (words.length > 0) {
+      const text = searchText(t);
+      if (!words.every((w) => text.includes(w))) return false;
+    }
+    return true;
+  };
+}
+
+export function filterTrades(trades, filters) {
+  if (!hasActiveFilters(filters)) return trades;
+  return trades.filter(tradeMatcher(filters));
+}
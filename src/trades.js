@@ -0,0 +1,406 @@
+import { extent, minsBetween } from "./utils";
+
+/**
+ * Position reconstruction: exchange-agnostic fills -> closed trades.
+ *
+ * fill: { symbol, action: OPEN|CLOSE, direction: LONG|SHORT, time, avgFill, qty, pnl, fee }
+ *       (+ marginMode / leverage when the export has them, copied to the trade)
+ *
+ * Fees are carried as a cost (positive = paid, negative = a maker rebate;
+ * importers normalize the sign): a trade's `fees` is its closing
+ * fee share plus the opening fees of the lots it consumed, pro rata by size.
+ * `funding` starts at 0 and is filled in by applyFunding().
+ *
+ * Each CLOSE is matched against the open lots of the same symbol + direction.
+ * Only the matched part becomes a closed trade; whatever part of a close has
+ * no open lot behind it becomes an "unmatched close" record, and lots still
+ * open at the end of the file are reported as open positions.
+ * Provenance (sourceId / sourceFile / account) is copied from the closing fill.
+ * Like positions, each trade lists its legs: entries (the lot slices it
+ * consumed) and exits (the close), as { time, price, qty, fee }.
+ */
+
+export const LOT_METHODS = [
+  { id: "FIFO", label: "FIFO (oldest lot first)" },
+  { id: "LIFO", label: "LIFO (newest lot first)" },
+  { id: "AVG", label: "Average cost" },
+];
+
+const EPS = 1e-12;
+
+function feeCost(f) {
+  return Number.isFinite(f.fee) ? f.fee : 0;
+}
+
+// Lot books: FIFO/LIFO keep every open lot, AVG pools them into one lot
+function makeBook(method) {
+  const lots = [];
+  return {
+    lots,
+    add(lot) {
+      if (method !== "AVG" || lots.length === 0) {
+        lots.push({ ...lot });
+        return;
+      }
+      const pool = lots[0];
+      const qty = pool.qty + lot.qty;
+      pool.price = (pool.price * pool.qty + lot.price * lot.qty) / qty;
+      // size-weighted open time keeps hold time meaningful for the pool
+      pool.timeMs = (pool.timeMs * pool.qty + lot.timeMs * lot.qty) / qty;
+      pool.fee += lot.fee;
+      pool.qty = qty;
+    },
+    // take up to qty, returns the slices taken ({ price, timeMs, qty, fee })
+    take(qty) {
+      const taken = [];
+      let remaining = qty;
+      while (remaining > EPS && lots.length > 0) {
+        const idx = method === "LIFO" ? lots.length - 1 : 0;
+        const lot = lots[idx];
+        const q = Math.min(remaining, lot.qty);
+        const fee = (lot.fee * q) / lot.qty; // opening fee follows the size
+        taken.push({ price: lot.price, timeMs: lot.timeMs, qty: q, fee });
+        lot.fee -= fee;
+        lot.qty -= q;
+        remaining -= q;
+        if (lot.qty <= EPS) lots.splice(idx, 1);
+      }
+      return taken;
+    },
+  };
+}
+
+function provenance(f) {
+  return {
+    sourceId: f.sourceId ?? null,
+    sourceFile: f.sourceFile ?? null,
+    account: f.account ?? null,
+  };
+}
+
+export function reconstructTrades(fills, { exchange, method = "FIFO" } = {}) {
+  const books = new Map(); // symbol|direction -> lot book
+  const getBook = (f) => {
+    const key = `${f.symbol}|${f.direction}`;
+    if (!books.has(key)) {
+      books.set(key, {
+        symbol: f.symbol,
+        direction: f.direction,
+        book: makeBook(method),
+      });
+    }
+    return books.get(key).book;
+  };
+
+  const sorted = fills
+    .slice()
+    .sort((a, b) => a.time.getTime() - b.time.getTime());
+
+  const trades = [];
+  const unmatched = [];
+  const diagnostics = {
+    fills: sorted.length,
+    opens: 0,
+    closes: 0,
+    partialCloses: 0,
+    orphanedCloses: 0,
+    orphanedQty: 0,
+  };
+
+  for (const f of sorted) {
+    const book = getBook(f);
+
+    if (f.action === "OPEN") {
+      diagnostics.opens += 1;
+      book.add({
+        price: f.avgFill,
+        timeMs: f.time.getTime(),
+        qty: f.qty,
+        fee: feeCost(f),
+      });
+      continue;
+    }
+
+    if (f.action !== "CLOSE") continue;
+    diagnostics.closes += 1;
+
+    const taken = book.take(f.qty);
+    const matchedQty = taken.reduce((s, x) => s + x.qty, 0);
+    const unmatchedQty = Math.max(0, f.qty - matchedQty);
+    const exitPrice = f.avgFill;
+
+    // The exchange reports PnL and fee for the whole close: split by quantity
+    const share = (q) =>
+      Number.isFinite(f.pnl) && f.qty > 0 ? (f.pnl * q) / f.qty : NaN;
+    const closeFeeShare = (q) => (f.qty > 0 ? (feeCost(f) * q) / f.qty : 0);
+
+    if (matchedQty > EPS) {
+      const entryPrice =
+        taken.reduce((s, x) => s + x.price * x.qty, 0) / matchedQty;
+      const entryTime = new Date(
+        taken.reduce((s, x) => s + x.timeMs * x.qty, 0) / matchedQty
+      );
+      const firstEntryTime = new Date(extent(taken.map((x) => x.timeMs))[0]);
+      const holdMins = minsBetween(entryTime, f.time);
+      const openFee = taken.reduce((s, x) => s + x.fee, 0);
+      const closeFee = closeFeeShare(matchedQty);
+
+      // Execution-only exports (Bybit) carry no realized PnL: estimate it gross
+      let pnl = share(matchedQty);
+      if (!Number.isFinite(pnl)) {
+        pnl =
+          f.direction === "SHORT"
+            ? (entryPrice - exitPrice) * matchedQty
+            : (exitPrice - entryPrice) * matchedQty;
+      }
+
+      trades.push({
+        exchange,
+        symbol: f.symbol,
+        direction: f.direction,
+        entryPrice: Number.isFinite(entryPrice) ? entryPrice : null,
+        exitPrice: Number.isFinite(exitPrice) ? exitPrice : null,
+        qty: matchedQty,
+        pnl: Number.isFinite(pnl) ? pnl : null,
+        pnlPct: Number.isFinite(f.pnlPct) ? f.pnlPct : null,
+        openFee,
+        closeFee,
+        fees: openFee + closeFee,
+        funding: 0,
+        holdMins: Number.isFinite(holdMins) ? holdMins : null,
+        entryTime,
+        firstEntryTime,
+        closeTime: f.time,
+        marginMode: f.marginMode ?? null,
+        leverage: f.leverage ?? null,
+        entries: taken.map((x) => ({
+          time: new Date(x.timeMs),
+          price: x.price,
+          qty: x.qty,
+          fee: x.fee,
+        })),
+        exits: [
+          { time: f.time, price: exitPrice, qty: matchedQty, fee: closeFee },
+        ],
+        ...provenance(f),
+        note:
+          unmatchedQty > EPS
+            ? `Only ${+matchedQty.toPrecision(8)} of ${
+                f.qty
+              } matched an open (CSV may be partial).`
+            : null,
+      });
+    }
+
+    if (unmatchedQty > EPS) {
+      if (matchedQty > EPS) diagnostics.partialCloses += 1;
+      else diagnostics.orphanedCloses += 1;
+      diagnostics.orphanedQty += unmatchedQty;
+
+      const pnl = share(unmatchedQty);
+      unmatched.push({
+        exchange,
+        symbol: f.symbol,
+        direction: f.direction,
+        exitPrice: Number.isFinite(exitPrice) ? exitPrice : null,
+        qty: unmatchedQty,
+        closeQty: f.qty,
+        pnl: Number.isFinite(pnl) ? pnl : null,
+        fees: closeFeeShare(unmatchedQty),
+        closeTime: f.time,
+        ...provenance(f),
+      });
+    }
+  }
+
+  const openPositions = [];
+  for (const { symbol, direction, book } of books.values()) {
+    const qty = book.lots.reduce((s, x) => s + x.qty, 0);
+    if (qty <= EPS) continue;
+    openPositions.push({
+      exchange,
+      symbol,
+      direction,
+      qty,
+      avgEntry: book.lots.reduce((s, x) => s + x.price * x.qty, 0) / qty,
+      firstEntryTime: new Date(extent(book.lots.map((x) => x.timeMs))[0]),
+      lots: book.lots.length,
+    });
+  }
+
+  return { trades, unmatched, openPositions, diagnostics };
+}
+
+/**
+ * Position-level view: one record per flat -> flat run of a symbol + direction,
+ * so scaling out in four pieces is one trade, not four.
+ * Same shape as a closed trade (so summary/hindsight/table just work) plus
+ * entries/exits (the fills), peakSize and kind: "position".
+ * Closes with nothing open are skipped here (they show up as unmatched).
+ */
+export function reconstructPositions(fills, { exchange } = {}) {
+  const open = new Map(); // symbol|direction -> running position
+
+  const sorted = fills
+    .slice()
+    .sort((a, b) => a.time.getTime() - b.time.getTime());
+
+  const vwap = (legs) => {
+    const q = legs.reduce((s, x) => s + x.qty, 0);
+    return q > 0 ? legs.reduce((s, x) => s + x.price * x.qty, 0) / q : NaN;
+  };
+
+  const positions = [];
+
+  for (const f of sorted) {
+    const key = `${f.symbol}|${f.direction}`;
+    let pos = open.get(key);
+
+    if (f.action === "OPEN") {
+      if (!pos) {
+        pos = { size: 0, peakSize: 0, entries: [], exits: [], pnl: 0 };
+        open.set(key, pos);
+      }
+      pos.entries.push({
+        time: f.time,
+        price: f.avgFill,
+        qty: f.qty,
+        fee: feeCost(f),
+      });
+      pos.size += f.qty;
+      pos.peakSize = Math.max(pos.peakSize, pos.size);
+      continue;
+    }
+
+    if (f.action !== "CLOSE" || !pos) continue;
+
+    const qty = Math.min(f.qty, pos.size);
+    if (qty <= EPS) continue;
+    const legPnl = Number.isFinite(f.pnl) ? (f.pnl * qty) / f.qty : NaN;
+    const legFee = (feeCost(f) * qty) / f.qty;
+    pos.exits.push({
+      time: f.time,
+      price: f.avgFill,
+      qty,
+      pnl: legPnl,
+      fee: legFee,
+    });
+    pos.size -= qty;
+
+    if (pos.size > EPS) continue;
+
+    // back to flat: emit the position
+    open.delete(key);
+    const entryPrice = vwap(pos.entries);
+    const exitPrice = vwap(pos.exits);
+    const exitedQty = pos.exits.reduce((s, x) => s + x.qty, 0);
+    const entryTime = pos.entries[0].time;
+
+    // missing exchange PnL (execution-only exports): estimate per leg, gross
+    const pnl = pos.exits.reduce((s, x) => {
+      if (Number.isFinite(x.pnl)) return s + x.pnl;
+      const move =
+        f.direction === "SHORT" ? entryPrice - x.price : x.price - entryPrice;
+      return s + move * x.qty;
+    }, 0);
+
+    const holdMins = minsBetween(entryTime, f.time);
+    const openFee = pos.entries.reduce((s, x) => s + x.fee, 0);
+    const closeFee = pos.exits.reduce((s, x) => s + x.fee, 0);
+    const pnlPct = Number.isFinite(entryPrice)
+      ? ((exitPrice - entryPrice) / entryPrice) *
+        100 *
+        (f.direction === "SHORT" ? -1 : 1)
+      : NaN;
+
+    positions.push({
+      kind: "position",
+      exchange,
+      symbol: f.symbol,
+      direction: f.direction,
+      entryPrice: Number.isFinite(entryPrice) ? entryPrice : null,
+      exitPrice: Number.isFinite(exitPrice) ? exitPrice : null,
+      qty: exitedQty,
+      peakSize: pos.peakSize,
+      pnl: Number.isFinite(pnl) ? pnl : null,
+      pnlPct: Number.isFinite(pnlPct) ? pnlPct : null,
+      openFee,
+      closeFee,
+      fees: openFee + closeFee,
+      funding: 0,
+      holdMins: Number.isFinite(holdMins) ? holdMins : null,
+      entryTime,
+      firstEntryTime: entryTime,
+      closeTime: f.time,
+      marginMode: f.marginMode ?? null,
+      leverage: f.leverage ?? null,
+      entries: pos.entries,
+      exits: pos.exits,
+      ...provenance(f),
+      note: null,
+    });
+  }
+
+  return positions;
+}
+
+// "BTC-USDT", "btc/usdt", "BTCUSDT" and "BTC-USDT-SWAP" are the same market
+export function marketKey(symbol) {
+  return String(symbol || "")
+    .toUpperCase()
+    .replace(/[-_/ ]?(SWAP|PERP)$/, "")
+    .replace(/[-_/ ]/g, "");
+}
+
+/**
+ * Funding payments -> the trades that were open when they were charged.
+ * payment: { symbol, time, amount }  (amount > 0 received, < 0 paid)
+ *
+ * A payment is split across every trade of that market open at that moment
+ * (first entry <= time <= close), pro rata by trade size.
+ * Returns { trades, assigned, unassigned } (amounts are sums).
+ */
+export function applyFunding(trades, payments) {
+  const funding = trades.map(() => 0);
+  const byMarket = new Map();
+  trades.forEach((t, i) => {
+    const k = marketKey(t.symbol);
+    if (!byMarket.has(k)) byMarket.set(k, []);
+    byMarket.get(k).push(i);
+  });
+
+  let assigned = 0;
+  let unassigned = 0;
+
+  for (const p of payments) {
+    const ms = p.time.getTime();
+    const open = (byMarket.get(marketKey(p.symbol)) || []).filter((i) => {
+      const t = trades[i];
+      const from = (t.firstEntryTime || t.entryTime)?.getTime();
+      return Number.isFinite(from) && from <= ms && ms <= t.closeTime.getTime();
+    });
+
+    const size = open.reduce((s, i) => s + (trades[i].qty || 0), 0);
+    if (open.length === 0 || size <= 0) {
+      unassigned += p.amount;
+      continue;
+    }
+
+    for (const i of open) funding[i] += (p.amount * trades[i].qty) / size;
+    assigned += p.amount;
+  }
+
+  return {
+    trades: trades.map((t, i) =>
+      funding[i] !== 0 ? { ...t, funding: (t.funding || 0) + funding[i] } : t
+    ),
+    assigned,
+    unassigned,
+  };
+}
+
+// realized after costs: gross pnl - fees + funding
+export function netPnl(t) {
+  if (!Number.isFinite(t.pnl)) return null;
+  return t.pnl - (t.fees || 0) + (t.funding || 0);
+}
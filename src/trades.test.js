@@ -0,0 +1,253 @@
+import { fillsFromExecutions } from "./importers/shared";
+import { reconstructPositions, reconstructTrades } from "./trades";
+
+const T0 = Date.parse("2024-01-01T00:00Z");
+const at = (mins) => new Date(T0 + mins * 60_000);
+
+// BTCUSDT LONG fill at T0 + mins; pnl / fee / direction / symbol via extra
+const fill = (action, mins, price, qty, extra = {}) => ({
+  symbol: "BTCUSDT",
+  direction: "LONG",
+  action,
+  time: at(mins),
+  avgFill: price,
+  qty,
+  pnl: null,
+  fee: 0,
+  ...extra,
+});
+const open = (...args) => fill("OPEN", ...args);
+const close = (...args) => fill("CLOSE", ...args);
+
+// two lots (1 @ 100, then 1 @ 110), half of it closed at 120
+const twoLots = [open(0, 100, 1), open(10, 110, 1), close(20, 120, 1)];
+
+describe("reconstructTrades lot matching", () => {
+  test("FIFO closes the oldest lot", () => {
+    const { trades, openPositions } = reconstructTrades(twoLots);
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({
+      entryPrice: 100,
+      exitPrice: 120,
+      qty: 1,
+      pnl: 20, // no exchange PnL: estimated gross
+      holdMins: 20,
+      entryTime: at(0),
+      closeTime: at(20),
+    });
+    expect(openPositions).toEqual([
+      expect.objectContaining({
+        qty: 1,
+        avgEntry: 110,
+        firstEntryTime: at(10),
+      }),
+    ]);
+  });
+
+  test("LIFO closes the newest lot", () => {
+    const { trades, openPositions } = reconstructTrades(twoLots, {
+      method: "LIFO",
+    });
+    expect(trades[0]).toMatchObject({ entryPrice: 110, holdMins: 10 });
+    expect(openPositions[0]).toMatchObject({ qty: 1, avgEntry: 100 });
+  });
+
+  test("AVG pools the lots at average price and size-weighted time", () => {
+    const { trades, openPositions } = reconstructTrades(twoLots, {
+      method: "AVG",
+    });
+    expect(trades[0]).toMatchObject({
+      entryPrice: 105,
+      pnl: 15,
+      entryTime: at(5),
+    });
+    expect(openPositions[0]).toMatchObject({ qty: 1, avgEntry: 105, lots: 1 });
+  });
+
+  test("a close spanning lots takes them in order", () => {
+    const { trades, openPositions } = reconstructTrades([
+      open(0, 100, 1),
+      open(10, 110, 1),
+      close(30, 120, 2),
+    ]);
+    expect(trades[0]).toMatchObject({
+      qty: 2,
+      entryPrice: 105,
+      entryTime: at(5),
+      firstEntryTime: at(0),
+    });
+    expect(trades[0].entries.map((x) => x.price)).toEqual([100, 110]);
+    expect(openPositions).toEqual([]);
+  });
+
+  test("fills are matched in time order, per symbol and direction", () => {
+    const { trades, unmatched } = reconstructTrades([
+      close(20, 120, 1),
+      open(5, 50, 1, { direction: "SHORT" }),
+      open(0, 100, 1),
+      open(1, 10, 1, { symbol: "ETHUSDT" }),
+    ]);
+    expect(trades).toHaveLength(1);
+    expect(trades[0]).toMatchObject({ symbol: "BTCUSDT", entryPrice: 100 });
+    expect(unmatched).toEqual([]);
+  });
+});
+
+describe("reconstructTrades partial closes", () => {
+  test("scaling out splits the lot, and its opening fee, by size", () => {
+    const { trades, openPositions } = reconstructTrades([
+      open(0, 100, 2, { fee: 2 }),
+      close(10, 110, 1, { pnl: 10, fee: 1 }),
+    ]);
+    expect(trades[0]).toMatchObject({
+      qty: 1,
+      pnl: 10,
+      openFee: 1,
+      closeFee: 1,
+      fees: 2,
+      note: null,
+    });
+    expect(openPositions[0]).toMatchObject({ qty: 1, avgEntry: 100 });
+  });
+
+  test("exchange PnL and fee of a bigger close are split by quantity", () => {
+    const { trades, unmatched, diagnostics } = reconstructTrades([
+      open(0, 100, 1),
+      close(10, 110, 3, { pnl: 30, fee: 3 }),
+    ]);
+    expect(trades[0]).toMatchObject({ qty: 1, pnl: 10, closeFee: 1 });
+    expect(trades[0].note).toMatch(/Only 1 of 3/);
+    expect(unmatched).toEqual([
+      expect.objectContaining({ qty: 2, closeQty: 3, pnl: 20, fees: 2 }),
+    ]);
+    expect(diagnostics).toMatchObject({
+      closes: 1,
+      partialCloses: 1,
+      orphanedCloses: 0,
+      orphanedQty: 2,
+    });
+  });
+
+  test("rebates stay negative", () => {
+    const { trades } = reconstructTrades([
+      open(0, 100, 1, { fee: -0.5 }),
+      close(10, 110, 1, { pnl: 10, fee: 1 }),
+    ]);
+    expect(trades[0]).toMatchObject({ openFee: -0.5, fees: 0.5 });
+  });
+});
+
+describe("reconstructTrades unmatched closes and open lots", () => {
+  test("a close with nothing open is an orphan, not a trade", () => {
+    const { trades, unmatched, diagnostics } = reconstructTrades([
+      close(0, 110, 1, { pnl: 5 }),
+    ]);
+    expect(trades).toEqual([]);
+    expect(unmatched).toEqual([
+      expect.objectContaining({ symbol: "BTCUSDT", qty: 1, pnl: 5 }),
+    ]);
+    expect(diagnostics).toMatchObject({ orphanedCloses: 1, orphanedQty: 1 });
+  });
+
+  test("lots still open at the end are reported per book", () => {
+    const { trades, openPositions } = reconstructTrades([
+      open(0, 100, 1),
+      open(10, 120, 3),
+      open(5, 50, 2, { direction: "SHORT" }),
+    ]);
+    expect(trades).toEqual([]);
+    expect(openPositions).toEqual([
+      expect.objectContaining({
+        direction: "LONG",
+        qty: 4,
+        avgEntry: 115,
+        firstEntryTime: at(0),
+        lots: 2,
+      }),
+      expect.objectContaining({ direction: "SHORT", qty: 2, avgEntry: 50 }),
+    ]);
+  });
+});
+
+describe("flips (one-way executions)", () => {
+  // long 1, sell 3 (close 1 + open short 2), buy 2 back
+  const executions = [
+    { side: "BUY", time: at(0), price: 100, qty: 1, pnl: 0, fee: 0.3 },
+    { side: "SELL", time: at(10), price: 110, qty: 3, pnl: 10, fee: 0.9 },
+    { side: "BUY", time: at(20), price: 105, qty: 2, pnl: 10, fee: 0.6 },
+  ].map((x) => ({ symbol: "BTCUSDT", positionSide: "BOTH", ...x }));
+  const fills = fillsFromExecutions(executions);
+
+  test("the flipping execution closes the long and opens a short", () => {
+    expect(fills.map((f) => [f.action, f.direction, f.qty])).toEqual([
+      ["OPEN", "LONG", 1],
+      ["CLOSE", "LONG", 1],
+      ["OPEN", "SHORT", 2],
+      ["CLOSE", "SHORT", 2],
+    ]);
+    expect(fills[1].fee).toBeCloseTo(0.3);
+    expect(fills[2].fee).toBeCloseTo(0.6);
+  });
+
+  test("one trade per side", () => {
+    const { trades, unmatched } = reconstructTrades(fills);
+    expect(trades.map((t) => [t.direction, t.entryPrice, t.pnl])).toEqual([
+      ["LONG", 100, 10],
+      ["SHORT", 110, 10],
+    ]);
+    expect(unmatched).toEqual([]);
+  });
+
+  test("positions split the same way", () => {
+    expect(
+      reconstructPositions(fills).map((p) => [p.direction, p.qty])
+    ).toEqual([
+      ["LONG", 1],
+      ["SHORT", 2],
+    ]);
+  });
+});
+
+describe("reconstructPositions", () => {
+  test("scaling in and out is one flat -> flat position", () => {
+    const positions = reconstructPositions([
+      open(0, 100, 1, { fee: 1 }),
+      open(10, 110, 1, { fee: 1 }),
+      close(20, 120, 1, { fee: 1 }),
+      close(30, 130, 1, { fee: 1 }),
+    ]);
+    expect(positions).toHaveLength(1);
+    expect(positions[0]).toMatchObject({
+      kind: "position",
+      entryPrice: 105,
+      exitPrice: 125,
+      qty: 2,
+      peakSize: 2,
+      pnl: 40, // estimated per exit against the average entry
+      fees: 4,
+      holdMins: 30,
+      entryTime: at(0),
+      closeTime: at(30),
+    });
+    expect(positions[0].entries).toHaveLength(2);
+    expect(positions[0].exits).toHaveLength(2);
+  });
+
+  test("exchange PnL of an oversized close is cut to the open size", () => {
+    const [p] = reconstructPositions([
+      open(0, 100, 1),
+      close(10, 110, 2, { pnl: 20, fee: 2 }),
+    ]);
+    expect(p).toMatchObject({ qty: 1, pnl: 10, closeFee: 1 });
+  });
+
+  test("orphaned closes are skipped, still-open positions not emitted", () => {
+    expect(
+      reconstructPositions([
+        close(0, 110, 1, { pnl: 5 }),
+        open(10, 100, 1),
+        close(20, 110, 0.5),
+      ])
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Small shared helpers: CSV cell parsing, time parsing, formatting, math.
+ */
+
+export function cleanHeader(h) {
+  return String(h || "")
+    .trim()
+    .toLowerCase()
+    .replaceAll("_", " ")
+    .replaceAll("-", " ")
+    .replace(/\s+/g, " ");
+}
+
+export function parseNumWithUnits(v) {
+  if (v === null || v === undefined) return NaN;
+  const s = String(v).trim();
+  if (!s || s === "--") return NaN;
+  const token = s.split(" ")[0].replaceAll(",", "");
+  const n = Number(token);
+  if (Number.isFinite(n)) return n;
+
+  // units glued to the number, e.g. "0.012BTC" / "3.5USDT"
+  const m = token.match(/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i);
+  return m ? Number(m[0]) : NaN;
+}
+
+export function parseTimeBloFin(v) {
+  if (!v) return null;
+  const s = String(v).trim();
+  if (!s) return null;
+
+  let d = new Date(s);
+  if (!Number.isNaN(d.getTime())) return d;
+
+  // MM/DD/YYYY HH:mm:ss
+  const [datePart, timePart] = s.split(" ");
+  if (!datePart || !timePart) return null;
+  const [mm, dd, yyyy] = datePart.split("/").map((x) => Number(x));
+  const [HH, MM, SS] = timePart.split(":").map((x) => Number(x));
+  if ([mm, dd, yyyy, HH, MM, SS].some((x) => !Number.isFinite(x))) return null;
+
+  d = new Date(yyyy, mm - 1, dd, HH, MM, SS);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export function parseTimeUtc(v) {
+  // "2024-01-05 12:34:56" (no zone) is UTC in Binance exports
+  if (v === null || v === undefined || v === "") return null;
+  const s = String(v).trim();
+  if (!s) return null;
+
+  if (/^\d{10,13}$/.test(s)) {
+    const ms = s.length === 10 ? Number(s) * 1000 : Number(s);
+    return new Date(ms);
+  }
+
+  const iso = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(s)
+    ? `${s.replace(" ", "T")}Z`
+    : s;
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+export function fmtMoney(n) {
+  if (!Number.isFinite(n)) return "—";
+  const sign = n < 0 ? "-" : "";
+  const abs = Math.abs(n);
+  return `${sign}$${abs.toLocaleString(undefined, {
+    maximumFractionDigits: 2,
+  })}`;
+}
+export function fmtPct(n) {
+  if (!Number.isFinite(n)) return "—";
+  const sign = n > 0 ? "+" : "";
+  return `${sign}${n.toFixed(2)}%`;
+}
+export function fmtPrice(n) {
+  if (!Number.isFinite(n)) return "—";
+  return n.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+// UTC "YYYY-MM-DD HH:MM"
+export function fmtTime(ms) {
+  return new Date(ms).toISOString().slice(0, 16).replace("T", " ");
+}
+
+export const DAY_MS = 86_400_000;
+
+export function minsBetween(a, b) {
+  if (!a || !b) return NaN;
+  const ms = b.getTime() - a.getTime();
+  if (!Number.isFinite(ms) || ms < 0) return NaN;
+  return ms / 60000;
+}
+export function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+// [min, max] in one pass; Math.min(...values) overflows the call stack on very
+// long arrays. [Infinity, -Infinity] when empty.
+export function extent(values) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  for (const v of values) {
+    if (v < lo) lo = v;
+    if (v > hi) hi = v;
+  }
+  return [lo, hi];
+}
+
+// mean of the finite values; NaN when there are none
+export function mean(values) {
+  let total = 0;
+  let n = 0;
+  for (const v of values) {
+    if (!Number.isFinite(v)) continue;
+    total += v;
+    n++;
+  }
+  return n > 0 ? total / n : NaN;
+}
+
+// ---------------- localStorage ----------------
+// parsed JSON under key; null when missing, unreadable or storage is disabled
+export function readJson(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function writeJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full / disabled: the value just won't be remembered
+  }
+}
+
+// Binance/Bybit renamed columns a few times (Date(UTC) vs Time(UTC), Quantity vs Qty)
+export function pickField(r, names) {
+  const keys = Object.keys(r);
+  for (const name of names) {
+    const k = keys.find((x) => cleanHeader(x) === cleanHeader(name));
+    if (k !== undefined && r[k] !== undefined && r[k] !== "") return r[k];
+  }
+  return undefined;
+}